@@ -64,20 +64,85 @@ export default async function handler(req, res) {
     "medical": number (as decimal, e.g., 0.2 for 20%),
     "prescription": number
   },
+  "serviceCostSharing": {
+    "primaryCare": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": number, "coinsurance": number, "deductibleApplies": boolean},
+    "specialist": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": number, "coinsurance": number, "deductibleApplies": boolean},
+    "mentalHealthOutpatient": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": number, "coinsurance": number, "deductibleApplies": boolean},
+    "diagnosticTest": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": number, "coinsurance": number, "deductibleApplies": boolean},
+    "rehabilitation": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": number, "coinsurance": number, "deductibleApplies": boolean},
+    "emergencyRoom": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": number, "coinsurance": number, "deductibleApplies": boolean},
+    "urgentCare": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": number, "coinsurance": number, "deductibleApplies": boolean},
+    "advancedImaging": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": number, "coinsurance": number, "deductibleApplies": boolean},
+    "outpatientSurgery": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": number, "coinsurance": number, "deductibleApplies": boolean},
+    "hospitalStay": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": number, "coinsurance": number, "deductibleApplies": boolean}
+  },
   "prescriptionTiers": {
-    "tier1": {"type": "copay|coinsurance", "value": number},
-    "tier2": {"type": "copay|coinsurance", "value": number},
-    "tier3": {"type": "copay|coinsurance", "value": number},
-    "tier4": {"type": "copay|coinsurance", "value": number}
-  }
+    "tier1": {"type": "copay|coinsurance", "value": number, "minPerFill": number, "maxPerFill": number},
+    "tier2": {"type": "copay|coinsurance", "value": number, "minPerFill": number, "maxPerFill": number},
+    "tier3": {"type": "copay|coinsurance", "value": number, "minPerFill": number, "maxPerFill": number},
+    "tier4": {"type": "copay|coinsurance", "value": number, "minPerFill": number, "maxPerFill": number}
+  },
+  "rxOutOfPocketMax": {
+    "individual": number,
+    "family": number
+  },
+  "outOfNetwork": {
+    "covered": boolean,
+    "deductible": {"individual": number, "family": number},
+    "outOfPocketMax": {"individual": number, "family": number},
+    "coinsurance": number (as decimal)
+  },
+  "coverageExamples": {
+    "peg": {"totalExampleCost": number, "memberCost": number},
+    "joe": {"totalExampleCost": number, "memberCost": number},
+    "mia": {"totalExampleCost": number, "memberCost": number}
+  },
+  "serviceLimits": {
+    "primaryCare": {"visitLimit": number, "priorAuthorization": boolean},
+    "specialist": {"visitLimit": number, "priorAuthorization": boolean},
+    "mentalHealthOutpatient": {"visitLimit": number, "priorAuthorization": boolean},
+    "diagnosticTest": {"visitLimit": number, "priorAuthorization": boolean},
+    "rehabilitation": {"visitLimit": number, "priorAuthorization": boolean},
+    "emergencyRoom": {"visitLimit": number, "priorAuthorization": boolean},
+    "urgentCare": {"visitLimit": number, "priorAuthorization": boolean},
+    "advancedImaging": {"visitLimit": number, "priorAuthorization": boolean},
+    "outpatientSurgery": {"visitLimit": number, "priorAuthorization": boolean},
+    "hospitalStay": {"visitLimit": number, "priorAuthorization": boolean}
+  },
+  "excludedServices": [string],
+  "otherCoveredServices": [string]
 }
 
 For prescription tiers:
 - Use "copay" type for fixed dollar amounts (e.g., $50 copay) 
 - Use "coinsurance" type for percentages (e.g., 20% coinsurance)
 - For percentages, use decimal format (0.2 for 20%)
+- "20% coinsurance, min $50, max $250 per prescription" is {"type": "coinsurance", "value": 0.2, "minPerFill": 50, "maxPerFill": 250}
 - If information is missing, use null.
 
+For rxOutOfPocketMax, only fill it in when the SBC lists a separate out-of-pocket limit for prescription drugs
+that does not count toward the medical out-of-pocket limit; otherwise use null.
+
+For outOfNetwork, read the "Out-of-Network Provider" column. Set covered to false when it says "Not covered"
+for most services (typical of HMO and EPO plans), and use null for an out-of-pocket limit listed as "Not applicable".
+
+For coverageExamples, read the "Coverage Examples" page ("Peg is Having a Baby", "Managing Joe's Type 2 Diabetes",
+"Mia's Simple Fracture"): totalExampleCost is the "Total Example Cost" and memberCost is "The total Peg/Joe/Mia would pay is".
+
+For serviceCostSharing, read the in-network "What You Will Pay" column of each service row:
+- "$30 copay; deductible does not apply" is {"type": "copay", "copay": 30, "coinsurance": null, "deductibleApplies": false}
+- "$250 copay then 20% coinsurance" is {"type": "copayThenCoinsurance", "copay": 250, "coinsurance": 0.2, ...}
+- "No charge" is a copay of 0
+- Set deductibleApplies to false only when the SBC says the deductible does not apply
+
+For serviceLimits, read the "Limitations, Exceptions, & Other Important Information" column of each service row:
+- "30 visits/year" or "Coverage limited to 20 visits per year" is a visitLimit of 30 or 20 (visits per person per year)
+- Set priorAuthorization to true when the row says preauthorization, prior authorization or precertification is required
+- Use null for a service with neither
+
+For excludedServices and otherCoveredServices, copy each item of the "Services Your Plan Generally Does NOT Cover"
+and "Other Covered Services" lists as printed (e.g. "Acupuncture", "Routine eye care (Adult)"); use [] if a list is missing.
+
 SBC Document Text:
 ${pdfText}`;
 
@@ -5,9 +5,11 @@ import { ServiceCostManager } from './ServiceCostManager.js';
 import { ResultsManager } from './ResultsManager.js';
 import { DisclaimerModal } from './DisclaimerModal.js';
 import { WarningBanner } from './WarningBanner.js';
+import { ValidationErrors } from './ValidationErrors.js';
 import { CostCalculator } from '../utils/CostCalculator.js';
 import { EventEmitter } from '../utils/EventEmitter.js';
 import { DataManager } from '../utils/DataManager.js';
+import { SchemaValidationError } from '../utils/SchemaValidator.js';
 
 export class App extends EventEmitter {
   constructor() {
@@ -108,6 +110,13 @@ export class App extends EventEmitter {
         debouncedRecalculate();
       });
       
+      // Claims imports price services at last year's average allowed amounts
+      this.familyManager.on('claimsImported', (serviceCosts) => {
+        this.serviceCostManager.importServiceCosts({
+          serviceCosts: { ...this.serviceCostManager.getServiceCosts().serviceCosts, ...serviceCosts }
+        });
+      });
+      
       this.serviceCostManager.on('serviceCostsChanged', () => {
         console.log('Service costs changed, scheduling recalculation');
         debouncedRecalculate();
@@ -117,6 +126,14 @@ export class App extends EventEmitter {
         callback(this.familyManager.getFamilyData());
       });
       
+      // Year-over-year plan diffs rerun the family's costs under both plan versions
+      this.planManager.on('requestFamilyData', (callback) => {
+        callback({
+          ...this.familyManager.getFamilyData(),
+          ...this.serviceCostManager.getServiceCosts()
+        });
+      });
+
       this.resultsManager.on('requestPlanData', (callback) => {
         callback(this.planManager.getPlans());
       });
@@ -213,6 +230,12 @@ export class App extends EventEmitter {
       
       this.emit('calculationComplete', results);
     } catch (error) {
+      if (error instanceof SchemaValidationError) {
+        // Name the fields to fix instead of a generic failure
+        this.resultsManager.showError(`${error.label} has invalid values. Please correct them and try again.`,
+          error.errors, error.label === 'Family data' ? this.familyManager.getFamilyData() : null);
+        return;
+      }
       console.error('❌ Calculation error:', error);
       console.error('❌ Error stack:', error.stack);
       this.resultsManager.showError('Calculation failed. Please check your inputs.');
@@ -244,9 +267,10 @@ export class App extends EventEmitter {
     input.onchange = async (e) => {
       const file = e.target.files[0];
       if (file) {
+        let data = null;
         try {
           const content = await DataManager.readFile(file);
-          const data = JSON.parse(content);
+          data = JSON.parse(content);
           const imported = await DataManager.importConfiguration(data);
           
           // Update components with imported data
@@ -264,6 +288,10 @@ export class App extends EventEmitter {
           alert('Configuration imported successfully!');
           this.recalculate();
         } catch (error) {
+          if (error instanceof SchemaValidationError) {
+            ValidationErrors.showModal('Failed to import configuration', error, data);
+            return;
+          }
           console.error('Import failed:', error);
           alert('Failed to import configuration: ' + error.message);
         }
@@ -275,7 +303,11 @@ export class App extends EventEmitter {
   async exportConfiguration() {
     try {
       const plans = this.planManager.getPlans();
-      const familyData = this.familyManager.getFamilyData();
+      // Service costs travel with the family data, where importing looks for them
+      const familyData = {
+        ...this.familyManager.getFamilyData(),
+        ...this.serviceCostManager.getServiceCosts()
+      };
       
       // Sanitize data to prevent circular references and browser crashes
       const sanitizedPlans = this.sanitizeForExport(plans);
@@ -1,4 +1,7 @@
 // Chart Manager - Handles data visualization using Chart.js
+import { PlanYear } from '../utils/PlanYear.js';
+import { ScriptLoader } from '../utils/ScriptLoader.js';
+
 export class ChartManager {
   constructor() {
     this.charts = {};
@@ -18,30 +21,10 @@ export class ChartManager {
     if (this.isChartJSLoaded) return;
 
     try {
-      return new Promise((resolve, reject) => {
-        const script = document.createElement('script');
-        script.src = 'https://cdn.jsdelivr.net/npm/chart.js@3.9.1/dist/chart.min.js';
-        
-        // Add timeout to prevent hanging
-        const timeout = setTimeout(() => {
-          reject(new Error('Chart.js load timeout'));
-        }, 10000); // 10 second timeout
-        
-        script.onload = () => {
-          clearTimeout(timeout);
-          this.isChartJSLoaded = true;
-          console.log('Chart.js loaded successfully');
-          resolve();
-        };
-        
-        script.onerror = (error) => {
-          clearTimeout(timeout);
-          console.warn('Chart.js failed to load, charts will be disabled:', error);
-          reject(error);
-        };
-        
-        document.head.appendChild(script);
-      });
+      // Vendored copy first, so charts work offline and behind proxies that block CDNs
+      await ScriptLoader.load('chartjs', 10000);
+      this.isChartJSLoaded = true;
+      console.log('Chart.js loaded successfully');
     } catch (error) {
       console.warn('Chart.js loading failed, continuing without charts:', error);
       throw error;
@@ -385,6 +368,9 @@ export class ChartManager {
   }
 
   createGranularTimelineChart(containerId, ctx, planIds, results, calculator) {
+    const planYearStart = this.getPlanYearStart(results[planIds[0]]);
+    const monthStartDays = Array.from({ length: 12 }, (_, i) => PlanYear.getMonthStartDay(planYearStart, i));
+    const monthLabels = PlanYear.getMonthLabels(planYearStart);
     const colors = [
       'rgb(59, 130, 246)',
       'rgb(16, 185, 129)', 
@@ -462,7 +448,7 @@ export class ChartManager {
             callbacks: {
               title: (context) => {
                 const day = context[0].parsed.x;
-                const date = this.dayToDate(day);
+                const date = this.dayToDate(day, planYearStart);
                 return `Day ${day} (${date})`;
               },
               label: (context) => {
@@ -500,14 +486,15 @@ export class ChartManager {
             },
             min: 0,
             max: 365,
+            // One tick at the start of each real calendar month of the plan year
+            afterBuildTicks: (axis) => {
+              axis.ticks = [...monthStartDays, 365].map(value => ({ value }));
+            },
             ticks: {
-              stepSize: 30,
               callback: (value) => {
-                if (value === 0) return 'Start';
                 if (value >= 365) return 'End';
-                const month = Math.floor(value / 30.4) + 1;
-                const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-                return monthNames[month - 1] || `Month ${month}`;
+                const month = monthStartDays.indexOf(value);
+                return month >= 0 ? monthLabels[month] : this.dayToDate(value, planYearStart);
               }
             }
           },
@@ -541,7 +528,7 @@ export class ChartManager {
 
   createMonthlyTimelineChart(containerId, ctx, planIds, results, calculator) {
     // Fallback to monthly data if progression data not available
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const months = PlanYear.getMonthLabels(this.getPlanYearStart(results[planIds[0]]));
     
     const datasets = planIds.map((planId, index) => {
       const result = results[planId];
@@ -617,21 +604,28 @@ export class ChartManager {
     return this.charts[containerId];
   }
 
-  dayToDate(day) {
-    const date = new Date(2024, 0, 1);
-    date.setDate(date.getDate() + day - 1);
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  dayToDate(day, planYearStart) {
+    return PlanYear.formatDate(PlanYear.dayToDate(planYearStart, day), false);
+  }
+
+  // Results from before plan-year support started on January 1
+  getPlanYearStart(result) {
+    return result && result.planYear ? result.planYear.start : `${new Date().getFullYear()}-01-01`;
+  }
+
+  // Premiums paid by the end of a plan month - mid-year enrollees start paying in the month coverage begins
+  getCumulativePremium(result, month) {
+    const coveredMonths = result.planYear ? result.planYear.coveredMonths : 12;
+    const monthlyPremium = result.monthlyPremium || (result.annualPremium || 0) / coveredMonths;
+    return monthlyPremium * Math.max(0, month - (12 - coveredMonths) + 1);
   }
 
   calculateMonthlyAccumulation(result, calculator = null, planId = null) {
     // First priority: Use real progression data from calculator if available
     if (calculator && calculator.lastPlanProgressions && planId && calculator.lastPlanProgressions[planId]) {
-      return this.calculateProgressionAccumulation(calculator.lastPlanProgressions[planId]);
+      return this.calculateProgressionAccumulation(calculator.lastPlanProgressions[planId], this.getPlanYearStart(result));
     }
     
-    const annualPremium = result.annualPremium || 0;
-    const monthlyPremium = annualPremium / 12;
-    
     // Second priority: Use the REAL timeline data from result if available
     if (result.timeline && result.timeline.length > 0) {
       return this.calculateRealTimelineAccumulation(result);
@@ -642,7 +636,7 @@ export class ChartManager {
       const monthlyData = [];
       for (let month = 0; month < 12; month++) {
         const monthData = result.monthlyAccumulation[month];
-        const cumulativePremiums = monthlyPremium * (month + 1);
+        const cumulativePremiums = this.getCumulativePremium(result, month);
         const cumulativeHealthcare = monthData.totalCost || 0;
         monthlyData.push(cumulativePremiums + cumulativeHealthcare);
       }
@@ -655,7 +649,7 @@ export class ChartManager {
     const totalHealthcareCost = result.familyTotals.totalOutOfPocket || 0;
     
     for (let month = 0; month < 12; month++) {
-      const cumulativePremiums = monthlyPremium * (month + 1);
+      const cumulativePremiums = this.getCumulativePremium(result, month);
       const cumulativeHealthcare = (totalHealthcareCost * (month + 1)) / 12;
       monthlyData.push(cumulativePremiums + cumulativeHealthcare);
     }
@@ -663,16 +657,16 @@ export class ChartManager {
     return monthlyData;
   }
 
-  calculateProgressionAccumulation(progression) {
+  calculateProgressionAccumulation(progression, planYearStart) {
     // Use the actual progression data from the new CostCalculator
     const monthlyData = new Array(12).fill(0);
     
     // Group progression events by month and take the latest cumulative total for each month
     for (let month = 0; month < 12; month++) {
-      const monthEndDay = (month + 1) * 30.4;
+      const nextMonthStartDay = PlanYear.getMonthStartDay(planYearStart, month + 1);
       
       // Find all events up to the end of this month
-      const eventsUpToMonth = progression.filter(row => row.day <= monthEndDay);
+      const eventsUpToMonth = progression.filter(row => row.day < nextMonthStartDay);
       
       if (eventsUpToMonth.length > 0) {
         // Get the latest event in this month period for the most accurate cumulative total
@@ -694,8 +688,7 @@ export class ChartManager {
 
   calculateRealTimelineAccumulation(result) {
     const timeline = result.timeline;
-    const annualPremium = result.annualPremium || 0;
-    const monthlyPremium = annualPremium / 12;
+    const planYearStart = this.getPlanYearStart(result);
     
     // Initialize monthly accumulation array
     const monthlyData = new Array(12).fill(0);
@@ -705,7 +698,7 @@ export class ChartManager {
     
     // Process each event in the timeline
     timeline.forEach(event => {
-      const month = Math.floor(event.day / 30.4); // Convert day to month (0-11)
+      const month = PlanYear.getPlanMonth(planYearStart, event.day);
       if (month < 12) {
         // Find corresponding event cost from member results
         const memberResult = result.memberResults[event.memberId];
@@ -723,7 +716,7 @@ export class ChartManager {
         
         // Update all months from this month forward
         for (let m = month; m < 12; m++) {
-          const cumulativePremiums = monthlyPremium * (m + 1);
+          const cumulativePremiums = this.getCumulativePremium(result, m);
           monthlyData[m] = cumulativePremiums + cumulativeHealthcare;
         }
       }
@@ -733,7 +726,7 @@ export class ChartManager {
     const familyOOPMax = result.planDetails?.familyOOPMax || result.planDetails?.individualOOPMax * 2 || Infinity;
     if (familyOOPMax < Infinity) {
       for (let month = 0; month < 12; month++) {
-        const cumulativePremiums = monthlyPremium * (month + 1);
+        const cumulativePremiums = this.getCumulativePremium(result, month);
         const cumulativeHealthcare = monthlyData[month] - cumulativePremiums;
         const cappedHealthcare = Math.min(cumulativeHealthcare, familyOOPMax);
         monthlyData[month] = cumulativePremiums + cappedHealthcare;
@@ -781,9 +774,7 @@ export class ChartManager {
 
 
   getMonthlyBreakdown(result, month, calculator = null, planId = null) {
-    const annualPremium = result.annualPremium || 0;
-    const monthlyPremium = annualPremium / 12;
-    const premiums = monthlyPremium * (month + 1);
+    const premiums = this.getCumulativePremium(result, month);
     
     const monthlyData = this.calculateMonthlyAccumulation(result, calculator, planId);
     const totalAccumulated = monthlyData[month];
@@ -796,11 +787,11 @@ export class ChartManager {
     let oopRemaining = 0;
     
     if (result.milestones && result.timeline) {
-      // Calculate the day number for end of this month
-      const endOfMonthDay = (month + 1) * 30.4;
+      // Day the next plan month starts on
+      const nextMonthStartDay = PlanYear.getMonthStartDay(this.getPlanYearStart(result), month + 1);
       
       // Check milestones that occurred by this point in the year
-      const milestonesThisMonth = result.milestones.filter(m => m.day <= endOfMonthDay);
+      const milestonesThisMonth = result.milestones.filter(m => m.day < nextMonthStartDay);
       
       deductibleMet = milestonesThisMonth.some(m => 
         m.type === 'family_deductible_met' || m.type === 'individual_deductible_met'
@@ -1,9 +1,31 @@
 // Family Manager Component - Handles family usage data input and management
 import { EventEmitter } from '../utils/EventEmitter.js';
 import { StorageManager } from '../utils/StorageManager.js';
+import { UsageScenarios } from '../utils/UsageScenarios.js';
+import { TaxAdvantagedAccounts } from '../utils/TaxAdvantagedAccounts.js';
+import { PlanYear } from '../utils/PlanYear.js';
+import { MarketplaceSubsidies } from '../utils/MarketplaceSubsidies.js';
+import { MedicalEpisodes } from '../utils/MedicalEpisodes.js';
+import { ClaimsImporter } from '../utils/ClaimsImporter.js';
+import { DataManager } from '../utils/DataManager.js';
 import { WarningBanner } from './WarningBanner.js';
 
 export class FamilyManager extends EventEmitter {
+  // Usage fields that can be pinned to a date, with the label shown in the scheduled care picker
+  static SCHEDULABLE_SERVICES = {
+    primaryVisits: 'Primary Care Visit',
+    specialistVisits: 'Specialist Visit',
+    therapyVisits: 'Therapy Session',
+    labWork: 'Lab Work',
+    imaging: 'Imaging Study',
+    physicalTherapy: 'Physical Therapy',
+    emergencyVisits: 'Emergency Room Visit',
+    urgentCareVisits: 'Urgent Care Visit',
+    advancedImaging: 'MRI / CT Scan',
+    outpatientSurgeries: 'Outpatient Surgery',
+    inpatientDays: 'Hospital Stay (days)'
+  };
+
   constructor() {
     super();
     this.familyData = this.getDefaultFamilyData();
@@ -44,6 +66,11 @@ export class FamilyManager extends EventEmitter {
           labWork: 1,
           imaging: 0,
           physicalTherapy: 0,
+          emergencyVisits: 0,
+          urgentCareVisits: 0,
+          advancedImaging: 0,
+          outpatientSurgeries: 0,
+          inpatientDays: 0,
           medications: [],
           isActive: true
         },
@@ -58,6 +85,11 @@ export class FamilyManager extends EventEmitter {
           labWork: 1,
           imaging: 0,
           physicalTherapy: 0,
+          emergencyVisits: 0,
+          urgentCareVisits: 0,
+          advancedImaging: 0,
+          outpatientSurgeries: 0,
+          inpatientDays: 0,
           medications: [],
           isActive: false
         },
@@ -72,6 +104,11 @@ export class FamilyManager extends EventEmitter {
           labWork: 0,
           imaging: 0,
           physicalTherapy: 0,
+          emergencyVisits: 0,
+          urgentCareVisits: 0,
+          advancedImaging: 0,
+          outpatientSurgeries: 0,
+          inpatientDays: 0,
           medications: [],
           isActive: false
         },
@@ -86,10 +123,18 @@ export class FamilyManager extends EventEmitter {
           labWork: 0,
           imaging: 0,
           physicalTherapy: 0,
+          emergencyVisits: 0,
+          urgentCareVisits: 0,
+          advancedImaging: 0,
+          outpatientSurgeries: 0,
+          inpatientDays: 0,
           medications: [],
           isActive: false
         }
-      ]
+      ],
+      accountSettings: TaxAdvantagedAccounts.getDefaultSettings(),
+      coverageSettings: PlanYear.getDefaultSettings(),
+      marketplaceSettings: MarketplaceSubsidies.getDefaultSettings()
     };
   }
 
@@ -109,6 +154,25 @@ export class FamilyManager extends EventEmitter {
         this.handleUsageChange(e.target);
       }
       
+      // HSA/FSA and tax settings
+      if (e.target.matches('.account-input')) {
+        this.handleAccountSettingChange(e.target);
+      }
+      
+      // Plan year and enrollment dates
+      if (e.target.matches('.coverage-input')) {
+        this.handleCoverageSettingChange(e.target);
+      }
+      
+      // Marketplace household income for premium tax credits
+      if (e.target.matches('.marketplace-input')) {
+        this.handleMarketplaceSettingChange(e.target);
+      }
+      
+      // Services a member gets from out-of-network providers
+      if (e.target.matches('.network-toggle')) {
+        this.handleNetworkToggle(e.target);
+      }
     });
 
     // Add/remove medication buttons
@@ -124,6 +188,32 @@ export class FamilyManager extends EventEmitter {
         this.removeMedication(memberId, medIndex);
       }
       
+      if (e.target.matches('[data-action="add-scheduled-event"]')) {
+        const memberId = e.target.dataset.memberId;
+        this.addScheduledEvent(memberId);
+      }
+      
+      if (e.target.matches('[data-action="remove-scheduled-event"]')) {
+        const memberId = e.target.dataset.memberId;
+        const eventIndex = parseInt(e.target.dataset.eventIndex);
+        this.removeScheduledEvent(memberId, eventIndex);
+      }
+      
+      if (e.target.matches('[data-action="add-episode"]')) {
+        const memberId = e.target.dataset.memberId;
+        this.addEpisode(memberId);
+      }
+      
+      if (e.target.matches('[data-action="remove-episode"]')) {
+        const memberId = e.target.dataset.memberId;
+        const episodeIndex = parseInt(e.target.dataset.episodeIndex);
+        this.removeEpisode(memberId, episodeIndex);
+      }
+      
+      if (e.target.matches('[data-action="import-claims"]')) {
+        this.showClaimsImportDialog();
+      }
+      
       if (e.target.matches('[data-action="add-member"]')) {
         this.addCustomMember();
       }
@@ -153,6 +243,51 @@ export class FamilyManager extends EventEmitter {
     }
   }
 
+  handleAccountSettingChange(input) {
+    const field = input.dataset.field;
+    const value = parseFloat(input.value) || 0;
+    
+    this.familyData.accountSettings = {
+      ...TaxAdvantagedAccounts.getDefaultSettings(),
+      ...this.familyData.accountSettings,
+      // Tax rate is entered as a percentage
+      [field]: field === 'marginalTaxRate' ? value / 100 : value
+    };
+    this.debouncedSave();
+    this.debouncedEmit();
+  }
+
+  handleCoverageSettingChange(input) {
+    const field = input.dataset.field;
+    let value = input.value || null;
+    if (field === 'priorDeductibleCredit') {
+      value = parseFloat(input.value) || 0;
+    } else if (field === 'planYearStart' && !value) {
+      value = PlanYear.getDefaultSettings().planYearStart;
+    }
+    
+    this.familyData.coverageSettings = {
+      ...PlanYear.getDefaultSettings(),
+      ...this.familyData.coverageSettings,
+      [field]: value
+    };
+    this.debouncedSave();
+    this.debouncedEmit();
+  }
+
+  handleMarketplaceSettingChange(input) {
+    const field = input.dataset.field;
+    const value = field === 'state' ? input.value.trim().toUpperCase() : parseFloat(input.value) || 0;
+    
+    this.familyData.marketplaceSettings = {
+      ...MarketplaceSubsidies.getDefaultSettings(),
+      ...this.familyData.marketplaceSettings,
+      [field]: value
+    };
+    this.debouncedSave();
+    this.debouncedEmit();
+  }
+
   handleUsageChange(input) {
     const memberId = input.dataset.memberId;
     const field = input.dataset.field;
@@ -169,7 +304,7 @@ export class FamilyManager extends EventEmitter {
           const medIndex = parseInt(match[1]);
           const medField = match[2];
           if (member.medications[medIndex]) {
-            if (medField === 'tier') {
+            if (medField === 'tier' || medField === 'daysSupply') {
               member.medications[medIndex][medField] = parseInt(value);
             } else if (medField === 'monthlyCost') {
               member.medications[medIndex][medField] = parseFloat(value) || 0;
@@ -178,15 +313,75 @@ export class FamilyManager extends EventEmitter {
             }
           }
         }
+      } else if (field.startsWith('scheduledEvents[')) {
+        // Handle scheduled care fields like "scheduledEvents[0].month"
+        const match = field.match(/scheduledEvents\[(\d+)\]\.(.+)/);
+        if (match && member.scheduledEvents && member.scheduledEvents[parseInt(match[1])]) {
+          member.scheduledEvents[parseInt(match[1])][match[2]] = value;
+        }
+      } else if (field.startsWith('episodes[')) {
+        // Handle episode fields like "episodes[0].month"
+        const match = field.match(/episodes\[(\d+)\]\.(.+)/);
+        if (match && member.episodes && member.episodes[parseInt(match[1])]) {
+          member.episodes[parseInt(match[1])][match[2]] = value;
+          if (match[2] === 'episodeId') {
+            this.debouncedRender(); // The date label depends on the episode type
+          }
+        }
       } else {
         // Handle regular member fields
         member[field] = value;
       }
+      this.updateScheduleWarning(member);
       this.debouncedSave();
       this.debouncedEmit();
     }
   }
 
+  // Scheduled counts above the annual count for the same service, as [{ field, scheduled, annual }].
+  // The calculator places every scheduled visit, so these members get more visits than their annual count.
+  getOverScheduledServices(member) {
+    const scheduledTotals = {};
+    for (const entry of member.scheduledEvents || []) {
+      scheduledTotals[entry.field] = (scheduledTotals[entry.field] || 0) + (parseInt(entry.count) || 1);
+    }
+
+    return Object.entries(scheduledTotals)
+      .map(([field, scheduled]) => ({ field, scheduled, annual: parseInt(member[field]) || 0 }))
+      .filter(({ scheduled, annual }) => scheduled > annual);
+  }
+
+  renderScheduleWarning(member) {
+    const overScheduled = this.getOverScheduledServices(member);
+    if (overScheduled.length === 0) return '';
+
+    return `
+      <div class="bg-yellow-50 border border-yellow-200 rounded p-2 mb-2 text-xs text-yellow-800">
+        ${overScheduled.map(({ field, scheduled, annual }) => `
+          <p>⚠️ ${FamilyManager.SCHEDULABLE_SERVICES[field]}: ${scheduled} scheduled but ${annual} per year entered above.
+          The extra ${scheduled - annual} will be added to the year - raise the annual count if that's not intended.</p>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // Refresh the warning in place, so typing a count doesn't re-render the card and lose focus
+  updateScheduleWarning(member) {
+    const container = document.querySelector(`[data-schedule-warning="${member.id}"]`);
+    if (container) {
+      container.innerHTML = this.renderScheduleWarning(member);
+    }
+  }
+
+  handleNetworkToggle(input) {
+    const member = this.familyData.members.find(m => m.id === input.dataset.memberId);
+    if (member) {
+      const services = (member.outOfNetworkServices || []).filter(field => field !== input.dataset.field);
+      member.outOfNetworkServices = input.checked ? [...services, input.dataset.field] : services;
+      this.debouncedSave();
+      this.debouncedEmit();
+    }
+  }
 
   addMedication(memberId) {
     const member = this.familyData.members.find(m => m.id === memberId);
@@ -196,7 +391,9 @@ export class FamilyManager extends EventEmitter {
         name: '',
         tier: 1,
         monthlyCost: 0,
-        quantity: 1
+        quantity: 1,
+        daysSupply: 30,
+        channel: 'retail'
       });
       this.debouncedSave();
       this.debouncedRender();
@@ -214,6 +411,215 @@ export class FamilyManager extends EventEmitter {
     }
   }
 
+  addScheduledEvent(memberId) {
+    const member = this.familyData.members.find(m => m.id === memberId);
+    if (member) {
+      member.scheduledEvents = member.scheduledEvents || [];
+      member.scheduledEvents.push({
+        id: `sched_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        label: '',
+        field: 'outpatientSurgeries',
+        month: 1,
+        dayOfMonth: 1,
+        count: 1
+      });
+      this.debouncedSave();
+      this.debouncedRender();
+      this.debouncedEmit();
+    }
+  }
+
+  removeScheduledEvent(memberId, eventIndex) {
+    const member = this.familyData.members.find(m => m.id === memberId);
+    if (member && member.scheduledEvents && member.scheduledEvents[eventIndex]) {
+      member.scheduledEvents.splice(eventIndex, 1);
+      this.debouncedSave();
+      this.debouncedRender();
+      this.debouncedEmit();
+    }
+  }
+
+  addEpisode(memberId) {
+    const member = this.familyData.members.find(m => m.id === memberId);
+    if (member) {
+      member.episodes = member.episodes || [];
+      member.episodes.push({
+        id: `episode_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        episodeId: 'vaginalBirth',
+        month: 1,
+        dayOfMonth: 1
+      });
+      this.debouncedSave();
+      this.debouncedRender();
+      this.debouncedEmit();
+    }
+  }
+
+  removeEpisode(memberId, episodeIndex) {
+    const member = this.familyData.members.find(m => m.id === memberId);
+    if (member && member.episodes && member.episodes[episodeIndex]) {
+      member.episodes.splice(episodeIndex, 1);
+      this.debouncedSave();
+      this.debouncedRender();
+      this.debouncedEmit();
+    }
+  }
+
+  // Claims import: EOB CSV exports or FHIR ExplanationOfBenefit JSON, reviewed before anything changes
+  showClaimsImportDialog() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.csv,.json';
+    input.multiple = true;
+    input.onchange = async (e) => {
+      const claims = [];
+      const errors = [];
+      for (const file of e.target.files) {
+        try {
+          const content = await DataManager.readFile(file);
+          claims.push(...ClaimsImporter.parseFile(file.name, content));
+        } catch (error) {
+          console.error(`Claims import failed for ${file.name}:`, error);
+          errors.push(`${file.name}: ${error.message}`);
+        }
+      }
+      
+      if (claims.length === 0) {
+        alert(`No claims found to import.${errors.length > 0 ? `\n\n${errors.join('\n')}` : ''}`);
+        return;
+      }
+      
+      for (const claim of claims) {
+        claim.memberId = ClaimsImporter.matchMember(claim.patientName, this.familyData.members);
+      }
+      claims.sort((a, b) => (a.serviceDate || '').localeCompare(b.serviceDate || ''));
+      this.showClaimsReview(claims, errors);
+    };
+    input.click();
+  }
+
+  showClaimsReview(claims, errors = []) {
+    const fieldOptions = { ...FamilyManager.SCHEDULABLE_SERVICES, medication: 'Prescription' };
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 overflow-y-auto';
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-5xl w-full mx-4 my-8 max-h-screen overflow-y-auto">
+        <h3 class="text-xl font-semibold mb-2">📄 Review Imported Claims</h3>
+        <p class="text-sm text-gray-600 mb-4">
+          Check who each claim belongs to and what kind of care it was. Applying replaces the visit counts of every 
+          member with claims, adds their prescriptions, and sets service prices to the average allowed amounts.
+        </p>
+        ${errors.length > 0 ? `
+          <div class="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+            ${errors.map(error => `<div>${error}</div>`).join('')}
+          </div>
+        ` : ''}
+        <form id="claims-review-form">
+          <table class="w-full text-sm mb-4">
+            <thead>
+              <tr class="text-left text-gray-600 border-b">
+                <th class="py-2 pr-2">Date</th>
+                <th class="py-2 pr-2">Patient</th>
+                <th class="py-2 pr-2">Claim</th>
+                <th class="py-2 pr-2 text-right">Allowed</th>
+                <th class="py-2 pr-2">Family Member</th>
+                <th class="py-2">Counts As</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${claims.map((claim, index) => `
+                <tr class="border-b ${claim.memberId && claim.field ? '' : 'bg-yellow-50'}">
+                  <td class="py-1 pr-2 whitespace-nowrap">${claim.serviceDate || ''}</td>
+                  <td class="py-1 pr-2">${claim.patientName || '<span class="text-gray-400">Unknown</span>'}</td>
+                  <td class="py-1 pr-2">${claim.description}${claim.code ? ` <span class="text-gray-400">(${claim.code})</span>` : ''}</td>
+                  <td class="py-1 pr-2 text-right">$${Math.round(claim.allowedAmount).toLocaleString()}</td>
+                  <td class="py-1 pr-2">
+                    <select name="member_${index}" class="border border-gray-300 rounded px-1 py-0.5 text-sm">
+                      <option value="">Skip</option>
+                      ${this.familyData.members.map(member => `
+                        <option value="${member.id}" ${claim.memberId === member.id ? 'selected' : ''}>${member.name}</option>
+                      `).join('')}
+                    </select>
+                  </td>
+                  <td class="py-1">
+                    <select name="field_${index}" class="border border-gray-300 rounded px-1 py-0.5 text-sm">
+                      <option value="">Skip</option>
+                      ${Object.entries(fieldOptions).map(([field, label]) => `
+                        <option value="${field}" ${claim.field === field ? 'selected' : ''}>${label}</option>
+                      `).join('')}
+                    </select>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+          <div class="flex justify-between items-center">
+            <span class="text-xs text-gray-500">Highlighted rows couldn't be matched automatically and are skipped unless you choose.</span>
+            <div class="space-x-2">
+              <button type="button" class="px-4 py-2 text-gray-600 hover:text-gray-800" data-action="cancel">Cancel</button>
+              <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">Apply ${claims.length} Claims</button>
+            </div>
+          </div>
+        </form>
+      </div>
+    `;
+    
+    modal.querySelector('#claims-review-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const formData = new FormData(e.target);
+      const reviewed = claims.map((claim, index) => ({
+        ...claim,
+        memberId: formData.get(`member_${index}`) || null,
+        field: formData.get(`field_${index}`) || null
+      }));
+      this.applyClaimsSummary(ClaimsImporter.summarize(reviewed));
+      modal.remove();
+    });
+    
+    modal.addEventListener('click', (e) => {
+      if (e.target.matches('[data-action="cancel"]') || e.target === modal) {
+        modal.remove();
+      }
+    });
+    
+    document.body.appendChild(modal);
+  }
+
+  applyClaimsSummary({ usage, medications, serviceCosts }) {
+    for (const member of this.familyData.members) {
+      // Claims are a full year of history, so services without claims were not used
+      const memberUsage = usage[member.id];
+      if (memberUsage) {
+        for (const field of Object.keys(FamilyManager.SCHEDULABLE_SERVICES)) {
+          member[field] = memberUsage[field] || 0;
+        }
+        member.preventiveVisits = memberUsage.preventiveVisits;
+      }
+      
+      // Add prescriptions that aren't already listed
+      for (const medication of medications[member.id] || []) {
+        member.medications = member.medications || [];
+        if (member.medications.some(existing => (existing.name || '').toLowerCase() === medication.name.toLowerCase())) continue;
+        member.medications.push({
+          id: `med_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          name: medication.name,
+          tier: medication.tier,
+          monthlyCost: medication.monthlyCost,
+          quantity: 1,
+          daysSupply: 30,
+          channel: 'retail'
+        });
+      }
+    }
+    
+    this.currentScenario = 'claims';
+    console.log(`📄 Applied claims history to ${Object.keys(usage).length} members`);
+    this.emit('claimsImported', serviceCosts);
+    this.debouncedSave();
+    this.debouncedRender();
+    this.debouncedEmit();
+  }
+
   addCustomMember() {
     const memberCount = this.familyData.members.length;
     const newMember = {
@@ -227,6 +633,11 @@ export class FamilyManager extends EventEmitter {
       labWork: 0,
       imaging: 0,
       physicalTherapy: 0,
+      emergencyVisits: 0,
+      urgentCareVisits: 0,
+      advancedImaging: 0,
+      outpatientSurgeries: 0,
+      inpatientDays: 0,
       medications: [],
       isActive: true,
       isCustom: true
@@ -267,76 +678,31 @@ export class FamilyManager extends EventEmitter {
   }
 
   applyLowUsageScenario() {
-    this.familyData.members.forEach(member => {
-      if (member.isActive) {
-        member.primaryVisits = member.relationship === 'child' ? 2 : 1;
-        member.specialistVisits = 0;
-        member.therapyVisits = 0;
-        member.labWork = 0;
-        member.imaging = 0;
-        member.physicalTherapy = 0;
-        member.medications = [];
-      }
-    });
+    this.applyScenarioToActiveMembers('low');
   }
 
   applyMediumUsageScenario() {
-    this.familyData.members.forEach(member => {
-      if (member.isActive) {
-        member.primaryVisits = member.relationship === 'child' ? 3 : 2;
-        member.specialistVisits = 1;
-        member.therapyVisits = 0;
-        member.labWork = 1;
-        member.imaging = member.relationship === 'self' || member.relationship === 'spouse' ? 1 : 0;
-        member.physicalTherapy = 0;
-        member.medications = member.age > 30 ? [{
-          id: `med_${Date.now()}`,
-          name: 'Generic medication',
-          tier: 1,
-          monthlyCost: 15,
-          quantity: 1
-        }] : [];
-      }
-    });
+    this.applyScenarioToActiveMembers('medium');
   }
 
   applyHighUsageScenario() {
+    this.applyScenarioToActiveMembers('high');
+  }
+
+  applyScenarioToActiveMembers(scenario) {
     this.familyData.members.forEach(member => {
       if (member.isActive) {
-        member.primaryVisits = member.relationship === 'child' ? 4 : 6;
-        member.specialistVisits = member.relationship === 'child' ? 1 : 3;
-        member.therapyVisits = member.age > 12 ? 26 : 0; // Every 2 weeks
-        member.labWork = member.relationship === 'child' ? 1 : 3;
-        member.imaging = member.age > 18 ? 2 : 0;
-        member.physicalTherapy = member.age > 25 ? 12 : 0;
-        
-        // Add multiple medications for high usage
-        member.medications = [];
-        if (member.age > 18) {
-          member.medications.push({
-            id: `med_${Date.now()}_1`,
-            name: 'Generic medication',
-            tier: 1,
-            monthlyCost: 15,
-            quantity: 1
-          });
-        }
-        if (member.age > 30) {
-          member.medications.push({
-            id: `med_${Date.now()}_2`,
-            name: 'Brand medication',
-            tier: 2,
-            monthlyCost: 50,
-            quantity: 1
-          });
-        }
+        Object.assign(member, UsageScenarios.getScenarioUsage(member, scenario));
       }
     });
   }
 
   getFamilyData() {
     return {
-      members: this.familyData.members.filter(m => m.isActive)
+      members: this.familyData.members.filter(m => m.isActive),
+      accountSettings: { ...TaxAdvantagedAccounts.getDefaultSettings(), ...this.familyData.accountSettings },
+      coverageSettings: { ...PlanYear.getDefaultSettings(), ...this.familyData.coverageSettings },
+      marketplaceSettings: { ...MarketplaceSubsidies.getDefaultSettings(), ...this.familyData.marketplaceSettings }
     };
   }
 
@@ -344,6 +710,15 @@ export class FamilyManager extends EventEmitter {
     if (data.members) {
       this.familyData.members = data.members.map(member => ({ ...member }));
     }
+    if (data.accountSettings) {
+      this.familyData.accountSettings = { ...data.accountSettings };
+    }
+    if (data.coverageSettings) {
+      this.familyData.coverageSettings = { ...data.coverageSettings };
+    }
+    if (data.marketplaceSettings) {
+      this.familyData.marketplaceSettings = { ...data.marketplaceSettings };
+    }
     this.debouncedSave();
     this.debouncedRender();
     this.debouncedEmit();
@@ -355,6 +730,9 @@ export class FamilyManager extends EventEmitter {
       StorageManager.saveFamilyData({
         ...existingData,
         members: this.familyData.members,
+        accountSettings: this.familyData.accountSettings,
+        coverageSettings: this.familyData.coverageSettings,
+        marketplaceSettings: this.familyData.marketplaceSettings,
         currentScenario: this.currentScenario
       });
     } catch (error) {
@@ -392,6 +770,8 @@ export class FamilyManager extends EventEmitter {
         <div class="flex justify-between items-center">
           <h2 class="text-2xl font-semibold">Family Healthcare Usage</h2>
           <div class="flex space-x-2">
+            <button class="text-sm px-3 py-1 rounded bg-green-100 text-green-800 hover:bg-green-200" 
+                    data-action="import-claims">📄 Import Claims</button>
             <button class="text-sm px-3 py-1 rounded ${this.currentScenario === 'low' ? 'bg-blue-500 text-white' : 'bg-gray-100 hover:bg-gray-200'}" 
                     data-scenario="low">Low Usage</button>
             <button class="text-sm px-3 py-1 rounded ${this.currentScenario === 'medium' ? 'bg-blue-500 text-white' : 'bg-gray-100 hover:bg-gray-200'}" 
@@ -454,6 +834,123 @@ export class FamilyManager extends EventEmitter {
           </button>
         </div>
 
+        ${this.renderCoverageSettings()}
+
+        ${this.renderAccountSettings()}
+
+        ${this.renderMarketplaceSettings()}
+
+      </div>
+    `;
+  }
+
+  renderCoverageSettings() {
+    const settings = { ...PlanYear.getDefaultSettings(), ...this.familyData.coverageSettings };
+    
+    return `
+      <div class="bg-white rounded-lg shadow p-6">
+        <h3 class="text-lg font-semibold mb-1">📅 Plan Year & Enrollment</h3>
+        <p class="text-sm text-gray-600 mb-4">
+          Deductibles reset on the plan year start date. If you enroll mid-year, premiums are prorated 
+          from the month coverage starts but the deductible and out-of-pocket maximum stay full-size.
+        </p>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label class="block text-sm font-medium mb-1">Plan Year Start</label>
+            <input type="date" value="${settings.planYearStart}"
+                   class="coverage-input w-full border border-gray-300 rounded px-3 py-2" data-field="planYearStart">
+          </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">Coverage Start</label>
+            <input type="date" value="${settings.coverageStartDate || ''}"
+                   class="coverage-input w-full border border-gray-300 rounded px-3 py-2" data-field="coverageStartDate">
+            <p class="text-xs text-gray-500 mt-1">Leave blank if covered from the start of the plan year</p>
+          </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">Deductible Paid Under Prior Plan</label>
+            <input type="number" min="0" step="50" value="${settings.priorDeductibleCredit}"
+                   class="coverage-input w-full border border-gray-300 rounded px-3 py-2" data-field="priorDeductibleCredit">
+            <p class="text-xs text-gray-500 mt-1">Credited only on plans that allow deductible carryover</p>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderAccountSettings() {
+    const settings = { ...TaxAdvantagedAccounts.getDefaultSettings(), ...this.familyData.accountSettings };
+    
+    return `
+      <div class="bg-white rounded-lg shadow p-6">
+        <h3 class="text-lg font-semibold mb-1">💰 Health Accounts & Taxes</h3>
+        <p class="text-sm text-gray-600 mb-4">
+          Used to compare plans by net cost after employer HSA/HRA money and the tax you save on pre-tax contributions.
+          HSA contributions apply to HSA-eligible plans; the FSA election applies to all other plans.
+        </p>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label class="block text-sm font-medium mb-1">Marginal Tax Rate (%)</label>
+            <input type="number" min="0" max="100" step="1" value="${Math.round(settings.marginalTaxRate * 100)}"
+                   class="account-input w-full border border-gray-300 rounded px-3 py-2" data-field="marginalTaxRate">
+            <p class="text-xs text-gray-500 mt-1">Federal + state, plus 7.65% FICA for payroll deductions</p>
+          </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">Your HSA Contribution (per year)</label>
+            <input type="number" min="0" step="50" value="${settings.hsaContribution}"
+                   class="account-input w-full border border-gray-300 rounded px-3 py-2" data-field="hsaContribution">
+            <p class="text-xs text-gray-500 mt-1">
+              Capped at the IRS limit: $${TaxAdvantagedAccounts.IRS_LIMITS.hsaSelfOnly.toLocaleString()} self-only, 
+              $${TaxAdvantagedAccounts.IRS_LIMITS.hsaFamily.toLocaleString()} family
+            </p>
+          </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">Health FSA Election (per year)</label>
+            <input type="number" min="0" step="50" value="${settings.fsaElection}"
+                   class="account-input w-full border border-gray-300 rounded px-3 py-2" data-field="fsaElection">
+            <p class="text-xs text-gray-500 mt-1">Unspent FSA dollars are forfeited (limit $${TaxAdvantagedAccounts.IRS_LIMITS.healthFSA.toLocaleString()})</p>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderMarketplaceSettings() {
+    const settings = { ...MarketplaceSubsidies.getDefaultSettings(), ...this.familyData.marketplaceSettings };
+    
+    return `
+      <div class="bg-white rounded-lg shadow p-6">
+        <h3 class="text-lg font-semibold mb-1">🏛️ ACA Marketplace Subsidies</h3>
+        <p class="text-sm text-gray-600 mb-4">
+          For plans bought on the exchange. Your income sets the premium tax credit, and households 
+          up to 250% of the poverty line get lower deductibles and out-of-pocket maximums on silver plans.
+          Leave income at 0 if you get coverage through an employer.
+        </p>
+        <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label class="block text-sm font-medium mb-1">Household Income (per year)</label>
+            <input type="number" min="0" step="1000" value="${settings.householdIncome}"
+                   class="marketplace-input w-full border border-gray-300 rounded px-3 py-2" data-field="householdIncome">
+            <p class="text-xs text-gray-500 mt-1">Modified adjusted gross income</p>
+          </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">Household Size</label>
+            <input type="number" min="0" step="1" value="${settings.householdSize}"
+                   class="marketplace-input w-full border border-gray-300 rounded px-3 py-2" data-field="householdSize">
+            <p class="text-xs text-gray-500 mt-1">Everyone on your tax return (0 = covered members)</p>
+          </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">State</label>
+            <input type="text" maxlength="2" value="${settings.state}" placeholder="e.g. CA"
+                   class="marketplace-input w-full border border-gray-300 rounded px-3 py-2 uppercase" data-field="state">
+            <p class="text-xs text-gray-500 mt-1">Alaska and Hawaii use higher poverty lines</p>
+          </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">Benchmark Silver Premium (monthly)</label>
+            <input type="number" min="0" step="10" value="${settings.benchmarkPremium}"
+                   class="marketplace-input w-full border border-gray-300 rounded px-3 py-2" data-field="benchmarkPremium">
+            <p class="text-xs text-gray-500 mt-1">Second-lowest-cost silver plan for your household, from healthcare.gov</p>
+          </div>
+        </div>
       </div>
     `;
   }
@@ -542,6 +1039,110 @@ export class FamilyManager extends EventEmitter {
                    data-member-id="${member.id}" data-field="physicalTherapy"
                    ${!member.isActive ? 'disabled' : ''}>
           </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">Preventive / Well Visits (of primary care)</label>
+            <input type="number" min="0" value="${this.getPreventiveCount(member, 'preventiveVisits')}"
+                   class="usage-input w-full border border-gray-300 rounded px-3 py-2"
+                   data-member-id="${member.id}" data-field="preventiveVisits"
+                   ${!member.isActive ? 'disabled' : ''}>
+          </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">Screening Labs (of lab work)</label>
+            <input type="number" min="0" value="${this.getPreventiveCount(member, 'preventiveLabs')}"
+                   class="usage-input w-full border border-gray-300 rounded px-3 py-2"
+                   data-member-id="${member.id}" data-field="preventiveLabs"
+                   ${!member.isActive ? 'disabled' : ''}>
+          </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">Emergency Room Visits (per year)</label>
+            <input type="number" min="0" value="${member.emergencyVisits || 0}"
+                   class="usage-input w-full border border-gray-300 rounded px-3 py-2"
+                   data-member-id="${member.id}" data-field="emergencyVisits"
+                   ${!member.isActive ? 'disabled' : ''}>
+          </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">Urgent Care Visits (per year)</label>
+            <input type="number" min="0" value="${member.urgentCareVisits || 0}"
+                   class="usage-input w-full border border-gray-300 rounded px-3 py-2"
+                   data-member-id="${member.id}" data-field="urgentCareVisits"
+                   ${!member.isActive ? 'disabled' : ''}>
+          </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">MRI / CT Scans (per year)</label>
+            <input type="number" min="0" value="${member.advancedImaging || 0}"
+                   class="usage-input w-full border border-gray-300 rounded px-3 py-2"
+                   data-member-id="${member.id}" data-field="advancedImaging"
+                   ${!member.isActive ? 'disabled' : ''}>
+          </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">Outpatient Surgeries (per year)</label>
+            <input type="number" min="0" value="${member.outpatientSurgeries || 0}"
+                   class="usage-input w-full border border-gray-300 rounded px-3 py-2"
+                   data-member-id="${member.id}" data-field="outpatientSurgeries"
+                   ${!member.isActive ? 'disabled' : ''}>
+          </div>
+          <div>
+            <label class="block text-sm font-medium mb-1">Hospital Inpatient Days (per year)</label>
+            <input type="number" min="0" value="${member.inpatientDays || 0}"
+                   class="usage-input w-full border border-gray-300 rounded px-3 py-2"
+                   data-member-id="${member.id}" data-field="inpatientDays"
+                   ${!member.isActive ? 'disabled' : ''}>
+          </div>
+        </div>
+
+        <!-- Out-of-Network Providers -->
+        <div class="border-t pt-4 mb-4">
+          <h4 class="font-medium mb-1">Out-of-Network Providers</h4>
+          <p class="text-xs text-gray-500 mb-3">
+            Check services this person gets outside the plan's network, like a therapist who doesn't take insurance. 
+            Emergency room visits are always billed at in-network cost sharing.
+          </p>
+          <div class="grid grid-cols-2 gap-2">
+            ${Object.entries(FamilyManager.SCHEDULABLE_SERVICES).map(([field, label]) => `
+              <label class="flex items-center text-sm text-gray-700">
+                <input type="checkbox" class="network-toggle mr-2" 
+                       data-member-id="${member.id}" data-field="${field}"
+                       ${(member.outOfNetworkServices || []).includes(field) ? 'checked' : ''}
+                       ${!member.isActive ? 'disabled' : ''}>
+                ${label}
+              </label>
+            `).join('')}
+          </div>
+        </div>
+
+        <!-- Scheduled Care -->
+        <div class="border-t pt-4 mb-4">
+          <div class="flex justify-between items-center mb-1">
+            <h4 class="font-medium">Scheduled Care</h4>
+            <button class="text-blue-500 hover:text-blue-600 text-sm" 
+                    data-action="add-scheduled-event" data-member-id="${member.id}"
+                    ${!member.isActive ? 'disabled' : ''}>
+              + Add Scheduled Care
+            </button>
+          </div>
+          <p class="text-xs text-gray-500 mb-3">
+            Pin known care to a date, like a planned surgery, therapy starting in March, or a birth in July. 
+            Scheduled visits count toward the annual totals above; everything else is spread evenly across the year.
+          </p>
+          <div data-schedule-warning="${member.id}">${this.renderScheduleWarning(member)}</div>
+          ${this.renderScheduledEvents(member)}
+        </div>
+
+        <!-- Medical Episodes -->
+        <div class="border-t pt-4 mb-4">
+          <div class="flex justify-between items-center mb-1">
+            <h4 class="font-medium">Medical Episodes</h4>
+            <button class="text-blue-500 hover:text-blue-600 text-sm" 
+                    data-action="add-episode" data-member-id="${member.id}"
+                    ${!member.isActive ? 'disabled' : ''}>
+              + Add Episode
+            </button>
+          </div>
+          <p class="text-xs text-gray-500 mb-3">
+            Add a whole episode of care, like having a baby or managing type 1 diabetes. 
+            Each one adds its typical visits, procedures and prescriptions on top of the counts above.
+          </p>
+          ${this.renderEpisodes(member)}
         </div>
 
         <!-- Medications -->
@@ -560,6 +1161,126 @@ export class FamilyManager extends EventEmitter {
     `;
   }
 
+  // Preventive counts follow the age-based ACA schedule until the user sets them explicitly
+  getPreventiveCount(member, field) {
+    if (member[field] !== undefined && member[field] !== null) {
+      return member[field];
+    }
+    return UsageScenarios.getPreventiveDefaults(member)[field];
+  }
+
+  renderEpisodes(member) {
+    if (!member.episodes || member.episodes.length === 0) {
+      return `<p class="text-sm text-gray-500">No episodes added</p>`;
+    }
+
+    return member.episodes.map((entry, index) => {
+      const episode = MedicalEpisodes.getEpisode(entry.episodeId);
+      return `
+        <div class="bg-gray-50 rounded p-3 mb-2 grid grid-cols-2 gap-3" data-episode-id="${entry.id}">
+          <div>
+            <label class="block text-xs font-medium mb-1">Episode</label>
+            <select class="usage-input w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                    data-member-id="${member.id}" data-field="episodes[${index}].episodeId"
+                    ${!member.isActive ? 'disabled' : ''}>
+              ${Object.entries(MedicalEpisodes.EPISODES).map(([episodeId, definition]) => `
+                <option value="${episodeId}" ${entry.episodeId === episodeId ? 'selected' : ''}>${definition.label}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="flex items-end gap-2">
+            <div>
+              <label class="block text-xs font-medium mb-1">${episode ? episode.anchorLabel : 'Date'}</label>
+              <select class="usage-input border border-gray-300 rounded px-2 py-1 text-sm"
+                      data-member-id="${member.id}" data-field="episodes[${index}].month"
+                      ${!member.isActive ? 'disabled' : ''}>
+                ${PlanYear.MONTH_NAMES.map((name, monthIndex) => `
+                  <option value="${monthIndex + 1}" ${parseInt(entry.month) === monthIndex + 1 ? 'selected' : ''}>${name}</option>
+                `).join('')}
+              </select>
+            </div>
+            <input type="number" min="1" max="31" value="${entry.dayOfMonth || 1}"
+                   class="usage-input w-16 border border-gray-300 rounded px-2 py-1 text-sm"
+                   data-member-id="${member.id}" data-field="episodes[${index}].dayOfMonth"
+                   ${!member.isActive ? 'disabled' : ''}>
+            <button class="text-red-400 hover:text-red-600 text-sm ml-auto" 
+                    data-action="remove-episode" 
+                    data-member-id="${member.id}" data-episode-index="${index}"
+                    ${!member.isActive ? 'disabled' : ''}>
+              Remove
+            </button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  renderScheduledEvents(member) {
+    if (!member.scheduledEvents || member.scheduledEvents.length === 0) {
+      return `<p class="text-sm text-gray-500">No scheduled care added</p>`;
+    }
+
+    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    return member.scheduledEvents.map((entry, index) => `
+      <div class="bg-gray-50 rounded p-3 mb-2" data-scheduled-id="${entry.id}">
+        <div class="grid grid-cols-2 gap-3">
+          <div>
+            <label class="block text-xs font-medium mb-1">Description</label>
+            <input type="text" value="${entry.label || ''}" placeholder="e.g., Knee surgery"
+                   class="usage-input w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                   data-member-id="${member.id}" data-field="scheduledEvents[${index}].label"
+                   ${!member.isActive ? 'disabled' : ''}>
+          </div>
+          <div>
+            <label class="block text-xs font-medium mb-1">Service</label>
+            <select class="usage-input w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                    data-member-id="${member.id}" data-field="scheduledEvents[${index}].field"
+                    ${!member.isActive ? 'disabled' : ''}>
+              ${Object.entries(FamilyManager.SCHEDULABLE_SERVICES).map(([field, label]) => `
+                <option value="${field}" ${entry.field === field ? 'selected' : ''}>${label}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="grid grid-cols-2 gap-2">
+            <div>
+              <label class="block text-xs font-medium mb-1">Month</label>
+              <select class="usage-input w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                      data-member-id="${member.id}" data-field="scheduledEvents[${index}].month"
+                      ${!member.isActive ? 'disabled' : ''}>
+                ${monthNames.map((name, monthIndex) => `
+                  <option value="${monthIndex + 1}" ${parseInt(entry.month) === monthIndex + 1 ? 'selected' : ''}>${name}</option>
+                `).join('')}
+              </select>
+            </div>
+            <div>
+              <label class="block text-xs font-medium mb-1">Day</label>
+              <input type="number" min="1" max="31" value="${entry.dayOfMonth || 1}"
+                     class="usage-input w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                     data-member-id="${member.id}" data-field="scheduledEvents[${index}].dayOfMonth"
+                     ${!member.isActive ? 'disabled' : ''}>
+            </div>
+          </div>
+          <div class="flex items-end justify-between">
+            <div>
+              <label class="block text-xs font-medium mb-1">${entry.field === 'inpatientDays' ? 'Days' : 'Count (from this date)'}</label>
+              <input type="number" min="1" value="${entry.count || 1}"
+                     class="usage-input w-20 border border-gray-300 rounded px-2 py-1 text-sm"
+                     data-member-id="${member.id}" data-field="scheduledEvents[${index}].count"
+                     ${!member.isActive ? 'disabled' : ''}>
+            </div>
+            <button class="text-red-400 hover:text-red-600 text-sm" 
+                    data-action="remove-scheduled-event" 
+                    data-member-id="${member.id}" data-event-index="${index}"
+                    ${!member.isActive ? 'disabled' : ''}>
+              Remove
+            </button>
+          </div>
+        </div>
+      </div>
+    `).join('');
+  }
+
   renderMedications(member) {
     if (member.medications.length === 0) {
       return `<p class="text-sm text-gray-500">No medications added</p>`;
@@ -593,6 +1314,31 @@ export class FamilyManager extends EventEmitter {
                    data-member-id="${member.id}" data-field="medications[${index}].monthlyCost"
                    ${!member.isActive ? 'disabled' : ''}>
           </div>
+          <div>
+            <label class="block text-xs font-medium mb-1">Quantity (x monthly cost)</label>
+            <input type="number" min="1" step="1" value="${med.quantity || 1}"
+                   class="usage-input w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                   data-member-id="${member.id}" data-field="medications[${index}].quantity"
+                   ${!member.isActive ? 'disabled' : ''}>
+          </div>
+          <div>
+            <label class="block text-xs font-medium mb-1">Days Supply</label>
+            <select class="usage-input w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                    data-member-id="${member.id}" data-field="medications[${index}].daysSupply"
+                    ${!member.isActive ? 'disabled' : ''}>
+              <option value="30" ${med.daysSupply !== 90 ? 'selected' : ''}>30-day fills</option>
+              <option value="90" ${med.daysSupply === 90 ? 'selected' : ''}>90-day fills</option>
+            </select>
+          </div>
+          <div>
+            <label class="block text-xs font-medium mb-1">Pharmacy</label>
+            <select class="usage-input w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                    data-member-id="${member.id}" data-field="medications[${index}].channel"
+                    ${!member.isActive ? 'disabled' : ''}>
+              <option value="retail" ${med.channel !== 'mailOrder' ? 'selected' : ''}>Retail</option>
+              <option value="mailOrder" ${med.channel === 'mailOrder' ? 'selected' : ''}>Mail order</option>
+            </select>
+          </div>
           <div class="flex items-end">
             <button class="text-red-400 hover:text-red-600 text-sm" 
                     data-action="remove-medication" 
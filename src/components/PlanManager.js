@@ -3,17 +3,44 @@ import { EventEmitter } from '../utils/EventEmitter.js';
 import { StorageManager } from '../utils/StorageManager.js';
 import { PDFAnalyzer } from '../utils/PDFAnalyzer.js';
 import { PlanSearchAgent } from '../utils/PlanSearchAgent.js';
+import { CoverageExamples } from '../utils/CoverageExamples.js';
+import { UploadQueue } from '../utils/UploadQueue.js';
+import { PlanDiff } from '../utils/PlanDiff.js';
+import { serverlessLLM, ServerlessError } from '../utils/ServerlessLLMClient.js';
 import { WarningBanner } from './WarningBanner.js';
 import { SBCEducationModal } from './SBCEducationModal.js';
 import { EnvConfig } from '../utils/EnvConfig.js';
+import { CostCalculator } from '../utils/CostCalculator.js';
+import { SchemaValidationError } from '../utils/SchemaValidator.js';
+import { ValidationErrors } from './ValidationErrors.js';
 
 export class PlanManager extends EventEmitter {
+  // Services with per-service cost-sharing rules, keyed by CostCalculator service type
+  static COST_SHARING_SERVICES = {
+    primaryVisit: 'Primary Care',
+    specialistVisit: 'Specialist',
+    therapySession: 'Mental Health',
+    labWork: 'Lab Work',
+    imaging: 'X-ray / Imaging',
+    physicalTherapy: 'Physical Therapy',
+    emergencyRoom: 'Emergency Room',
+    urgentCare: 'Urgent Care',
+    advancedImaging: 'MRI / CT Scan',
+    outpatientSurgery: 'Outpatient Surgery',
+    inpatientStay: 'Hospital Stay'
+  };
+
   constructor() {
     super();
     this.plans = [];
     this.pdfAnalyzer = new PDFAnalyzer();
     this.searchAgent = new PlanSearchAgent();
-    this.isProcessing = false;
+    this.uploadQueue = new UploadQueue(
+      (file, progressCallback, options) => this.analyzeUpload(file, progressCallback, options),
+      () => serverlessLLM.getRateLimitWait('analyze-pdf')
+    );
+    this.uploadQueue.on('changed', () => this.updateUploadQueue());
+    this.uploadQueue.on('idle', (items) => this.handleUploadsFinished(items));
     this.saveTimeout = null;
     this.renderTimeout = null;
     this.isInitialized = false;
@@ -40,6 +67,10 @@ export class PlanManager extends EventEmitter {
         this.showAddPlanModal();
       }
       
+      if (button && button.dataset.action === 'compare-years') {
+        this.showPlanDiffModal();
+      }
+      
       if (button && button.dataset.action === 'remove-plan') {
         const planId = button.dataset.planId;
         this.removePlan(planId);
@@ -50,6 +81,22 @@ export class PlanManager extends EventEmitter {
         console.log(`📝 Edit plan clicked for ID: ${planId}`);
         this.editPlan(planId);
       }
+      
+      if (button && button.dataset.action === 'review-upload') {
+        this.reviewUpload(button.dataset.uploadId);
+      }
+      
+      if (button && button.dataset.action === 'retry-upload') {
+        this.uploadQueue.retry(button.dataset.uploadId);
+      }
+      
+      if (button && button.dataset.action === 'skip-upload-wait') {
+        this.uploadQueue.skipWait(button.dataset.uploadId);
+      }
+      
+      if (button && button.dataset.action === 'remove-upload') {
+        this.uploadQueue.remove(button.dataset.uploadId);
+      }
     });
 
     // File drop handling
@@ -80,7 +127,7 @@ export class PlanManager extends EventEmitter {
     e.stopPropagation();
   }
 
-  async handleFileDrop(e) {
+  handleFileDrop(e) {
     const files = Array.from(e.dataTransfer.files);
     const pdfFiles = files.filter(file => file.type === 'application/pdf');
     
@@ -89,70 +136,71 @@ export class PlanManager extends EventEmitter {
       return;
     }
 
-    for (const file of pdfFiles) {
-      await this.processPDF(file);
-    }
+    this.uploadQueue.add(pdfFiles);
   }
 
-  async processPDF(file) {
+  // Analyze one queued SBC. Throws a readable error for the queue to show, except for rate limits,
+  // which the queue waits out.
+  async analyzeUpload(file, progressCallback, options = {}) {
     console.log(`🔄 Starting PDF processing for: ${file.name}`);
-    this.setProcessingState(true, `Starting analysis of ${file.name}...`);
     
     // Show LLM configuration UI in local mode only
     const shouldOfferLocalLLM = await EnvConfig.isLocalLLMEnabled();
     if (shouldOfferLocalLLM && !this.hasOfferedLLM) {
       this.hasOfferedLLM = true;
-      setTimeout(async () => {
-        const useEnhanced = await this.offerEnhancedAnalysis();
-        if (useEnhanced) {
-          // Re-analyze the file with LLM if they configured it
-          this.setProcessingState(true, `Re-analyzing ${file.name} with enhanced AI...`);
-        }
-      }, 500);
+      setTimeout(() => this.offerEnhancedAnalysis(), 500);
     }
     
+    let planData;
     try {
       console.log(`📖 About to call pdfAnalyzer.analyzeSBC`);
-      const planData = await this.pdfAnalyzer.analyzeSBC(file, (status) => {
+      planData = await this.pdfAnalyzer.analyzeSBC(file, (status, stage) => {
         console.log(`📊 PDF Analysis Status: ${status}`);
-        this.setProcessingState(true, `${file.name}: ${status}`);
-      });
-      
-      console.log(`✅ PDF analysis complete, got data:`, planData);
-      
-      if (planData && Object.keys(planData).length > 3) { // Ensure we got meaningful data
-        console.log(`📝 Preparing plan data with ID and metadata`);
-        planData.id = this.generatePlanId();
-        planData.source = 'pdf_upload';
-        planData.fileName = file.name;
-        planData.uploadDate = new Date().toISOString();
-        
-        console.log(`📋 Showing plan review form for premium input and data verification`);
-        this.showPlanReviewForm(planData, file.name);
-      } else {
-        console.log(`❌ Insufficient plan data extracted`);
-        this.showError(`Could not extract sufficient plan data from ${file.name}. Please try manual entry.`);
-      }
+        progressCallback(status, stage);
+      }, options);
     } catch (error) {
       console.error('❌ PDF processing error:', error);
-      let errorMessage = `Error processing ${file.name}: `;
+      if (error instanceof ServerlessError && error.isRateLimited()) {
+        throw error;
+      }
       
       if (error.message.includes('timeout')) {
-        errorMessage += 'Processing took too long. The PDF may be corrupted or too large.';
+        throw new Error('Processing took too long. The PDF may be corrupted or too large.');
       } else if (error.message.includes('empty')) {
-        errorMessage += 'The PDF appears to be empty or contains no readable text.';
-      } else {
-        errorMessage += error.message;
+        throw new Error('The PDF appears to be empty or contains no readable text.');
       }
-      
-      this.showError(errorMessage);
-    } finally {
-      console.log(`🔄 Setting processing state to false`);
-      this.setProcessingState(false);
-      console.log(`✅ PDF processing cleanup complete`);
+      throw error;
     }
+    
+    console.log(`✅ PDF analysis complete, got data:`, planData);
+    if (!planData || Object.keys(planData).length <= 3) { // Ensure we got meaningful data
+      throw new Error('Could not extract sufficient plan data. Please try manual entry.');
+    }
+    
+    planData.id = this.generatePlanId();
+    planData.source = 'pdf_upload';
+    planData.fileName = file.name;
+    planData.uploadDate = new Date().toISOString();
+    return planData;
   }
 
+  reviewUpload(uploadId) {
+    const item = this.uploadQueue.getItem(uploadId);
+    if (!item || item.status !== 'needsReview') return;
+    
+    console.log(`📋 Showing plan review form for premium input and data verification`);
+    this.showPlanReviewForm(item.planData, item.fileName, false, () => this.uploadQueue.remove(uploadId));
+  }
+
+  // A single upload goes straight to review; a batch is reviewed from the list
+  handleUploadsFinished(items) {
+    const ready = items.filter(item => item.status === 'needsReview');
+    if (items.length === 1 && ready.length === 1) {
+      this.reviewUpload(ready[0].id);
+    } else if (ready.length > 0) {
+      this.showSuccess(`✅ ${ready.length} plan${ready.length === 1 ? '' : 's'} ready for review`);
+    }
+  }
 
   showAddPlanModal() {
     const modal = document.createElement('div');
@@ -233,6 +281,11 @@ export class PlanManager extends EventEmitter {
       }
     });
 
+    // Files dropped on the modal join the upload queue
+    const dropZone = modal.querySelector('.drag-drop-zone');
+    this.setupFileDropZone(dropZone);
+    dropZone.addEventListener('drop', () => modal.remove());
+
     // Handle file input
     const fileInput = modal.querySelector('#plan-file-input');
     if (fileInput) {
@@ -240,8 +293,8 @@ export class PlanManager extends EventEmitter {
         const files = Array.from(e.target.files);
         modal.remove();
         
-        for (const file of files) {
-          await this.processPDF(file);
+        if (files.length > 0) {
+          this.uploadQueue.add(files);
         }
       });
     }
@@ -249,7 +302,223 @@ export class PlanManager extends EventEmitter {
     document.body.appendChild(modal);
   }
 
+  // Year-over-year comparison of two versions of a plan: saved plans or freshly uploaded SBCs
+  showPlanDiffModal() {
+    const versionPicker = (version, label, selectedIndex) => `
+      <div>
+        <label class="block text-sm font-medium mb-2">${label}</label>
+        <select class="w-full border border-gray-300 rounded px-3 py-2" data-version="${version}">
+          ${this.plans.length === 0 ? '<option value="">Upload an SBC below</option>' : ''}
+          ${this.plans.map((plan, index) => `
+            <option value="${plan.id}" ${index === selectedIndex ? 'selected' : ''}>${plan.name || 'Unnamed Plan'}${plan.insurer ? ` (${plan.insurer})` : ''}</option>
+          `).join('')}
+        </select>
+        <button class="text-sm text-blue-500 hover:text-blue-600 underline mt-1" data-action="upload-version" data-version="${version}">
+          or upload an SBC
+        </button>
+        <input type="file" accept=".pdf" class="hidden" data-version-file="${version}">
+        <p class="text-xs text-gray-500 mt-1" data-version-status="${version}"></p>
+      </div>
+    `;
+
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-3xl w-full mx-4 max-h-screen overflow-y-auto">
+        <h3 class="text-lg font-semibold mb-1">What Changed in Your Plan?</h3>
+        <p class="text-sm text-gray-600 mb-4">Pick last year's and this year's version of a plan, or upload both SBCs, to see every change and what it means for your family's costs.</p>
+        
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+          ${versionPicker('previous', "Last year's plan", 0)}
+          ${versionPicker('current', "This year's plan", 1)}
+        </div>
+        
+        <div id="plan-diff-results" class="mt-6"></div>
+        
+        <div class="mt-6 flex justify-end space-x-3">
+          <button class="px-4 py-2 text-gray-600 hover:text-gray-800" data-action="cancel">Close</button>
+          <button class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded" data-action="compare-versions">Compare</button>
+        </div>
+      </div>
+    `;
+
+    // Uploaded SBCs are compared without being added to the plan list
+    const uploadedPlans = {};
+    const setStatus = (version, message) => {
+      modal.querySelector(`[data-version-status="${version}"]`).textContent = message;
+    };
+
+    modal.querySelectorAll('[data-version-file]').forEach(input => {
+      input.addEventListener('change', async () => {
+        const version = input.dataset.versionFile;
+        const file = input.files[0];
+        if (!file) return;
+        
+        delete uploadedPlans[version];
+        setStatus(version, `Analyzing ${file.name}...`);
+        try {
+          uploadedPlans[version] = await this.analyzeUpload(file, (message) => setStatus(version, message));
+          setStatus(version, '');
+          
+          const select = modal.querySelector(`select[data-version="${version}"]`);
+          let option = select.querySelector('option[value="uploaded"]');
+          if (!option) {
+            option = document.createElement('option');
+            option.value = 'uploaded';
+            select.appendChild(option);
+          }
+          option.textContent = `📄 ${uploadedPlans[version].name || file.name} (uploaded)`;
+          select.value = 'uploaded';
+        } catch (error) {
+          setStatus(version, `❌ ${error.message}`);
+        }
+      });
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target.matches('[data-action="upload-version"]')) {
+        modal.querySelector(`[data-version-file="${e.target.dataset.version}"]`).click();
+      }
+      
+      if (e.target.matches('[data-action="compare-versions"]')) {
+        const versions = {};
+        for (const version of ['previous', 'current']) {
+          const selected = modal.querySelector(`select[data-version="${version}"]`).value;
+          versions[version] = selected === 'uploaded' ? uploadedPlans[version] : this.plans.find(plan => plan.id === selected);
+        }
+        this.showPlanDiff(modal.querySelector('#plan-diff-results'), versions.previous, versions.current);
+      }
+      
+      if (e.target.matches('[data-action="cancel"]') || e.target === modal) {
+        modal.remove();
+      }
+    });
+
+    document.body.appendChild(modal);
+  }
+
+  showPlanDiff(resultsElement, previousPlan, currentPlan) {
+    if (!previousPlan || !currentPlan) {
+      resultsElement.innerHTML = '<p class="text-sm text-red-600">Choose both plan versions, or wait for uploaded SBCs to finish analyzing.</p>';
+      return;
+    }
+    if (previousPlan === currentPlan) {
+      resultsElement.innerHTML = '<p class="text-sm text-red-600">Choose two different plan versions to compare.</p>';
+      return;
+    }
+
+    const diff = PlanDiff.compare(previousPlan, currentPlan, PlanManager.COST_SHARING_SERVICES);
+
+    // An uploaded SBC without a premium would be priced at $0/month, a false premium saving; compare without premiums
+    const excludePremiums = [previousPlan, currentPlan].some(plan => !this.plans.includes(plan) && !PlanDiff.hasPremium(plan));
+
+    // The family and service costs live in other tabs; the app hands them over on request
+    let impact = null;
+    let impactError = null;
+    this.emit('requestFamilyData', (familyData) => {
+      try {
+        impact = PlanDiff.calculateImpact(previousPlan, currentPlan, familyData, diff.changes, { excludePremiums });
+      } catch (error) {
+        console.error('❌ Plan diff calculation failed:', error);
+        impactError = error.message;
+      }
+    });
+
+    resultsElement.innerHTML = this.renderPlanDiff(diff, impact, impactError);
+  }
+
+  renderPlanDiff(diff, impact, impactError) {
+    const signedCurrency = (amount) => {
+      const rounded = Math.round(amount);
+      if (rounded === 0) return 'No change';
+      return `${rounded > 0 ? '+' : '-'}${this.formatCurrency(Math.abs(rounded))}`;
+    };
+    const impactColor = (amount) => Math.round(amount) > 0 ? 'text-red-600' : Math.round(amount) < 0 ? 'text-green-600' : 'text-gray-500';
+    const impactCell = (amount) => amount === null
+      ? '<td class="py-2 text-right text-gray-400" title="Premiums are left out of this comparison">—</td>'
+      : `<td class="py-2 text-right ${impactColor(amount)}">${signedCurrency(amount)}</td>`;
+
+    let summary = '';
+    if (impact) {
+      const rows = [
+        ...(impact.premiumsExcluded ? [] : [['Annual premiums', 'annualPremium']]),
+        ['Out-of-pocket costs', 'totalOutOfPocket'],
+        [impact.premiumsExcluded ? 'Net annual cost (excluding premiums)' : 'Net annual cost', 'netCost']
+      ];
+      summary = `
+        <div class="bg-gray-50 rounded-lg p-4 mb-4">
+          <h4 class="font-medium text-gray-900 mb-2">💵 Impact on your family this year${impact.premiumsExcluded ? ', excluding premiums' : ''}</h4>
+          <table class="w-full text-sm">
+            <thead>
+              <tr class="text-gray-500">
+                <th class="text-left font-normal py-1"></th>
+                <th class="text-right font-normal py-1">Last year's plan</th>
+                <th class="text-right font-normal py-1">This year's plan</th>
+                <th class="text-right font-normal py-1">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rows.map(([label, key]) => `
+                <tr class="${key === 'netCost' ? 'font-semibold border-t border-gray-200' : ''}">
+                  <td class="py-1">${label}</td>
+                  <td class="py-1 text-right">${this.formatCurrency(impact.previous[key])}</td>
+                  <td class="py-1 text-right">${this.formatCurrency(impact.current[key])}</td>
+                  <td class="py-1 text-right ${impactColor(impact.difference[key])}">${signedCurrency(impact.difference[key])}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+          <p class="text-xs text-gray-500 mt-2">Your family's usage and service costs, run through both versions. Net cost includes employer account contributions and tax savings.</p>
+          ${impact.premiumsExcluded ? `
+            <p class="text-xs text-yellow-700 mt-1">⚠️ An uploaded SBC doesn't list its premium, so premiums are left out. Add the plan with its premium to include them.</p>
+          ` : ''}
+        </div>
+      `;
+    } else if (impactError) {
+      summary = `
+        <div class="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4 text-sm text-yellow-800">
+          ⚠️ Couldn't calculate the dollar impact: ${impactError}
+        </div>
+      `;
+    }
+
+    if (diff.changes.length === 0) {
+      return `${summary}<p class="text-sm text-gray-600">✅ No differences found in the ${diff.unchanged.length} fields compared.</p>`;
+    }
+
+    return `
+      ${summary}
+      <h4 class="font-medium text-gray-900 mb-2">📝 ${diff.changes.length} change${diff.changes.length === 1 ? '' : 's'}</h4>
+      <table class="w-full text-sm">
+        <thead>
+          <tr class="text-gray-500 border-b border-gray-200">
+            <th class="text-left font-normal py-2">Field</th>
+            <th class="text-left font-normal py-2">Last year</th>
+            <th class="text-left font-normal py-2">This year</th>
+            ${impact ? '<th class="text-right font-normal py-2" title="Change in net annual cost from this change alone">Impact</th>' : ''}
+          </tr>
+        </thead>
+        <tbody>
+          ${diff.changes.map(change => `
+            <tr class="border-b border-gray-100">
+              <td class="py-2">
+                <div>${change.label}</div>
+                <div class="text-xs text-gray-500">${change.group}</div>
+              </td>
+              <td class="py-2 text-gray-600">${change.previous}</td>
+              <td class="py-2 font-medium">${change.current}</td>
+              ${impact ? impactCell(impact.fieldImpacts[change.key]) : ''}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${impact ? '<p class="text-xs text-gray-500 mt-2">Impact prices each change on its own, so changes that interact (e.g. a deductible and an out-of-pocket max) may not add up to the total.</p>' : ''}
+      <p class="text-xs text-gray-500 mt-1">${diff.unchanged.length} other field${diff.unchanged.length === 1 ? '' : 's'} unchanged.</p>
+    `;
+  }
+
   renderAnalysisStatus(planData) {
+    let banner = '';
     if (planData.extractionMethod === 'hybrid' && planData.llmAnalyzed) {
       const qualityColors = {
         'HIGH': 'bg-green-50 border-green-200 text-green-700',
@@ -259,7 +528,7 @@ export class PlanManager extends EventEmitter {
       
       const qualityColor = qualityColors[planData.llmQuality] || qualityColors['MEDIUM'];
       
-      return `
+      banner = `
         <div class="mb-4 p-4 ${qualityColor} border rounded-lg">
           <div class="flex items-start">
             <span class="text-xl mr-3">🤖</span>
@@ -277,7 +546,7 @@ export class PlanManager extends EventEmitter {
         </div>
       `;
     } else if (planData.extractionMethod === 'regex') {
-      return `
+      banner = `
         <div class="mb-4 p-4 bg-gray-50 border border-gray-200 rounded-lg">
           <div class="flex items-start">
             <span class="text-xl mr-3">🔍</span>
@@ -290,10 +559,116 @@ export class PlanManager extends EventEmitter {
       `;
     }
     
-    return '';
+    if (planData.ocrUsed) {
+      banner += `
+        <div class="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          <strong>📷 Scanned document:</strong> this SBC had no text layer, so it was read with OCR.
+          Scanning can misread digits - compare the numbers below with the document.
+        </div>
+      `;
+    }
+    
+    if (planData.extractionIssues && planData.extractionIssues.length > 0) {
+      banner += `
+        <div class="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          <strong>⚠️ AI values ignored:</strong> the AI analysis returned these in an unexpected form, so pattern matching was used instead.
+          <div class="mt-1">${ValidationErrors.renderList(planData.extractionIssues)}</div>
+        </div>
+      `;
+    }
+    
+    return banner + this.renderProvenanceSummary(planData.fieldProvenance) + this.renderCoverageExampleCheck(planData);
+  }
+
+  // Extracted fields to double-check: low confidence, or the AI and pattern matching read different values
+  getFlaggedFields(fieldProvenance) {
+    return Object.entries(fieldProvenance || {})
+      .filter(([, provenance]) => provenance.conflict || provenance.confidence < PDFAnalyzer.LOW_CONFIDENCE)
+      .map(([field]) => field);
+  }
+
+  renderProvenanceSummary(fieldProvenance) {
+    const flagged = this.getFlaggedFields(fieldProvenance);
+    if (flagged.length === 0) return '';
+    
+    return `
+      <div class="mb-4 p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm text-orange-800">
+        <strong>🔎 Double-check the ${flagged.length} field${flagged.length === 1 ? '' : 's'} outlined in orange below.</strong>
+        Hover over any extracted field to see where it was found in the document.
+      </div>
+    `;
+  }
+
+  // Tooltip with the extraction method, confidence and source text on every extracted input; outline the flagged ones
+  highlightExtractedFields(modal, planData) {
+    const fieldProvenance = planData.fieldProvenance;
+    if (!fieldProvenance) return;
+    
+    const methodLabels = { llm: 'AI extraction', regex: 'Pattern matching', table: 'SBC benefit table', both: 'AI and pattern matching agree' };
+    // Coinsurance fields hold rates; drug tiers hold a rate or a copay depending on their type
+    const isRate = (field) => ['coinsurance', 'outOfNetworkCoinsurance'].includes(field) || planData[`${field}Type`] === 'coinsurance';
+    const formatValue = (field, value) => isRate(field) ? `${Math.round(value * 100)}%` : `$${value.toLocaleString()}`;
+    const flagged = this.getFlaggedFields(fieldProvenance);
+    
+    for (const [field, provenance] of Object.entries(fieldProvenance)) {
+      const input = modal.querySelector(`input[name="${field}"]`);
+      if (!input) continue;
+      
+      const lines = [`${methodLabels[provenance.method]} - ${Math.round(provenance.confidence * 100)}% confidence`];
+      if (provenance.conflict) {
+        lines.push(`AI read ${formatValue(field, provenance.llmValue)}, pattern matching read ${formatValue(field, provenance.regexValue)}`);
+      }
+      lines.push(provenance.snippet
+        ? `Page ${provenance.page}: "${provenance.snippet}"`
+        : 'Value not found in the document text');
+      input.title = lines.join('\n');
+      
+      if (flagged.includes(field)) {
+        input.classList.remove('border-gray-300');
+        input.classList.add('border-orange-400', 'bg-orange-50');
+      }
+    }
+  }
+
+  // Re-run the SBC's coverage examples through our calculator and compare with the insurer's member cost
+  renderCoverageExampleCheck(planData) {
+    const results = CoverageExamples.check(planData, planData.coverageExamples);
+    if (results.length === 0) return '';
+    
+    const mismatches = results.filter(result => !result.matches);
+    const rows = results.map(result => {
+      if (result.error) {
+        return `<li>⚠️ <strong>${result.label}:</strong> could not be checked (${result.error})</li>`;
+      }
+      return `
+        <li>
+          ${result.matches ? '✅' : '⚠️'} <strong>${result.label}:</strong>
+          SBC says $${result.sbcMemberCost.toLocaleString()}, we calculate $${Math.round(result.calculatedMemberCost).toLocaleString()}
+          of $${result.totalExampleCost.toLocaleString()}
+        </li>
+      `;
+    }).join('');
+    
+    const color = mismatches.length > 0 ? 'bg-orange-50 border-orange-200 text-orange-800' : 'bg-green-50 border-green-200 text-green-800';
+    return `
+      <div class="mb-4 p-4 ${color} border rounded-lg">
+        <div class="flex items-start">
+          <span class="text-xl mr-3">🧪</span>
+          <div class="text-sm">
+            <p class="font-medium mb-1">SBC Coverage Example Check</p>
+            <ul class="space-y-1 mb-2">${rows}</ul>
+            <p class="text-xs">
+              ${mismatches.length > 0
+                ? 'Our results differ from the insurer\'s examples. Double-check the deductible, out-of-pocket maximum, coinsurance and copays below.'
+                : 'Our calculation matches the insurer\'s own examples for this plan.'}
+            </p>
+          </div>
+        </div>
+      </div>
+    `;
   }
 
-  showPlanReviewForm(planData, fileName, isEditMode = false) {
+  showPlanReviewForm(planData, fileName, isEditMode = false, onSave = null) {
     const modal = document.createElement('div');
     modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 overflow-y-auto';
     modal.innerHTML = `
@@ -304,6 +679,8 @@ export class PlanManager extends EventEmitter {
         ${this.renderAnalysisStatus(planData)}
 
         <form id="plan-review-form" class="space-y-8">
+          <div id="plan-form-errors" class="hidden p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700"></div>
+
           <!-- CRITICAL: Premium Input Section -->
           <div class="bg-gradient-to-r from-orange-50 to-yellow-50 border-2 border-orange-300 rounded-xl p-6 shadow-lg">
             <div class="flex items-center mb-4">
@@ -324,7 +701,7 @@ export class PlanManager extends EventEmitter {
                 <p class="text-xs text-orange-700 mt-1">💡 Check your paystub, benefits portal, or HR materials</p>
               </div>
 
-              <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
                 <div>
                   <label class="block text-sm font-bold text-orange-900 mb-2">Individual Premium *</label>
                   <div class="relative">
@@ -345,6 +722,16 @@ export class PlanManager extends EventEmitter {
                   </div>
                   <p class="text-xs text-orange-700 mt-1 font-medium">Employee + spouse only</p>
                 </div>
+                <div>
+                  <label class="block text-sm font-bold text-orange-900 mb-2">Employee + Children</label>
+                  <div class="relative">
+                    <span class="absolute left-3 top-3 text-gray-500 font-medium">$</span>
+                    <input type="number" name="childrenPremium" value="${planData.childrenPremium || ''}" 
+                           class="w-full border-2 border-orange-300 rounded-lg pl-8 pr-3 py-3 text-lg font-semibold bg-white focus:border-orange-500 focus:ring-2 focus:ring-orange-200 focus:bg-orange-50" 
+                           placeholder="0" step="0.01" min="0">
+                  </div>
+                  <p class="text-xs text-orange-700 mt-1 font-medium">Employee + child(ren), no spouse</p>
+                </div>
                 <div>
                   <label class="block text-sm font-bold text-orange-900 mb-2">Family Premium</label>
                   <div class="relative">
@@ -356,6 +743,49 @@ export class PlanManager extends EventEmitter {
                   <p class="text-xs text-orange-700 mt-1 font-medium">Employee + family</p>
                 </div>
               </div>
+
+              <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4 pt-4 border-t border-orange-200">
+                <div>
+                  <label class="block text-sm font-medium text-orange-900 mb-1">Spousal Surcharge (monthly)</label>
+                  <div class="relative">
+                    <span class="absolute left-3 top-2 text-gray-500">$</span>
+                    <input type="number" name="spouseSurcharge" value="${planData.spouseSurcharge || ''}" 
+                           class="w-full border border-orange-300 rounded-md pl-8 pr-3 py-2 bg-white" placeholder="0" step="0.01" min="0">
+                  </div>
+                  <p class="text-xs text-orange-700 mt-1">Added whenever a spouse is covered</p>
+                </div>
+                <div>
+                  <label class="block text-sm font-medium text-orange-900 mb-1">Premium Pricing</label>
+                  <select name="premiumRating" class="w-full border border-orange-300 rounded-md px-3 py-2 bg-white">
+                    <option value="tiered" ${planData.premiumRating !== 'ageRated' ? 'selected' : ''}>Coverage tiers (employer plans)</option>
+                    <option value="ageRated" ${planData.premiumRating === 'ageRated' ? 'selected' : ''}>Per member by age (marketplace)</option>
+                  </select>
+                </div>
+                <div>
+                  <label class="block text-sm font-medium text-orange-900 mb-1">Age-Rated Base Premium (age 21)</label>
+                  <div class="relative">
+                    <span class="absolute left-3 top-2 text-gray-500">$</span>
+                    <input type="number" name="ageRatedBasePremium" value="${planData.ageRatedBasePremium || ''}" 
+                           class="w-full border border-orange-300 rounded-md pl-8 pr-3 py-2 bg-white" placeholder="0" step="0.01" min="0">
+                  </div>
+                  <p class="text-xs text-orange-700 mt-1">Scaled by the ACA age curve for each covered member</p>
+                </div>
+              </div>
+
+              <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4 pt-4 border-t border-orange-200">
+                <label class="flex items-center text-sm text-orange-900 md:col-span-2">
+                  <input type="checkbox" name="marketplacePlan" class="mr-2" ${planData.marketplacePlan ? 'checked' : ''}>
+                  ACA marketplace plan (premium tax credits apply except to catastrophic plans; cost-sharing reductions to silver)
+                </label>
+                <div>
+                  <label class="block text-sm font-medium text-orange-900 mb-1">Metal Tier</label>
+                  <select name="metalTier" class="w-full border border-orange-300 rounded-md px-3 py-2 bg-white">
+                    ${['', 'catastrophic', 'bronze', 'silver', 'gold', 'platinum'].map(tier => `
+                      <option value="${tier}" ${(planData.metalTier || '') === tier ? 'selected' : ''}>${tier ? tier.charAt(0).toUpperCase() + tier.slice(1) : 'Not specified'}</option>
+                    `).join('')}
+                  </select>
+                </div>
+              </div>
             </div>
           </div>
 
@@ -443,7 +873,25 @@ export class PlanManager extends EventEmitter {
                          class="w-full border border-gray-300 rounded-md pl-8 pr-3 py-2" step="50" min="0">
                 </div>
               </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Family Deductible Structure</label>
+                <select name="deductibleStructure" class="w-full border border-gray-300 rounded-md px-3 py-2">
+                  <option value="embedded" ${planData.deductibleStructure !== 'aggregate' ? 'selected' : ''}>Embedded (per-person limit)</option>
+                  <option value="aggregate" ${planData.deductibleStructure === 'aggregate' ? 'selected' : ''}>Aggregate (family total only)</option>
+                </select>
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Family Out-of-Pocket Structure</label>
+                <select name="oopStructure" class="w-full border border-gray-300 rounded-md px-3 py-2">
+                  <option value="embedded" ${planData.oopStructure !== 'aggregate' ? 'selected' : ''}>Embedded (per-person limit)</option>
+                  <option value="aggregate" ${planData.oopStructure === 'aggregate' ? 'selected' : ''}>Aggregate (family total only)</option>
+                </select>
+              </div>
             </div>
+            <label class="flex items-center mt-4 text-sm text-gray-700">
+              <input type="checkbox" name="deductibleCarryover" class="mr-2" ${planData.deductibleCarryover ? 'checked' : ''}>
+              Credits deductible already paid under a prior plan this plan year (deductible carryover)
+            </label>
           </div>
 
           <!-- Medical Copays & Coinsurance -->
@@ -466,6 +914,22 @@ export class PlanManager extends EventEmitter {
                          class="w-full border border-gray-300 rounded-md pl-8 pr-3 py-2" step="5" min="0">
                 </div>
               </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Urgent Care Copay</label>
+                <div class="relative">
+                  <span class="absolute left-3 top-2 text-gray-500">$</span>
+                  <input type="number" name="urgentCareCopay" value="${planData.urgentCareCopay || ''}" 
+                         class="w-full border border-gray-300 rounded-md pl-8 pr-3 py-2" step="5" min="0">
+                </div>
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Emergency Room Copay</label>
+                <div class="relative">
+                  <span class="absolute left-3 top-2 text-gray-500">$</span>
+                  <input type="number" name="emergencyRoomCopay" value="${planData.emergencyRoomCopay || ''}" 
+                         class="w-full border border-gray-300 rounded-md pl-8 pr-3 py-2" step="25" min="0">
+                </div>
+              </div>
               <div>
                 <label class="block text-sm font-medium text-gray-700 mb-1">Coinsurance %</label>
                 <div class="relative">
@@ -477,6 +941,78 @@ export class PlanManager extends EventEmitter {
             </div>
           </div>
 
+          <!-- Out-of-Network Coverage -->
+          <div class="border border-gray-200 rounded-lg p-4">
+            <h4 class="font-semibold text-gray-900 mb-1">🌐 Out-of-Network Coverage</h4>
+            <p class="text-xs text-gray-500 mb-3">From the SBC's "Out-of-Network Provider" column. Out-of-network spending has its own deductible and out-of-pocket maximum.</p>
+            <label class="flex items-center mb-4 text-sm text-gray-700">
+              <input type="checkbox" name="outOfNetworkCovered" class="mr-2" ${planData.outOfNetworkCovered || (planData.outOfNetworkCovered === undefined && 
+                (planData.outOfNetworkIndividualDeductible > 0 || planData.outOfNetworkCoinsurance > 0)) ? 'checked' : ''}>
+              Covers out-of-network care (uncheck for HMO/EPO plans that pay nothing out of network)
+            </label>
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+              ${[
+                ['outOfNetworkIndividualDeductible', 'Individual Deductible'],
+                ['outOfNetworkFamilyDeductible', 'Family Deductible'],
+                ['outOfNetworkIndividualOOPMax', 'Individual Out-of-Pocket Max'],
+                ['outOfNetworkFamilyOOPMax', 'Family Out-of-Pocket Max']
+              ].map(([field, label]) => `
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-1">${label}</label>
+                  <div class="relative">
+                    <span class="absolute left-3 top-2 text-gray-500">$</span>
+                    <input type="number" name="${field}" value="${planData[field] || ''}" 
+                           class="w-full border border-gray-300 rounded-md pl-8 pr-3 py-2" step="50" min="0">
+                  </div>
+                </div>
+              `).join('')}
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Coinsurance %</label>
+                <div class="relative">
+                  <input type="number" name="outOfNetworkCoinsurance" value="${(planData.outOfNetworkCoinsurance || 0) * 100}" 
+                         class="w-full border border-gray-300 rounded-md px-3 py-2" step="5" min="0" max="100">
+                  <span class="absolute right-3 top-2 text-gray-500">%</span>
+                </div>
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Allowed Amount (% of billed)</label>
+                <div class="relative">
+                  <input type="number" name="outOfNetworkAllowedPercent" value="${planData.outOfNetworkAllowedPercent || ''}" placeholder="100"
+                         class="w-full border border-gray-300 rounded-md px-3 py-2" step="5" min="0" max="100">
+                  <span class="absolute right-3 top-2 text-gray-500">%</span>
+                </div>
+              </div>
+            </div>
+            <p class="text-xs text-gray-500 mt-2">
+              Out-of-network providers can bill you for charges above the plan's allowed amount (balance billing). 
+              Leave the out-of-pocket max blank if the plan has no out-of-network limit.
+            </p>
+          </div>
+
+          <!-- Per-Service Cost Sharing -->
+          <div class="border border-gray-200 rounded-lg p-4">
+            <h4 class="font-semibold text-gray-900 mb-1">📑 Cost Sharing by Service</h4>
+            <p class="text-xs text-gray-500 mb-3">From the SBC's "What You Will Pay" column. Leave a service on "Plan defaults" to use the copays and coinsurance above.</p>
+            <div class="overflow-x-auto">
+              <table class="w-full text-sm">
+                <thead>
+                  <tr class="text-left text-gray-600">
+                    <th class="py-1 pr-2">Service</th>
+                    <th class="py-1 pr-2">Rule</th>
+                    <th class="py-1 pr-2">Copay</th>
+                    <th class="py-1 pr-2">Coinsurance %</th>
+                    <th class="py-1">Deductible Applies</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${this.renderCostSharingRows(planData.serviceCostSharing || {})}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          ${this.renderCoverageLimits(planData)}
+
           <!-- Prescription Drugs -->
           <div class="border border-gray-200 rounded-lg p-4">
             <h4 class="font-semibold text-gray-900 mb-3">💊 Prescription Drug Coverage</h4>
@@ -523,12 +1059,112 @@ export class PlanManager extends EventEmitter {
                 </div>
                 <p class="text-xs text-gray-500 mt-1">Enter dollar amount for copay or decimal for coinsurance (e.g., 0.25 for 25%)</p>
               </div>
+              ${[
+                ['mailOrderTier1DrugCost', 'Tier 1 Mail Order (90-day)'],
+                ['mailOrderTier2DrugCost', 'Tier 2 Mail Order (90-day)'],
+                ['mailOrderTier3DrugCost', 'Tier 3 Mail Order (90-day)'],
+                ['mailOrderSpecialtyDrugCost', 'Tier 4 Mail Order (90-day)']
+              ].map(([field, label]) => `
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-1">${label}</label>
+                  <div class="relative">
+                    <span class="absolute left-3 top-2 text-gray-500">$</span>
+                    <input type="number" name="${field}" value="${planData[field] || ''}" 
+                           class="w-full border border-gray-300 rounded-md pl-8 pr-3 py-2" step="0.01" min="0">
+                  </div>
+                </div>
+              `).join('')}
+              <p class="text-xs text-gray-500 md:col-span-4">
+                Mail-order prices apply to 90-day mail-order fills. Leave blank to price them as three retail fills.
+              </p>
+              ${[
+                ['tier1DrugCost', 'Tier 1'],
+                ['tier2DrugCost', 'Tier 2'],
+                ['tier3DrugCost', 'Tier 3'],
+                ['specialtyDrugCost', 'Tier 4']
+              ].map(([field, label]) => `
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-1">${label} Coinsurance Min / Max per Fill</label>
+                  <div class="flex gap-2">
+                    <input type="number" name="${field}Min" value="${planData[`${field}Min`] || ''}" placeholder="Min"
+                           class="w-1/2 border border-gray-300 rounded-md px-3 py-2" step="1" min="0">
+                    <input type="number" name="${field}Max" value="${planData[`${field}Max`] || ''}" placeholder="Max"
+                           class="w-1/2 border border-gray-300 rounded-md px-3 py-2" step="1" min="0">
+                  </div>
+                </div>
+              `).join('')}
+              <p class="text-xs text-gray-500 md:col-span-4">
+                Per-fill limits apply only to coinsurance tiers and are for a 30-day supply. Leave blank for no limit.
+              </p>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Rx Individual OOP Max</label>
+                <div class="relative">
+                  <span class="absolute left-3 top-2 text-gray-500">$</span>
+                  <input type="number" name="rxIndividualOOPMax" value="${planData.rxIndividualOOPMax || ''}" 
+                         class="w-full border border-gray-300 rounded-md pl-8 pr-3 py-2" step="100" min="0">
+                </div>
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Rx Family OOP Max</label>
+                <div class="relative">
+                  <span class="absolute left-3 top-2 text-gray-500">$</span>
+                  <input type="number" name="rxFamilyOOPMax" value="${planData.rxFamilyOOPMax || ''}" 
+                         class="w-full border border-gray-300 rounded-md pl-8 pr-3 py-2" step="100" min="0">
+                </div>
+              </div>
+              <p class="text-xs text-gray-500 md:col-span-2">
+                Only for plans with a separate prescription out-of-pocket maximum. Drug costs then count toward this limit instead of the medical one.
+              </p>
                   </div>
                 </div>
               </div>
             </div>
           </div>
 
+          <!-- Employer Account Funding -->
+          <div class="border border-gray-200 rounded-lg p-4">
+            <h4 class="font-semibold text-gray-900 mb-3">💰 Employer HSA / HRA Funding</h4>
+            <label class="flex items-center mb-4 text-sm text-gray-700">
+              <input type="checkbox" name="hsaEligible" class="mr-2" ${planData.hsaEligible || planData.planType === 'HSA' ? 'checked' : ''}>
+              HSA-eligible (high deductible health plan)
+            </label>
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Employer HSA Seed</label>
+                <div class="relative">
+                  <span class="absolute left-3 top-2 text-gray-500">$</span>
+                  <input type="number" name="employerHSASeed" value="${planData.employerHSASeed || ''}" 
+                         class="w-full border border-gray-300 rounded-md pl-8 pr-3 py-2" step="50" min="0">
+                </div>
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Employer Match %</label>
+                <div class="relative">
+                  <input type="number" name="employerHSAMatchRate" value="${planData.employerHSAMatchRate ? planData.employerHSAMatchRate * 100 : ''}" 
+                         class="w-full border border-gray-300 rounded-md px-3 py-2" step="5" min="0" max="100">
+                  <span class="absolute right-3 top-2 text-gray-500">%</span>
+                </div>
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Match Cap (per year)</label>
+                <div class="relative">
+                  <span class="absolute left-3 top-2 text-gray-500">$</span>
+                  <input type="number" name="employerHSAMatchCap" value="${planData.employerHSAMatchCap || ''}" 
+                         class="w-full border border-gray-300 rounded-md pl-8 pr-3 py-2" step="50" min="0">
+                </div>
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700 mb-1">Employer HRA Funds</label>
+                <div class="relative">
+                  <span class="absolute left-3 top-2 text-gray-500">$</span>
+                  <input type="number" name="hraAmount" value="${planData.hraAmount || ''}" 
+                         class="w-full border border-gray-300 rounded-md pl-8 pr-3 py-2" step="50" min="0">
+                </div>
+              </div>
+            </div>
+            <p class="text-xs text-gray-500 mt-2">HRA funds pay the first dollars of your deductible. Leave blank if your employer doesn't offer one.</p>
+          </div>
+
           <div class="flex justify-end space-x-3 pt-6 border-t border-gray-200">
             <button type="button" class="px-6 py-2 text-gray-600 hover:text-gray-800" data-action="cancel">
               Cancel
@@ -549,13 +1185,21 @@ export class PlanManager extends EventEmitter {
       
       // Extract form data
       for (const [key, value] of formData.entries()) {
+        if (key.startsWith('costSharing_')) continue; // Collected separately below
         if (value !== '') {
-          if (key === 'coinsurance') {
+          if (key === 'coinsurance' || key === 'employerHSAMatchRate' || key === 'outOfNetworkCoinsurance') {
             updatedPlanData[key] = parseFloat(value) / 100; // Convert percentage to decimal
-          } else if (['monthlyPremium', 'spousePremium', 'familyPremium', 'individualDeductible', 'familyDeductible', 
+          } else if (['monthlyPremium', 'spousePremium', 'childrenPremium', 'familyPremium', 'spouseSurcharge', 
+                     'ageRatedBasePremium', 'individualDeductible', 'familyDeductible', 
                      'individualOOPMax', 'familyOOPMax', 'primaryCopay', 'specialistCopay', 
+                     'urgentCareCopay', 'emergencyRoomCopay', 'employerHSASeed', 'employerHSAMatchCap', 'hraAmount', 
                      'rxDeductible', 'tier1DrugCost', 'tier2DrugCost', 'tier3DrugCost', 
-                     'specialtyDrugCost', 'year'].includes(key)) {
+                     'specialtyDrugCost', 'mailOrderTier1DrugCost', 'mailOrderTier2DrugCost', 'mailOrderTier3DrugCost',
+                     'mailOrderSpecialtyDrugCost', 'tier1DrugCostMin', 'tier1DrugCostMax', 'tier2DrugCostMin',
+                     'tier2DrugCostMax', 'tier3DrugCostMin', 'tier3DrugCostMax', 'specialtyDrugCostMin',
+                     'specialtyDrugCostMax', 'rxIndividualOOPMax', 'rxFamilyOOPMax', 'outOfNetworkIndividualDeductible',
+                     'outOfNetworkFamilyDeductible', 'outOfNetworkIndividualOOPMax', 'outOfNetworkFamilyOOPMax',
+                     'outOfNetworkAllowedPercent', 'year'].includes(key)) {
             updatedPlanData[key] = parseFloat(value) || 0;
           } else {
             updatedPlanData[key] = value;
@@ -563,6 +1207,35 @@ export class PlanManager extends EventEmitter {
         }
       }
       
+      // Unchecked checkboxes are absent from the form data
+      updatedPlanData.hsaEligible = formData.has('hsaEligible');
+      updatedPlanData.deductibleCarryover = formData.has('deductibleCarryover');
+      updatedPlanData.marketplacePlan = formData.has('marketplacePlan');
+      updatedPlanData.outOfNetworkCovered = formData.has('outOfNetworkCovered');
+      updatedPlanData.metalTier = formData.get('metalTier') || '';
+      
+      const serviceCostSharing = this.readCostSharingRules(formData);
+      if (Object.keys(serviceCostSharing).length > 0) {
+        updatedPlanData.serviceCostSharing = serviceCostSharing;
+      } else {
+        delete updatedPlanData.serviceCostSharing;
+      }
+      
+      // Values the user corrected no longer come from the document
+      if (planData.fieldProvenance) {
+        updatedPlanData.fieldProvenance = Object.fromEntries(Object.entries(planData.fieldProvenance)
+          .filter(([field, provenance]) => Math.abs(updatedPlanData[field] - provenance.value) < 0.001));
+      }
+      delete updatedPlanData.extractionIssues;
+      if (!updatedPlanData.id) updatedPlanData.id = this.generatePlanId();
+      
+      // Keep the form open until every field passes the plan schema and the calculator's rules
+      const fieldErrors = this.validatePlanForm(updatedPlanData);
+      if (fieldErrors.length > 0) {
+        this.showFormErrors(modal, fieldErrors);
+        return;
+      }
+      
       modal.remove();
       
       if (isEditMode) {
@@ -574,6 +1247,8 @@ export class PlanManager extends EventEmitter {
         this.addPlan(updatedPlanData);
         this.showSuccess(`✅ Plan added: ${updatedPlanData.name || 'New Plan'}`);
       }
+      
+      if (onSave) onSave(updatedPlanData);
     });
 
     // Handle cancel
@@ -583,6 +1258,7 @@ export class PlanManager extends EventEmitter {
       }
     });
 
+    this.highlightExtractedFields(modal, planData);
     document.body.appendChild(modal);
     
     // Focus on the premium input since it's required
@@ -592,6 +1268,119 @@ export class PlanManager extends EventEmitter {
     }, 100);
   }
 
+  // Field errors that would stop this plan from being calculated, or [] when it's valid
+  validatePlanForm(planData) {
+    try {
+      new CostCalculator().validateAndNormalizePlan(planData);
+      return [];
+    } catch (error) {
+      if (error instanceof SchemaValidationError) return error.errors;
+      throw error;
+    }
+  }
+
+  // Mark each invalid input, and list every error (including fields the form doesn't show) at the top
+  showFormErrors(modal, fieldErrors) {
+    modal.querySelectorAll('.field-error').forEach(message => message.remove());
+    modal.querySelectorAll('.border-red-500').forEach(input => input.classList.remove('border-red-500'));
+    
+    let firstInput = null;
+    for (const fieldError of fieldErrors) {
+      // serviceCostSharing.specialistVisit.copay is the costSharing_specialistVisit_copay input
+      const [field, ...rest] = fieldError.path.split('.');
+      const inputName = field === 'serviceCostSharing' && rest.length === 2 ? `costSharing_${rest[0]}_${rest[1]}` : field;
+      const input = modal.querySelector(`[name="${inputName}"]`);
+      if (!input) continue;
+      
+      input.classList.add('border-red-500');
+      const message = document.createElement('p');
+      message.className = 'field-error text-xs text-red-600 mt-1';
+      message.textContent = fieldError.message;
+      (input.parentElement.classList.contains('relative') ? input.parentElement : input).insertAdjacentElement('afterend', message);
+      firstInput = firstInput || input;
+    }
+    
+    const summary = modal.querySelector('#plan-form-errors');
+    summary.innerHTML = `
+      <p class="font-medium mb-1">Please fix ${fieldErrors.length} field${fieldErrors.length === 1 ? '' : 's'} before saving:</p>
+      ${ValidationErrors.renderList(fieldErrors)}
+    `;
+    summary.classList.remove('hidden');
+    (firstInput || summary).scrollIntoView({ behavior: 'smooth', block: 'center' });
+    if (firstInput) firstInput.focus();
+  }
+
+  // Read from the SBC and kept on save: visit caps, preauthorization and excluded services
+  renderCoverageLimits(planData) {
+    const visitLimits = Object.entries(planData.visitLimits || {});
+    const priorAuthorization = planData.priorAuthorization || [];
+    const excludedServices = planData.excludedServices || [];
+    if (visitLimits.length === 0 && priorAuthorization.length === 0 && excludedServices.length === 0) return '';
+
+    const labelFor = serviceType => PlanManager.COST_SHARING_SERVICES[serviceType] || serviceType;
+    return `
+      <div class="border border-yellow-200 bg-yellow-50 rounded-lg p-4 text-sm text-yellow-900">
+        <h4 class="font-semibold mb-2">⚠️ Limits & Exclusions</h4>
+        ${visitLimits.length > 0 ? `
+          <p class="mb-1"><strong>Visit limits:</strong> ${visitLimits.map(([serviceType, limit]) => `${labelFor(serviceType)} ${limit}/year`).join(', ')}</p>
+        ` : ''}
+        ${priorAuthorization.length > 0 ? `
+          <p class="mb-1"><strong>Preauthorization required:</strong> ${priorAuthorization.map(labelFor).join(', ')}</p>
+        ` : ''}
+        ${excludedServices.length > 0 ? `
+          <p class="mb-1"><strong>Not covered:</strong> ${excludedServices.join(', ')}</p>
+        ` : ''}
+        <p class="text-xs text-yellow-700 mt-2">Visits past a limit are priced at full cost in the comparison.</p>
+      </div>
+    `;
+  }
+
+  renderCostSharingRows(serviceCostSharing) {
+    return Object.entries(PlanManager.COST_SHARING_SERVICES).map(([serviceType, label]) => {
+      const rule = serviceCostSharing[serviceType] || {};
+      return `
+        <tr class="border-t border-gray-100">
+          <td class="py-2 pr-2 text-gray-700">${label}</td>
+          <td class="py-2 pr-2">
+            <select name="costSharing_${serviceType}_type" class="border border-gray-300 rounded-md px-2 py-1">
+              <option value="">Plan defaults</option>
+              <option value="copay" ${rule.type === 'copay' ? 'selected' : ''}>Copay</option>
+              <option value="coinsurance" ${rule.type === 'coinsurance' ? 'selected' : ''}>Coinsurance</option>
+              <option value="copayThenCoinsurance" ${rule.type === 'copayThenCoinsurance' ? 'selected' : ''}>Copay then coinsurance</option>
+            </select>
+          </td>
+          <td class="py-2 pr-2">
+            <input type="number" name="costSharing_${serviceType}_copay" value="${rule.copay || ''}" 
+                   class="w-24 border border-gray-300 rounded-md px-2 py-1" step="5" min="0">
+          </td>
+          <td class="py-2 pr-2">
+            <input type="number" name="costSharing_${serviceType}_coinsurance" value="${rule.coinsurance ? rule.coinsurance * 100 : ''}" 
+                   class="w-20 border border-gray-300 rounded-md px-2 py-1" step="5" min="0" max="100">
+          </td>
+          <td class="py-2">
+            <input type="checkbox" name="costSharing_${serviceType}_deductibleApplies" ${rule.deductibleApplies !== false ? 'checked' : ''}>
+          </td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  readCostSharingRules(formData) {
+    const rules = {};
+    for (const serviceType of Object.keys(PlanManager.COST_SHARING_SERVICES)) {
+      const type = formData.get(`costSharing_${serviceType}_type`);
+      if (!type) continue;
+      
+      rules[serviceType] = {
+        type,
+        copay: parseFloat(formData.get(`costSharing_${serviceType}_copay`)) || 0,
+        coinsurance: (parseFloat(formData.get(`costSharing_${serviceType}_coinsurance`)) || 0) / 100, // Convert percentage to decimal
+        deductibleApplies: formData.get(`costSharing_${serviceType}_deductibleApplies`) === 'on'
+      };
+    }
+    return rules;
+  }
+
   showManualEntryForm(existingPlan = null) {
     // For manual entry, we can reuse the same form but with empty data
     const emptyPlanData = {
@@ -601,19 +1390,56 @@ export class PlanManager extends EventEmitter {
       year: new Date().getFullYear(),
       monthlyPremium: 0,
       spousePremium: 0,
+      childrenPremium: 0,
       familyPremium: 0,
+      spouseSurcharge: 0,
+      premiumRating: 'tiered',
+      ageRatedBasePremium: 0,
+      marketplacePlan: false,
+      metalTier: '',
       individualDeductible: 0,
       familyDeductible: 0,
       individualOOPMax: 0,
       familyOOPMax: 0,
+      deductibleStructure: 'embedded',
+      oopStructure: 'embedded',
+      deductibleCarryover: false,
       primaryCopay: 0,
       specialistCopay: 0,
+      urgentCareCopay: 0,
+      emergencyRoomCopay: 0,
       coinsurance: 0,
+      hsaEligible: false,
+      employerHSASeed: 0,
+      employerHSAMatchRate: 0,
+      employerHSAMatchCap: 0,
+      hraAmount: 0,
       rxDeductible: 0,
       tier1DrugCost: 0,
       tier2DrugCost: 0,
       tier3DrugCost: 0,
       specialtyDrugCost: 0,
+      mailOrderTier1DrugCost: 0,
+      mailOrderTier2DrugCost: 0,
+      mailOrderTier3DrugCost: 0,
+      mailOrderSpecialtyDrugCost: 0,
+      tier1DrugCostMin: 0,
+      tier1DrugCostMax: 0,
+      tier2DrugCostMin: 0,
+      tier2DrugCostMax: 0,
+      tier3DrugCostMin: 0,
+      tier3DrugCostMax: 0,
+      specialtyDrugCostMin: 0,
+      specialtyDrugCostMax: 0,
+      rxIndividualOOPMax: 0,
+      rxFamilyOOPMax: 0,
+      outOfNetworkCovered: false,
+      outOfNetworkIndividualDeductible: 0,
+      outOfNetworkFamilyDeductible: 0,
+      outOfNetworkIndividualOOPMax: 0,
+      outOfNetworkFamilyOOPMax: 0,
+      outOfNetworkCoinsurance: 0,
+      outOfNetworkAllowedPercent: 100,
       source: 'manual_entry',
       ...existingPlan
     };
@@ -788,22 +1614,65 @@ export class PlanManager extends EventEmitter {
     return 'plan_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
   }
 
-  setProcessingState(isProcessing, message = '') {
-    this.isProcessing = isProcessing;
-    const statusElement = document.querySelector('#processing-status');
+  // Per-file status of uploaded SBCs; needs-review files stay listed until they are added or removed
+  renderUploadQueue() {
+    const items = this.uploadQueue.items;
+    if (items.length === 0) return '';
     
-    if (statusElement) {
-      if (isProcessing) {
-        statusElement.innerHTML = `
-          <div class="flex items-center text-blue-600">
-            <div class="spinner mr-2"></div>
-            ${message}
-          </div>
-        `;
-        statusElement.classList.remove('hidden');
-      } else {
-        statusElement.classList.add('hidden');
+    const statusStyles = {
+      queued: 'bg-gray-100 text-gray-700',
+      extracting: 'bg-blue-100 text-blue-700',
+      analyzing: 'bg-blue-100 text-blue-700',
+      waiting: 'bg-yellow-100 text-yellow-800',
+      needsReview: 'bg-green-100 text-green-700',
+      failed: 'bg-red-100 text-red-700'
+    };
+    const actions = (item) => {
+      switch (item.status) {
+        case 'needsReview':
+          return `
+            <button class="text-sm text-blue-600 hover:text-blue-800 font-medium" data-action="review-upload" data-upload-id="${item.id}">Review</button>
+            <button class="text-sm text-gray-500 hover:text-gray-700" data-action="remove-upload" data-upload-id="${item.id}">Discard</button>
+          `;
+        case 'failed':
+          return `
+            <button class="text-sm text-blue-600 hover:text-blue-800 font-medium" data-action="retry-upload" data-upload-id="${item.id}">Retry</button>
+            <button class="text-sm text-gray-500 hover:text-gray-700" data-action="remove-upload" data-upload-id="${item.id}">Remove</button>
+          `;
+        case 'waiting':
+          return `<button class="text-sm text-blue-600 hover:text-blue-800" data-action="skip-upload-wait" data-upload-id="${item.id}">Analyze now without AI</button>`;
+        case 'queued':
+          return `<button class="text-sm text-gray-500 hover:text-gray-700" data-action="remove-upload" data-upload-id="${item.id}">Remove</button>`;
+        default:
+          return '<div class="spinner"></div>';
       }
+    };
+    
+    return `
+      <div class="bg-white border border-gray-200 rounded-lg p-4">
+        <h3 class="font-medium text-gray-900 mb-3">📄 Uploaded Documents</h3>
+        <ul class="divide-y divide-gray-100">
+          ${items.map(item => `
+            <li class="py-2 flex items-center justify-between">
+              <div class="min-w-0 mr-4">
+                <div class="flex items-center">
+                  <span class="text-sm font-medium text-gray-900 truncate">${item.fileName}</span>
+                  <span class="ml-2 px-2 py-0.5 text-xs rounded-full ${statusStyles[item.status]}">${UploadQueue.STATUS_LABELS[item.status]}</span>
+                </div>
+                ${item.message ? `<p class="text-xs text-gray-500 truncate">${item.message}</p>` : ''}
+              </div>
+              <div class="flex items-center space-x-3 flex-shrink-0">${actions(item)}</div>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  updateUploadQueue() {
+    const queueElement = document.querySelector('#upload-queue');
+    if (queueElement) {
+      queueElement.innerHTML = this.renderUploadQueue();
     }
   }
 
@@ -835,13 +1704,19 @@ export class PlanManager extends EventEmitter {
       <div class="space-y-6">
         <div class="flex justify-between items-center">
           <h2 class="text-2xl font-semibold">Your Health Plans</h2>
-          <button class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg flex items-center"
-                  data-action="add-plan">
-            <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6"/>
-            </svg>
-            Add Plan
-          </button>
+          <div class="flex space-x-3">
+            <button class="bg-white hover:bg-gray-50 border border-gray-300 text-gray-700 px-4 py-2 rounded-lg"
+                    data-action="compare-years">
+              Compare Years
+            </button>
+            <button class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg flex items-center"
+                    data-action="add-plan">
+              <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6"/>
+              </svg>
+              Add Plan
+            </button>
+          </div>
         </div>
 
         <!-- Important Warning Banner -->
@@ -867,7 +1742,7 @@ export class PlanManager extends EventEmitter {
           </div>
         </div>
 
-        <div id="processing-status" class="hidden bg-blue-50 border border-blue-200 rounded-lg p-4"></div>
+        <div id="upload-queue">${this.renderUploadQueue()}</div>
 
         ${this.plans.length === 0 ? this.renderEmptyState() : this.renderPlansList()}
       </div>
@@ -938,12 +1813,24 @@ export class PlanManager extends EventEmitter {
                 <span class="font-medium">${this.formatCurrency(plan.spousePremium)}</span>
               </div>
             ` : ''}
+            ${plan.childrenPremium ? `
+              <div class="flex justify-between">
+                <span class="text-gray-600">Employee + Children:</span>
+                <span class="font-medium">${this.formatCurrency(plan.childrenPremium)}</span>
+              </div>
+            ` : ''}
             ${plan.familyPremium ? `
               <div class="flex justify-between">
                 <span class="text-gray-600">Family Premium:</span>
                 <span class="font-medium">${this.formatCurrency(plan.familyPremium)}</span>
               </div>
             ` : ''}
+            ${plan.premiumRating === 'ageRated' ? `
+              <div class="flex justify-between">
+                <span class="text-gray-600">Age-Rated Base (age 21):</span>
+                <span class="font-medium">${this.formatCurrency(plan.ageRatedBasePremium || 0)}</span>
+              </div>
+            ` : ''}
           </div>
           
           <!-- Other plan details -->
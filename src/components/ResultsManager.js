@@ -6,6 +6,7 @@ import { serverlessLLM } from '../utils/ServerlessLLMClient.js';
 import { LLMAssistant } from '../utils/LLMAssistant.js';
 import { EnvConfig } from '../utils/EnvConfig.js';
 import { WarningBanner } from './WarningBanner.js';
+import { ValidationErrors } from './ValidationErrors.js';
 
 export class ResultsManager extends EventEmitter {
   constructor() {
@@ -14,6 +15,8 @@ export class ResultsManager extends EventEmitter {
     this.currentView = 'summary'; // 'summary', 'detailed', 'scenarios', 'charts'
     this.chartManager = new ChartManager();
     this.llmInsights = null;
+    this.simulationResults = null; // Monte Carlo cost distributions
+    this.isSimulating = false;
     this.calculator = null; // Will be set by App.js
     this.localLLM = new LLMAssistant(); // For local mode insights
   }
@@ -56,6 +59,10 @@ export class ResultsManager extends EventEmitter {
         this.exportDebugWorksheets();
       }
       
+      if (e.target.matches('[data-action="run-simulation"]')) {
+        this.runCostSimulation();
+      }
+      
       // Handle dropdown toggles
       if (e.target.matches('[data-dropdown]')) {
         const dropdownName = e.target.dataset.dropdown;
@@ -120,6 +127,7 @@ export class ResultsManager extends EventEmitter {
 
   async displayResults(results) {
     this.results = results;
+    this.simulationResults = null; // Stale once the inputs change
     console.log('📊 Displaying results:', Object.keys(results).length, 'plans');
     
     // Render results immediately
@@ -199,18 +207,19 @@ export class ResultsManager extends EventEmitter {
     try {
       // Generate CSV from results
       const planIds = Object.keys(this.results);
-      let csvContent = 'Plan Name,Insurer,Coverage Type,Monthly Premium,Annual Premium,Out-of-Pocket,Total Cost,Rank\n';
+      let csvContent = 'Plan Name,Insurer,Coverage Type,Monthly Premium,Annual Premium,Out-of-Pocket,Total Cost,Net Cost,Rank\n';
       
       planIds.forEach(planId => {
         const result = this.results[planId];
         const row = [
           `"${result.planName || 'Unknown'}"`,
           `"${result.insurer || 'Unknown'}"`,
-          `"${result.coverageType || 'Unknown'}"`,
-          Math.round((result.annualPremium || 0) / 12),
+          `"${result.premiumTier ? result.premiumTier.label : result.coverageType || 'Unknown'}"`,
+          Math.round(result.monthlyPremium || 0),
           result.annualPremium || 0,
           result.familyTotals?.totalOutOfPocket || 0,
           result.familyTotals?.totalWithPremiums || 0,
+          result.familyTotals?.netCost || 0,
           result.comparison?.rank || 'N/A'
         ].join(',');
         csvContent += row + '\n';
@@ -378,6 +387,7 @@ export class ResultsManager extends EventEmitter {
         planName: result.planName,
         annualPremium: result.annualPremium,
         totalWithPremiums: result.familyTotals?.totalWithPremiums,
+        netCost: result.familyTotals?.netCost,
         totalOutOfPocket: result.familyTotals?.totalOutOfPocket,
         coverageType: result.coverageType
       };
@@ -408,11 +418,12 @@ export class ResultsManager extends EventEmitter {
     `;
   }
 
-  showError(message) {
+  // fieldErrors are SchemaValidator errors, with the validated data to name members and medications by
+  showError(message, fieldErrors = [], data = null) {
     const container = document.getElementById('results-container');
     container.innerHTML = `
       <div class="bg-red-50 border border-red-200 rounded-lg p-6">
-        <div class="flex items-center">
+        <div class="flex items-${fieldErrors.length > 0 ? 'start' : 'center'}">
           <svg class="h-6 w-6 text-red-400 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" 
                   d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
@@ -420,6 +431,9 @@ export class ResultsManager extends EventEmitter {
           <div>
             <h3 class="text-lg font-medium text-red-800">Calculation Error</h3>
             <p class="text-red-700">${message}</p>
+            ${fieldErrors.length > 0 ? `
+              <div class="mt-3 text-sm text-red-700">${ValidationErrors.renderList(fieldErrors, data)}</div>
+            ` : ''}
           </div>
         </div>
       </div>
@@ -494,6 +508,10 @@ export class ResultsManager extends EventEmitter {
                   data-view="summary">Summary</button>
           <button class="pb-2 ${this.currentView === 'detailed' ? 'border-b-2 border-blue-500 text-blue-600' : 'text-gray-600'}" 
                   data-view="detailed">Detailed Breakdown</button>
+          <button class="pb-2 ${this.currentView === 'scenarios' ? 'border-b-2 border-blue-500 text-blue-600' : 'text-gray-600'}" 
+                  data-view="scenarios">Usage Scenarios</button>
+          <button class="pb-2 ${this.currentView === 'risk' ? 'border-b-2 border-blue-500 text-blue-600' : 'text-gray-600'}" 
+                  data-view="risk">Cost Risk</button>
         </div>
       </div>
 
@@ -508,6 +526,10 @@ export class ResultsManager extends EventEmitter {
         return this.renderSummaryView();
       case 'detailed':
         return this.renderDetailedView();
+      case 'scenarios':
+        return this.renderScenariosView();
+      case 'risk':
+        return this.renderRiskView();
       default:
         return this.renderSummaryView();
     }
@@ -552,7 +574,7 @@ export class ResultsManager extends EventEmitter {
   renderSummaryView() {
     const planIds = Object.keys(this.results);
     const sortedPlans = planIds.sort((a, b) => 
-      this.results[a].familyTotals.totalWithPremiums - this.results[b].familyTotals.totalWithPremiums
+      this.results[a].familyTotals.netCost - this.results[b].familyTotals.netCost
     );
 
     return `
@@ -575,6 +597,7 @@ export class ResultsManager extends EventEmitter {
                 <th class="py-3 px-6 text-left font-medium text-gray-900">Annual Premium</th>
                 <th class="py-3 px-6 text-left font-medium text-gray-900">Out-of-Pocket</th>
                 <th class="py-3 px-6 text-left font-medium text-gray-900">Total Cost</th>
+                <th class="py-3 px-6 text-left font-medium text-gray-900" title="Net cost after employer contributions and tax savings">Net Cost</th>
                 <th class="py-3 px-6 text-left font-medium text-gray-900">vs. Best</th>
               </tr>
             </thead>
@@ -611,9 +634,15 @@ export class ResultsManager extends EventEmitter {
           <div class="text-sm text-gray-600">${result.insurer}</div>
           ${hasComparison && result.comparison.isBest ? '<div class="text-xs text-green-600 font-semibold">🏆 BEST VALUE</div>' : ''}
         </td>
-        <td class="py-4 px-6">${this.formatCurrency(result.annualPremium)}</td>
+        <td class="py-4 px-6">
+          ${this.formatCurrency(result.annualPremium)}
+          ${result.premiumSubsidy && result.premiumSubsidy.annualTaxCredit > 0 ? `
+            <div class="text-xs text-green-600">after ${this.formatCurrency(result.premiumSubsidy.annualTaxCredit)} tax credit</div>
+          ` : ''}
+        </td>
         <td class="py-4 px-6">${this.formatCurrency(result.familyTotals.totalOutOfPocket)}${WarningBanner.createInlineWarning()}</td>
-        <td class="py-4 px-6 font-semibold">${this.formatCurrency(result.familyTotals.totalWithPremiums)}${WarningBanner.createInlineWarning()}</td>
+        <td class="py-4 px-6">${this.formatCurrency(result.familyTotals.totalWithPremiums)}${WarningBanner.createInlineWarning()}</td>
+        <td class="py-4 px-6 font-semibold">${this.formatCurrency(result.familyTotals.netCost)}</td>
         <td class="py-4 px-6">${savingsDisplay}</td>
       </tr>
     `;
@@ -635,7 +664,8 @@ export class ResultsManager extends EventEmitter {
             <h3 class="text-lg font-semibold text-green-800">Recommended Plan</h3>
             <p class="text-green-700 mb-3">
               <strong>${bestPlan.planName}</strong> is the most cost-effective option for your family, 
-              with an estimated total annual cost of <strong>${this.formatCurrency(bestPlan.familyTotals.totalWithPremiums)}</strong>.
+              with an estimated total annual cost of <strong>${this.formatCurrency(bestPlan.familyTotals.totalWithPremiums)}</strong>
+              (<strong>${this.formatCurrency(bestPlan.familyTotals.netCost)}</strong> net of employer contributions and tax savings).
             </p>
             <div class="text-sm text-green-600">
               ${bestPlan.recommendation?.pros?.map(pro => `• ${pro}`).join('<br>') || ''}
@@ -672,7 +702,8 @@ export class ResultsManager extends EventEmitter {
         <div class="grid grid-cols-2 gap-4 mb-4">
           <div>
             <div class="text-sm text-gray-600">Monthly Premium</div>
-            <div class="font-semibold">${this.formatCurrency(result.annualPremium / 12)}</div>
+            <div class="font-semibold">${this.formatCurrency(result.monthlyPremium || 0)}</div>
+            ${result.premiumTier ? `<div class="text-xs text-gray-500">${result.premiumTier.label}</div>` : ''}
           </div>
           <div>
             <div class="text-sm text-gray-600">Out-of-Pocket</div>
@@ -750,6 +781,57 @@ export class ResultsManager extends EventEmitter {
             </div>
           </div>
 
+          <!-- Marketplace Premium Subsidy -->
+          ${this.renderPremiumSubsidy(result)}
+
+          <!-- Premium Tier -->
+          ${this.renderPremiumTier(result)}
+
+          <!-- Health Accounts & Tax Savings -->
+          ${this.renderAccountBreakdown(result.familyTotals)}
+
+          <!-- Preventive Care Savings -->
+          ${result.familyTotals.preventiveSavings > 0 ? `
+            <div class="mb-6 p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+              🩺 Preventive care covered at $0 under ACA rules saved your family 
+              <strong>${this.formatCurrency(result.familyTotals.preventiveSavings)}</strong> on this plan.
+            </div>
+          ` : ''}
+
+          <!-- Out-of-Network Care -->
+          ${result.familyTotals.outOfNetworkCosts > 0 ? `
+            <div class="mb-6 p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm text-orange-800">
+              🏥 Out-of-network care costs <strong>${this.formatCurrency(result.familyTotals.outOfNetworkCosts)}</strong> on this plan
+              ${result.planDetails && !result.planDetails.outOfNetworkCovered ? ' because it has no out-of-network benefits.' : `, 
+              including <strong>${this.formatCurrency(result.familyTotals.balanceBilled)}</strong> in estimated balance billing 
+              that doesn't count toward any deductible or out-of-pocket maximum.`}
+            </div>
+          ` : ''}
+
+          <!-- Exclusions, Visit Limits & Preauthorization -->
+          ${result.coverageWarnings && result.coverageWarnings.length > 0 ? `
+            <div class="mb-6 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+              <div class="font-medium mb-1">⚠️ Coverage limits your family runs into on this plan</div>
+              <ul class="list-disc list-inside space-y-1">
+                ${result.coverageWarnings.map(warning => `<li>${warning.description}</li>`).join('')}
+              </ul>
+              ${result.familyTotals.notCoveredCosts > 0 ? `
+                <div class="mt-2">
+                  Visits past the plan's limits add <strong>${this.formatCurrency(result.familyTotals.notCoveredCosts)}</strong>
+                  that doesn't count toward the deductible or out-of-pocket maximum.
+                </div>
+              ` : ''}
+            </div>
+          ` : ''}
+
+          <!-- Mid-year Enrollment -->
+          ${result.planYear && result.planYear.coveredMonths < 12 ? `
+            <div class="mb-6 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700">
+              📅 Coverage starts ${result.planYear.coverageStart} in the plan year beginning ${result.planYear.start}: 
+              premiums are prorated to ${result.planYear.coveredMonths} months, while the deductible and out-of-pocket maximum stay full-size.
+            </div>
+          ` : ''}
+
           <!-- Timeline and Milestones -->
           ${result.milestones && result.milestones.length > 0 ? `
             <div class="mb-6">
@@ -774,7 +856,7 @@ export class ResultsManager extends EventEmitter {
               <div class="grid grid-cols-12 gap-1">
                 ${result.monthlyAccumulation.map((month, index) => `
                   <div class="text-center">
-                    <div class="text-xs text-gray-600 mb-1">${month.month || index + 1}</div>
+                    <div class="text-xs text-gray-600 mb-1">${month.label || month.month || index + 1}</div>
                     <div class="h-16 bg-gradient-to-t from-blue-200 to-blue-100 rounded flex items-end justify-center relative">
                       <div class="h-full w-full bg-blue-500 rounded" 
                            style="height: ${month.totalCost > 0 ? Math.max(8, (month.totalCost / Math.max(...result.monthlyAccumulation.map(m => m.totalCost))) * 100) : 0}%">
@@ -800,6 +882,98 @@ export class ResultsManager extends EventEmitter {
     `;
   }
 
+  renderPremiumSubsidy(result) {
+    const subsidy = result.premiumSubsidy;
+    if (!subsidy || (subsidy.annualTaxCredit === 0 && !subsidy.costSharingReduction)) return '';
+    
+    return `
+      <div class="mb-6 border border-green-200 bg-green-50 rounded-lg p-4 text-sm">
+        <h4 class="font-semibold mb-3 text-green-900">ACA Marketplace Subsidy</h4>
+        <div class="grid grid-cols-3 gap-4 text-center">
+          <div>
+            <div class="text-lg font-bold text-gray-700">${this.formatCurrency(subsidy.grossAnnualPremium)}</div>
+            <div class="text-xs text-gray-600">Gross Premium</div>
+          </div>
+          <div>
+            <div class="text-lg font-bold text-green-700">−${this.formatCurrency(subsidy.annualTaxCredit)}</div>
+            <div class="text-xs text-gray-600">Premium Tax Credit</div>
+          </div>
+          <div>
+            <div class="text-lg font-bold text-blue-700">${this.formatCurrency(subsidy.netAnnualPremium)}</div>
+            <div class="text-xs text-gray-600">Net Premium</div>
+          </div>
+        </div>
+        ${subsidy.costSharingReduction ? `
+          <p class="mt-3 text-green-800">
+            Cost-sharing reductions applied: this silver plan is calculated at the ${subsidy.costSharingReduction}% 
+            actuarial value variant, with a deductible of ${this.formatCurrency(result.planDetails.individualDeductible)} 
+            (standard ${this.formatCurrency(result.planDetails.costSharingReduction.standard.individualDeductible)}) and an 
+            out-of-pocket maximum of ${this.formatCurrency(result.planDetails.individualOOPMax)} 
+            (standard ${this.formatCurrency(result.planDetails.costSharingReduction.standard.individualOOPMax)}) per person.
+          </p>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  renderPremiumTier(result) {
+    const tier = result.premiumTier;
+    if (!tier) return '';
+    
+    return `
+      <div class="mb-6 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700">
+        <div>
+          Premium tier: <strong>${tier.label}</strong> for ${tier.coveredMemberCount} covered 
+          member${tier.coveredMemberCount === 1 ? '' : 's'} — ${this.formatCurrency(tier.monthlyPremium)}/month
+          ${tier.spouseSurcharge > 0 ? `(includes ${this.formatCurrency(tier.spouseSurcharge)} spousal surcharge)` : ''}
+        </div>
+        ${tier.memberPremiums ? `
+          <div class="mt-2 grid grid-cols-2 md:grid-cols-4 gap-2 text-xs text-gray-600">
+            ${tier.memberPremiums.map(member => `
+              <div>${member.memberName} (age ${member.age}): ${member.monthlyPremium > 0 ? this.formatCurrency(member.monthlyPremium) : 'no charge'}</div>
+            `).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  renderAccountBreakdown(familyTotals) {
+    const accounts = familyTotals.accounts;
+    if (!accounts) return '';
+    
+    const lines = [
+      { label: 'Employer HSA contributions', amount: -accounts.employerHSAContribution },
+      { label: 'HRA paid toward deductible', amount: -accounts.hraApplied },
+      { label: 'Tax savings on pre-tax contributions', amount: -accounts.taxSavings },
+      { label: 'Forfeited FSA dollars', amount: accounts.fsaForfeited }
+    ].filter(line => line.amount !== 0);
+    
+    if (lines.length === 0) return '';
+    
+    return `
+      <div class="mb-6 border border-gray-200 rounded-lg p-4 text-sm">
+        <h4 class="font-semibold mb-2">Health Accounts & Tax Savings</h4>
+        <div class="space-y-1">
+          <div class="flex justify-between">
+            <span class="text-gray-600">Total annual cost</span>
+            <span>${this.formatCurrency(familyTotals.totalWithPremiums)}</span>
+          </div>
+          ${lines.map(line => `
+            <div class="flex justify-between">
+              <span class="text-gray-600">${line.label}</span>
+              <span class="${line.amount < 0 ? 'text-green-600' : 'text-red-600'}">${line.amount < 0 ? '-' : '+'}${this.formatCurrency(Math.abs(line.amount))}</span>
+            </div>
+          `).join('')}
+          <div class="flex justify-between pt-1 border-t border-gray-100 font-semibold">
+            <span>Net cost</span>
+            <span>${this.formatCurrency(familyTotals.netCost)}</span>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
   renderMemberBreakdown(member) {
     return `
       <div class="border border-gray-200 rounded p-4">
@@ -817,6 +991,11 @@ export class ResultsManager extends EventEmitter {
             <div class="text-gray-600">Prescriptions</div>
             <div class="font-medium">${this.formatCurrency(member.rxCosts)}</div>
           </div>
+          ${member.preventiveSavings > 0 ? `
+            <div class="col-span-2 text-green-700">
+              Preventive care savings: ${this.formatCurrency(member.preventiveSavings)}
+            </div>
+          ` : ''}
         </div>
 
         ${member.events && member.events.length > 0 ? `
@@ -826,7 +1005,7 @@ export class ResultsManager extends EventEmitter {
               <div class="max-h-32 overflow-y-auto space-y-1">
                 ${member.events.slice(0, 10).map(event => `
                   <div class="flex justify-between">
-                    <span>Day ${event.day}: ${this.formatServiceName(event.serviceType)}</span>
+                    <span>${event.date || `Day ${event.day}`}: ${this.formatServiceName(event.serviceType)}${event.preventive ? ' (preventive)' : ''}${event.episodeName ? ` (${event.episodeName})` : ''}</span>
                     <span>${this.formatCurrency(event.memberCost)}</span>
                   </div>
                 `).join('')}
@@ -914,7 +1093,7 @@ export class ResultsManager extends EventEmitter {
     // Calculate flexibility score (lower variance = more predictable)
     const variance = Math.max(highCost - lowCost, 0);
     const avgCost = (lowCost + currentCost + highCost) / 3;
-    const flexibilityScore = Math.max(0, 100 - (variance / avgCost) * 100);
+    const flexibilityScore = avgCost > 0 ? Math.max(0, 100 - (variance / avgCost) * 100) : 100;
 
     return `
       <tr>
@@ -937,6 +1116,112 @@ export class ResultsManager extends EventEmitter {
     `;
   }
 
+  async runCostSimulation() {
+    if (!this.calculator || !this.calculator.lastPlans || this.isSimulating) return;
+
+    const catastrophicInput = document.getElementById('simulation-catastrophic-probability');
+    const catastrophicProbability = catastrophicInput ? (parseFloat(catastrophicInput.value) || 0) / 100 : 0;
+
+    this.isSimulating = true;
+    this.renderResults();
+
+    try {
+      this.simulationResults = await this.calculator.simulateCostDistribution(
+        this.calculator.lastPlans,
+        this.calculator.lastFamilyData,
+        {
+          catastrophicProbability,
+          progressCallback: (completed, total) => {
+            const status = document.getElementById('simulation-status');
+            if (status) status.textContent = `Simulating plan years... ${completed} of ${total}`;
+          }
+        }
+      );
+      this.simulationCatastrophicProbability = catastrophicProbability;
+    } catch (error) {
+      console.error('❌ Cost simulation failed:', error);
+      alert('Cost simulation failed. Check console for details.');
+    } finally {
+      this.isSimulating = false;
+      this.renderResults();
+    }
+  }
+
+  renderRiskView() {
+    const distributions = this.simulationResults;
+    const catastrophicPercent = ((this.simulationCatastrophicProbability || 0) * 100);
+
+    return `
+      <div class="space-y-6">
+        <div class="bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <p class="text-sm text-blue-700">
+            <strong>Cost Risk:</strong> Real years rarely go exactly as planned. This simulation replays thousands of 
+            plan years where each visit count varies randomly around what you entered, some prescription fills are missed, 
+            and (optionally) a family member has a catastrophic medical event. It shows the range of net costs you could face, after employer account funding and tax savings, as in the summary.
+          </p>
+        </div>
+
+        <div class="bg-white rounded-lg shadow p-6 flex flex-wrap items-end gap-4">
+          <div>
+            <label class="block text-sm font-medium mb-1">Catastrophic event chance (% per member per year)</label>
+            <input type="number" id="simulation-catastrophic-probability" min="0" max="100" step="0.5"
+                   value="${catastrophicPercent}" class="w-32 border border-gray-300 rounded px-3 py-2">
+          </div>
+          <button class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg"
+                  data-action="run-simulation" ${this.isSimulating ? 'disabled' : ''}>
+            ${distributions ? 'Rerun Simulation' : 'Run Simulation'}
+          </button>
+          <span id="simulation-status" class="text-sm text-gray-600">${this.isSimulating ? 'Simulating plan years...' : ''}</span>
+        </div>
+
+        ${distributions ? `
+          <div class="overflow-x-auto">
+            <table class="min-w-full results-table bg-white rounded-lg shadow">
+              <thead class="bg-gray-50">
+                <tr>
+                  <th class="py-3 px-6 text-left font-medium text-gray-900">Plan</th>
+                  <th class="py-3 px-6 text-center font-medium text-gray-900">Good Year (P10)</th>
+                  <th class="py-3 px-6 text-center font-medium text-gray-900">Typical (P50)</th>
+                  <th class="py-3 px-6 text-center font-medium text-gray-900">Bad Year (P90)</th>
+                  <th class="py-3 px-6 text-center font-medium text-gray-900">Worst Case (P99)</th>
+                  <th class="py-3 px-6 text-center font-medium text-gray-900">Chance Cheapest</th>
+                </tr>
+              </thead>
+              <tbody class="divide-y divide-gray-200">
+                ${Object.values(distributions)
+                  .sort((a, b) => a.percentiles.p50 - b.percentiles.p50)
+                  .map(distribution => this.renderRiskRow(distribution)).join('')}
+              </tbody>
+            </table>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  renderRiskRow(distribution) {
+    const { percentiles } = distribution;
+    const cheapestPercent = Math.round(distribution.probabilityCheapest * 100);
+
+    return `
+      <tr>
+        <td class="py-4 px-6 font-medium">${distribution.planName}</td>
+        <td class="py-4 px-6 text-center">${this.formatCurrency(percentiles.p10)}</td>
+        <td class="py-4 px-6 text-center font-semibold">${this.formatCurrency(percentiles.p50)}</td>
+        <td class="py-4 px-6 text-center">${this.formatCurrency(percentiles.p90)}</td>
+        <td class="py-4 px-6 text-center text-red-600">${this.formatCurrency(percentiles.p99)}</td>
+        <td class="py-4 px-6 text-center">
+          <div class="flex items-center justify-center">
+            <div class="w-16 bg-gray-200 rounded-full h-2 mr-2">
+              <div class="bg-green-500 h-2 rounded-full" style="width: ${cheapestPercent}%"></div>
+            </div>
+            <span class="text-sm">${cheapestPercent}%</span>
+          </div>
+        </td>
+      </tr>
+    `;
+  }
+
   formatServiceName(serviceType) {
     const names = {
       primaryVisits: 'Primary Care',
@@ -944,7 +1229,12 @@ export class ResultsManager extends EventEmitter {
       therapyVisits: 'Therapy',
       labWork: 'Lab Work',
       imaging: 'Imaging',
-      physicalTherapy: 'Physical Therapy'
+      physicalTherapy: 'Physical Therapy',
+      emergencyRoom: 'Emergency Room',
+      urgentCare: 'Urgent Care',
+      advancedImaging: 'MRI / CT Scan',
+      outpatientSurgery: 'Outpatient Surgery',
+      inpatientStay: 'Hospital Stay'
     };
     
     return names[serviceType] || serviceType;
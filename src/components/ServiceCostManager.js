@@ -48,7 +48,9 @@ export class ServiceCostManager extends EventEmitter {
       advancedImaging: 1500,
       physicalTherapy: 115,
       emergencyRoom: 1800,
-      urgentCare: 225
+      urgentCare: 225,
+      outpatientSurgery: 4500,
+      inpatientDay: 3000
     };
 
     const multipliers = {
@@ -232,7 +234,9 @@ export class ServiceCostManager extends EventEmitter {
       advancedImaging: 'Advanced Imaging',
       physicalTherapy: 'Physical Therapy',
       emergencyRoom: 'Emergency Room',
-      urgentCare: 'Urgent Care'
+      urgentCare: 'Urgent Care',
+      outpatientSurgery: 'Outpatient Surgery',
+      inpatientDay: 'Hospital Inpatient Day'
     };
     
     return names[key] || key;
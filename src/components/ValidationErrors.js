@@ -0,0 +1,60 @@
+// Validation Errors Component - Field-level messages for data that failed its schema (see SchemaValidator)
+export class ValidationErrors {
+  // Readable location for an error path, naming array items from the data where they have a name:
+  // 'members[0].medications[1].tier' on the sample family reads "You › Zepbound › tier"
+  static describePath(path, data = null) {
+    if (!path) return 'Value';
+
+    let node = data;
+    return path.split('.').map(segment => {
+      const match = segment.match(/^(.+?)((?:\[\d+\])*)$/);
+      const field = match[1];
+      node = node && typeof node === 'object' ? node[field] : undefined;
+
+      let label = this.humanize(field);
+      for (const [, index] of match[2].matchAll(/\[(\d+)\]/g)) {
+        node = Array.isArray(node) ? node[index] : undefined;
+        label = node && node.name ? node.name : `${label} ${parseInt(index) + 1}`;
+      }
+      return label;
+    }).join(' › ');
+  }
+
+  static humanize(field) {
+    return field.replace(/([a-z])([A-Z0-9])/g, '$1 $2').toLowerCase();
+  }
+
+  static renderList(errors, data = null) {
+    return `
+      <ul class="list-disc list-inside space-y-1">
+        ${errors.map(error => `
+          <li><strong>${this.describePath(error.path, data)}</strong> ${error.message}</li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  static showModal(title, error, data = null) {
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-lg w-full mx-4 max-h-screen overflow-y-auto">
+        <h3 class="text-lg font-semibold text-red-800 mb-2">${title}</h3>
+        <p class="text-sm text-gray-700 mb-3">${error.label} has ${error.errors.length} invalid field${error.errors.length === 1 ? '' : 's'}:</p>
+        <div class="text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3 mb-4">
+          ${this.renderList(error.errors, data)}
+        </div>
+        <div class="flex justify-end">
+          <button class="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300" data-action="cancel">Close</button>
+        </div>
+      </div>
+    `;
+
+    modal.addEventListener('click', (e) => {
+      if (e.target.matches('[data-action="cancel"]') || e.target === modal) {
+        modal.remove();
+      }
+    });
+    document.body.appendChild(modal);
+  }
+}
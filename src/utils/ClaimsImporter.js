@@ -0,0 +1,391 @@
+// Claims Importer - Builds a usage profile from last year's claims
+// Reads insurer EOB CSV exports and FHIR ExplanationOfBenefit bundles (e.g. Blue Button downloads).
+// Everything runs locally; claims never leave the browser.
+export class ClaimsImporter {
+  // ServiceCostManager price informed by each usage field's allowed amounts
+  static SERVICE_COST_KEYS = {
+    primaryVisits: 'primaryVisit',
+    specialistVisits: 'specialistVisit',
+    therapyVisits: 'therapySession',
+    labWork: 'labWork',
+    imaging: 'basicImaging',
+    physicalTherapy: 'physicalTherapy',
+    emergencyVisits: 'emergencyRoom',
+    urgentCareVisits: 'urgentCare',
+    advancedImaging: 'advancedImaging',
+    outpatientSurgeries: 'outpatientSurgery',
+    inpatientDays: 'inpatientDay'
+  };
+
+  // Header patterns for EOB CSV exports, matched in this order so a column is only claimed once
+  // (e.g. "Service Date" is taken as the date before the description pattern sees "service")
+  static CSV_COLUMNS = [
+    ['serviceDate', /date of service|service date|^dos$|^date$|visit date|fill date/],
+    ['patient', /patient|member|^name$|^for$/],
+    ['code', /cpt|hcpcs|procedure code|^code$|service code|ndc/],
+    ['allowed', /allowed|eligible|negotiated/],
+    ['billed', /billed|charge|submitted/],
+    ['claimType', /claim type|^type$|category/],
+    ['provider', /provider|doctor|facility|pharmacy/],
+    ['description', /description|service|procedure|drug|medication/]
+  ];
+
+  // CPT ranges for MRI, CT and PET studies
+  static ADVANCED_IMAGING_RANGES = [
+    [70336, 70336], [70450, 70498], [70540, 70559], [71250, 71275], [71550, 71555],
+    [72125, 72159], [72191, 72198], [73200, 73225], [73700, 73725], [74150, 74185], [78811, 78816]
+  ];
+
+  static SPECIALIST_PATTERN = /specialist|cardiolog|dermatolog|orthop|neurolog|endocrin|gastro|oncolog|urolog|obstet|gyn|allerg|pulmon|rheumat|ophthalm|\bent\b|otolaryng|nephrolog|psychiatr/;
+
+  // Parse an uploaded claims file by content: JSON is treated as FHIR, anything else as CSV
+  static parseFile(fileName, content) {
+    const trimmed = content.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      return this.parseFHIR(JSON.parse(trimmed), fileName);
+    }
+    return this.parseEOBCSV(content, fileName);
+  }
+
+  // Split CSV text into rows, honoring quoted fields with embedded commas, quotes and newlines
+  static parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+  }
+
+  // "$1,234.50" or "(12.00)" to a number; null when the cell isn't an amount
+  static parseAmount(value) {
+    const cleaned = String(value || '').replace(/[$,\s]/g, '');
+    const match = cleaned.match(/^\(?(-?\d+(?:\.\d+)?)\)?$/);
+    if (!match) return null;
+    const amount = parseFloat(match[1]);
+    return cleaned.startsWith('(') ? -amount : amount;
+  }
+
+  // MM/DD/YYYY or YYYY-MM-DD to YYYY-MM-DD; null when unrecognized
+  static parseDate(value) {
+    const text = String(value || '').trim();
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+    const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+    if (us) {
+      const year = us[3].length === 2 ? `20${us[3]}` : us[3];
+      return `${year}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+    }
+    return null;
+  }
+
+  static parseEOBCSV(text, source = 'CSV') {
+    const [headerRow, ...dataRows] = this.parseCSV(text);
+    if (!headerRow) {
+      throw new Error(`${source}: The file is empty`);
+    }
+
+    const headers = headerRow.map(header => header.trim().toLowerCase());
+    const columns = {};
+    const used = new Set();
+    for (const [column, pattern] of this.CSV_COLUMNS) {
+      const index = headers.findIndex((header, i) => !used.has(i) && pattern.test(header));
+      if (index !== -1) {
+        columns[column] = index;
+        used.add(index);
+      }
+    }
+
+    if (columns.serviceDate === undefined || (columns.allowed === undefined && columns.billed === undefined)) {
+      throw new Error(`${source}: Claims CSV needs a service date column and an allowed or billed amount column`);
+    }
+
+    const cell = (row, column) => columns[column] === undefined ? '' : (row[columns[column]] || '').trim();
+    const claims = [];
+    for (const row of dataRows) {
+      const serviceDate = this.parseDate(cell(row, 'serviceDate'));
+      const allowedAmount = this.parseAmount(cell(row, 'allowed'));
+      const billedAmount = this.parseAmount(cell(row, 'billed'));
+      if (!serviceDate || (allowedAmount === null && billedAmount === null)) continue;
+
+      const claimType = cell(row, 'claimType').toLowerCase();
+      claims.push(this.createClaim({
+        source,
+        patientName: cell(row, 'patient'),
+        serviceDate,
+        code: cell(row, 'code'),
+        description: cell(row, 'description') || cell(row, 'code'),
+        provider: cell(row, 'provider'),
+        claimType: /pharm|drug|rx/.test(claimType) ? 'pharmacy' : claimType,
+        inpatient: /inpatient/.test(claimType),
+        allowedAmount: allowedAmount !== null ? allowedAmount : billedAmount,
+        billedAmount
+      }));
+    }
+
+    console.log(`📄 Parsed ${claims.length} claim lines from ${source}`);
+    return claims;
+  }
+
+  // Amount from a FHIR adjudication/total list whose category matches a pattern
+  static findAdjudicationAmount(entries, pattern) {
+    const entry = (entries || []).find(item => {
+      const category = item.category || {};
+      const labels = [...(category.coding || []).map(c => `${c.code || ''} ${c.display || ''}`), category.text || ''];
+      return labels.some(label => pattern.test(label.toLowerCase()));
+    });
+    return entry && entry.amount && typeof entry.amount.value === 'number' ? entry.amount.value : null;
+  }
+
+  static getCodingText(concept) {
+    if (!concept) return '';
+    const coding = (concept.coding || [])[0] || {};
+    return concept.text || coding.display || coding.code || '';
+  }
+
+  static parseFHIR(json, source = 'FHIR') {
+    const resources = Array.isArray(json)
+      ? json
+      : json.resourceType === 'Bundle' ? (json.entry || []).map(entry => entry.resource).filter(Boolean) : [json];
+
+    // Patient names from any Patient resources in the bundle, keyed by reference
+    const patientNames = {};
+    for (const patient of resources.filter(r => r.resourceType === 'Patient')) {
+      const name = (patient.name || [])[0] || {};
+      patientNames[`Patient/${patient.id}`] = name.text || [...(name.given || []), name.family].filter(Boolean).join(' ');
+    }
+
+    const eobs = resources.filter(r => r.resourceType === 'ExplanationOfBenefit');
+    if (eobs.length === 0) {
+      throw new Error(`${source}: No ExplanationOfBenefit resources found`);
+    }
+
+    const allowedPattern = /eligible|allowed|alowd/;
+    const billedPattern = /submitted|sbmtd|billed/;
+    const claims = [];
+
+    for (const eob of eobs) {
+      const typeText = [eob.type, eob.subType]
+        .flatMap(concept => concept ? [...(concept.coding || []).map(c => `${c.code || ''} ${c.display || ''}`), concept.text || ''] : [])
+        .join(' ')
+        .toLowerCase();
+      const claimType = /pharmacy|pde/.test(typeText) ? 'pharmacy' : /institutional/.test(typeText) ? 'institutional' : 'professional';
+      const inpatient = /inpatient/.test(typeText);
+      const patient = eob.patient || {};
+      const patientName = patientNames[patient.reference] || patient.display || '';
+      const period = eob.billablePeriod || {};
+      const provider = (eob.provider && eob.provider.display) || '';
+
+      // Inpatient stays are billed once per admission, counted in days
+      const stayDays = inpatient && period.start && period.end
+        ? Math.max(1, Math.round((new Date(period.end) - new Date(period.start)) / 86400000))
+        : 1;
+
+      const items = eob.item && eob.item.length > 0 && !inpatient ? eob.item : [null];
+      for (const item of items) {
+        const adjudication = item ? item.adjudication : eob.total;
+        const allowedAmount = this.findAdjudicationAmount(adjudication, allowedPattern);
+        const billedAmount = this.findAdjudicationAmount(adjudication, billedPattern);
+        if (allowedAmount === null && billedAmount === null) continue;
+
+        const productOrService = item ? item.productOrService : null;
+        const coding = productOrService && productOrService.coding ? productOrService.coding[0] || {} : {};
+        const serviceDate = this.parseDate((item && (item.servicedDate || (item.servicedPeriod && item.servicedPeriod.start))) || period.start || eob.created);
+
+        claims.push(this.createClaim({
+          source,
+          patientName,
+          serviceDate,
+          code: coding.code || '',
+          description: this.getCodingText(productOrService) || (inpatient ? 'Inpatient stay' : typeText.trim()),
+          provider,
+          claimType,
+          inpatient,
+          stayDays,
+          allowedAmount: allowedAmount !== null ? allowedAmount : billedAmount,
+          billedAmount
+        }));
+      }
+    }
+
+    console.log(`📄 Parsed ${claims.length} claim lines from ${eobs.length} FHIR ExplanationOfBenefit resources in ${source}`);
+    return claims;
+  }
+
+  static createClaim(fields) {
+    const claim = { stayDays: 1, ...fields };
+    const { field, preventive } = this.classify(claim);
+    return { ...claim, field, preventive };
+  }
+
+  static isAdvancedImagingCode(cpt) {
+    return this.ADVANCED_IMAGING_RANGES.some(([start, end]) => cpt >= start && cpt <= end);
+  }
+
+  // Best-guess usage field for a claim line ('medication', a usage field, or null when unknown).
+  // A recognized CPT code decides on its own; descriptions only cover exports without codes.
+  static classify(claim) {
+    const code = String(claim.code || '').trim().toUpperCase();
+    const text = `${claim.description || ''} ${claim.provider || ''}`.toLowerCase();
+    const cpt = /^\d{5}$/.test(code) ? parseInt(code) : null;
+    const inRange = (start, end) => cpt !== null && cpt >= start && cpt <= end;
+    const result = (field, preventive = false) => ({ field, preventive });
+
+    if (claim.claimType === 'pharmacy' || /^\d{11}$/.test(code.replace(/-/g, ''))) return result('medication');
+    if (claim.inpatient) return result('inpatientDays');
+
+    if (inRange(99281, 99285)) return result('emergencyVisits');
+    if (code === 'S9083' || code === 'S9088') return result('urgentCareVisits');
+    if (inRange(90791, 90899)) return result('therapyVisits');
+    if (inRange(97010, 97799)) return result('physicalTherapy');
+    if (cpt !== null && this.isAdvancedImagingCode(cpt)) return result('advancedImaging');
+    if (inRange(70010, 79999)) return result('imaging');
+    if (inRange(80047, 89398)) return result('labWork');
+    if (inRange(99381, 99397)) return result('primaryVisits', true);
+    if (inRange(10004, 69990)) return result('outpatientSurgeries');
+    // Office visit codes are the same for every doctor; only the specialty named on the claim tells them apart
+    if (inRange(99202, 99215)) return result(this.SPECIALIST_PATTERN.test(text) ? 'specialistVisits' : 'primaryVisits');
+
+    if (/emergency/.test(text)) return result('emergencyVisits');
+    if (/urgent/.test(text)) return result('urgentCareVisits');
+    if (/psychotherap|counsel|behavioral/.test(text)) return result('therapyVisits');
+    if (/physical therapy/.test(text)) return result('physicalTherapy');
+    if (/\bmri\b|\bct\b|\bpet\b|computed tomography|magnetic resonance/.test(text)) return result('advancedImaging');
+    if (/x-ray|xray|ultrasound|mammo|radiolog|imaging/.test(text)) return result('imaging');
+    if (/\blab\b|panel|blood|culture|urinalysis/.test(text)) return result('labWork');
+    if (/preventive|wellness|annual physical|well child/.test(text)) return result('primaryVisits', true);
+    if (/surgery|arthroscop|ectomy|biopsy|repair/.test(text)) return result('outpatientSurgeries');
+    if (/office visit|\bvisit\b/.test(text)) {
+      return result(this.SPECIALIST_PATTERN.test(text) ? 'specialistVisits' : 'primaryVisits');
+    }
+    return result(null);
+  }
+
+  // Match a claim's patient to a family member by full name, then by first name.
+  // Insurer exports often list patients as "Last, First".
+  static matchMember(patientName, members) {
+    const normalize = (name) => String(name || '')
+      .replace(/^\s*([^,]+),\s*(.+)$/, '$2 $1')
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, ' ');
+    const patient = normalize(patientName);
+    if (!patient) return null;
+
+    const exact = members.find(member => normalize(member.name) === patient);
+    if (exact) return exact.id;
+
+    const firstName = patient.split(' ')[0];
+    const byFirstName = members.find(member => normalize(member.name).split(' ')[0] === firstName);
+    return byFirstName ? byFirstName.id : null;
+  }
+
+  // Guess a formulary tier from the average allowed amount per fill
+  static estimateTier(costPerFill) {
+    if (costPerFill < 50) return 1;
+    if (costPerFill < 300) return 2;
+    if (costPerFill < 1000) return 3;
+    return 4;
+  }
+
+  // Reversal and adjustment lines ("(130.00)") cancel the claim line they reverse, so neither counts as a visit.
+  // Unmatched lines with no positive allowed amount are dropped.
+  static netReversals(claims) {
+    const kept = claims.filter(claim => claim.allowedAmount > 0);
+    for (const reversal of claims.filter(claim => !(claim.allowedAmount > 0))) {
+      const index = kept.findIndex(claim =>
+        claim.memberId === reversal.memberId &&
+        claim.field === reversal.field &&
+        claim.serviceDate === reversal.serviceDate &&
+        (claim.code || claim.description) === (reversal.code || reversal.description) &&
+        Math.abs(claim.allowedAmount + reversal.allowedAmount) < 0.01
+      );
+      if (index !== -1) kept.splice(index, 1);
+    }
+    return kept;
+  }
+
+  // Reviewed claims (each with memberId and field) to per-member usage counts, medications,
+  // and average allowed amounts for the service cost assumptions
+  static summarize(claims) {
+    const usage = {};
+    const medicationTotals = {};
+    const costTotals = {};
+
+    for (const claim of this.netReversals(claims)) {
+      if (!claim.memberId || !claim.field) continue;
+
+      if (claim.field === 'medication') {
+        const memberMeds = medicationTotals[claim.memberId] = medicationTotals[claim.memberId] || {};
+        const key = claim.description.toLowerCase();
+        memberMeds[key] = memberMeds[key] || { name: claim.description, total: 0, fills: 0 };
+        memberMeds[key].total += claim.allowedAmount;
+        memberMeds[key].fills += 1;
+        continue;
+      }
+
+      const memberUsage = usage[claim.memberId] = usage[claim.memberId] || { preventiveVisits: 0 };
+      const units = claim.field === 'inpatientDays' ? claim.stayDays : 1;
+      memberUsage[claim.field] = (memberUsage[claim.field] || 0) + units;
+      if (claim.preventive && claim.field === 'primaryVisits') {
+        memberUsage.preventiveVisits += 1;
+      }
+
+      const costKey = this.SERVICE_COST_KEYS[claim.field];
+      costTotals[costKey] = costTotals[costKey] || { total: 0, units: 0 };
+      costTotals[costKey].total += claim.allowedAmount;
+      costTotals[costKey].units += units;
+    }
+
+    // Last year's drug spending is spread over twelve monthly fills
+    const medications = {};
+    for (const [memberId, memberMeds] of Object.entries(medicationTotals)) {
+      medications[memberId] = Object.values(memberMeds).map(med => ({
+        name: med.name,
+        tier: this.estimateTier(med.total / med.fills),
+        monthlyCost: Math.round(med.total / 12 * 100) / 100
+      }));
+    }
+
+    const serviceCosts = {};
+    for (const [costKey, { total, units }] of Object.entries(costTotals)) {
+      if (total > 0) {
+        serviceCosts[costKey] = Math.round(total / units);
+      }
+    }
+
+    return { usage, medications, serviceCosts };
+  }
+}
@@ -1,7 +1,44 @@
 // Cost Calculator - Clean 3-phase architecture for accurate family health plan comparison
+import { UsageScenarios } from './UsageScenarios.js';
+import { TaxAdvantagedAccounts } from './TaxAdvantagedAccounts.js';
+import { PlanYear } from './PlanYear.js';
+import { PremiumRating } from './PremiumRating.js';
+import { MarketplaceSubsidies } from './MarketplaceSubsidies.js';
+import { MedicalEpisodes } from './MedicalEpisodes.js';
+import { CoverageWarnings } from './CoverageWarnings.js';
+import { Schemas } from './Schemas.js';
+import { SchemaValidator, SchemaValidationError } from './SchemaValidator.js';
+
 export class CostCalculator {
+  // Supported per-service cost-sharing rule types (see plan.serviceCostSharing)
+  static COST_SHARING_TYPES = ['copay', 'coinsurance', 'copayThenCoinsurance'];
+
+  // 90-day mail-order price fields, keyed by the retail tier field they replace
+  static MAIL_ORDER_TIER_KEYS = {
+    tier1DrugCost: 'mailOrderTier1DrugCost',
+    tier2DrugCost: 'mailOrderTier2DrugCost',
+    tier3DrugCost: 'mailOrderTier3DrugCost',
+    specialtyDrugCost: 'mailOrderSpecialtyDrugCost'
+  };
+
+  // Out-of-network cost-sharing fields, entered from the SBC's out-of-network column
+  static OUT_OF_NETWORK_FIELDS = [
+    'outOfNetworkIndividualDeductible', 'outOfNetworkFamilyDeductible',
+    'outOfNetworkIndividualOOPMax', 'outOfNetworkFamilyOOPMax', 'outOfNetworkCoinsurance'
+  ];
+
+  // Services an SBC can cap at a number of visits per person per year (the plan schema enforces the same list)
+  static VISIT_LIMIT_SERVICES = MedicalEpisodes.VISIT_LIMIT_SERVICES;
+
+  // Per-member annual usage counts that drive the medical event timeline
+  static USAGE_FIELDS = [
+    'primaryVisits', 'specialistVisits', 'therapyVisits', 'labWork', 'imaging', 'physicalTherapy',
+    'emergencyVisits', 'urgentCareVisits', 'advancedImaging', 'outpatientSurgeries', 'inpatientDays'
+  ];
+
   constructor() {
     this.scenarios = ['low', 'medium', 'high'];
+    this.isSimulating = false; // Suppresses per-event logging during Monte Carlo runs
   }
 
   // Main entry point - calculate all plans
@@ -14,14 +51,15 @@ export class CostCalculator {
       throw new Error('No family data provided for calculation');
     }
 
-    // Validate and normalize plan data
-    const validatedPlans = plans.map(plan => this.validateAndNormalizePlan(plan));
-    
     // Validate family data
     const validatedFamilyData = this.validateFamilyData(familyData);
 
+    // Validate and normalize plan data, applying the household's marketplace subsidies
+    const validatedPlans = plans.map(plan => this.validateAndNormalizePlan(plan, validatedFamilyData.marketplace));
+
     // Phase 1: Generate plan-agnostic usage timeline
-    const usageTable = this.generateFamilyUsageTimeline(validatedFamilyData.members, validatedFamilyData.serviceCosts);
+    const { coverage } = validatedFamilyData;
+    const usageTable = this.generateFamilyUsageTimeline(validatedFamilyData.members, validatedFamilyData.serviceCosts, coverage);
 
     // Phase 2: Apply each plan's rules to the usage table
     const planProgressions = {};
@@ -29,11 +67,14 @@ export class CostCalculator {
 
     for (const plan of validatedPlans) {
       try {
-        const progression = this.applyPlanRules(plan, usageTable, validatedFamilyData.members);
+        const progression = this.applyPlanRules(plan, usageTable, validatedFamilyData.members, coverage);
         planProgressions[plan.id] = progression;
         
+        // Run the same plan through the low and high usage profiles
+        const scenarios = this.calculateScenarioTotals(plan, validatedFamilyData);
+        
         // Generate result summary from progression
-        results[plan.id] = this.generatePlanResult(plan, progression, validatedFamilyData.members);
+        results[plan.id] = this.generatePlanResult(plan, progression, validatedFamilyData.members, scenarios, validatedFamilyData.accountSettings, coverage);
       } catch (error) {
         console.error(`Error calculating plan ${plan.id}:`, error);
         results[plan.id] = this.createErrorResult(plan, error);
@@ -43,6 +84,11 @@ export class CostCalculator {
     // Store progression data for exports
     this.lastUsageTable = usageTable;
     this.lastPlanProgressions = planProgressions;
+    this.lastCoverage = coverage;
+    
+    // Store inputs so the cost risk simulation can rerun them on demand
+    this.lastPlans = plans;
+    this.lastFamilyData = familyData;
     
     // Add comparison metrics
     this.addComparisonMetrics(results);
@@ -51,76 +97,181 @@ export class CostCalculator {
   }
 
   // Phase 1: Generate plan-agnostic usage timeline
-  generateFamilyUsageTimeline(members, serviceCosts) {
+  generateFamilyUsageTimeline(members, serviceCosts, coverage = this.resolveCoverage()) {
     const events = [];
+    const { planYearStart, coverageStartDay } = coverage;
+    const coveredDays = PlanYear.DAYS_IN_YEAR - coverageStartDay;
+    const fillDays = Array.from({ length: 12 }, (_, i) => PlanYear.calendarToDay(planYearStart, i + 1, 1));
     
     for (const member of members) {
-      // Annual medical services - spread evenly throughout the year
+      const scheduledEvents = member.scheduledEvents || [];
+      const outOfNetworkServices = member.outOfNetworkServices || [];
+      const createEvent = (day, serviceType, grossCost, field) => ({
+        day,
+        memberId: member.id,
+        memberName: member.name,
+        eventType: 'medical',
+        serviceType,
+        network: outOfNetworkServices.includes(field) ? 'outOfNetwork' : 'inNetwork',
+        grossCost
+      });
+      
+      // Annual medical services - scheduled visits on their dates, the rest spread evenly over the covered part of the year
       const annualServices = [
-        { type: 'primaryVisit', count: member.primaryVisits, cost: serviceCosts.primaryVisit },
-        { type: 'specialistVisit', count: member.specialistVisits, cost: serviceCosts.specialistVisit },
-        { type: 'therapySession', count: member.therapyVisits, cost: serviceCosts.therapySession },
-        { type: 'labWork', count: member.labWork, cost: serviceCosts.labWork },
-        { type: 'imaging', count: member.imaging, cost: serviceCosts.basicImaging },
-        { type: 'physicalTherapy', count: member.physicalTherapy, cost: serviceCosts.physicalTherapy }
+        { type: 'primaryVisit', field: 'primaryVisits', cost: serviceCosts.primaryVisit, preventiveCount: member.preventiveVisits },
+        { type: 'specialistVisit', field: 'specialistVisits', cost: serviceCosts.specialistVisit },
+        { type: 'therapySession', field: 'therapyVisits', cost: serviceCosts.therapySession },
+        { type: 'labWork', field: 'labWork', cost: serviceCosts.labWork, preventiveCount: member.preventiveLabs },
+        { type: 'imaging', field: 'imaging', cost: serviceCosts.basicImaging },
+        { type: 'physicalTherapy', field: 'physicalTherapy', cost: serviceCosts.physicalTherapy },
+        { type: 'emergencyRoom', field: 'emergencyVisits', cost: serviceCosts.emergencyRoom },
+        { type: 'urgentCare', field: 'urgentCareVisits', cost: serviceCosts.urgentCare },
+        { type: 'advancedImaging', field: 'advancedImaging', cost: serviceCosts.advancedImaging },
+        { type: 'outpatientSurgery', field: 'outpatientSurgeries', cost: serviceCosts.outpatientSurgery }
       ];
       
       for (const service of annualServices) {
-        if (service.count > 0) {
-          const daysBetweenEvents = Math.floor(365 / service.count);
-          for (let i = 0; i < service.count; i++) {
-            const dayOfYear = Math.floor(daysBetweenEvents * i + daysBetweenEvents / 2);
-            events.push({
-              day: dayOfYear,
-              memberId: member.id,
-              memberName: member.name,
-              eventType: 'medical',
-              serviceType: service.type,
-              grossCost: service.cost
-            });
+        if (!(service.cost > 0)) continue;
+        
+        const serviceEvents = [];
+        let scheduledCount = 0;
+        for (const entry of scheduledEvents.filter(e => e.field === service.field)) {
+          for (const day of this.getScheduledDays(entry, planYearStart).filter(d => d >= coverageStartDay)) {
+            serviceEvents.push(createEvent(day, service.type, service.cost, service.field));
           }
+          scheduledCount += entry.count;
         }
+        
+        // Only counts without a date fall back to even spreading
+        const unscheduledCount = Math.max(0, (member[service.field] || 0) - scheduledCount);
+        if (unscheduledCount > 0) {
+          const daysBetweenEvents = Math.floor(coveredDays / unscheduledCount);
+          for (let i = 0; i < unscheduledCount; i++) {
+            const dayOfYear = coverageStartDay + Math.floor(daysBetweenEvents * i + daysBetweenEvents / 2);
+            serviceEvents.push(createEvent(dayOfYear, service.type, service.cost, service.field));
+          }
+        }
+        
+        // The first visits/labs of the year are the preventive ones
+        serviceEvents.sort((a, b) => a.day - b.day);
+        serviceEvents.forEach((event, i) => {
+          event.preventive = i < (service.preventiveCount || 0);
+        });
+        events.push(...serviceEvents);
       }
       
-      // Monthly medications - on 1st of each month
+      // Inpatient days are billed per admission so per-admission copays apply once per stay
+      if (serviceCosts.inpatientDay > 0) {
+        let scheduledDays = 0;
+        for (const entry of scheduledEvents.filter(e => e.field === 'inpatientDays')) {
+          const admissionDay = PlanYear.calendarToDay(planYearStart, entry.month, entry.dayOfMonth);
+          if (admissionDay < coverageStartDay) continue;
+          events.push(createEvent(admissionDay, 'inpatientStay', entry.count * serviceCosts.inpatientDay, 'inpatientDays'));
+          scheduledDays += entry.count;
+        }
+        
+        // Unscheduled days are treated as a single admission midway through coverage
+        const unscheduledDays = Math.max(0, (member.inpatientDays || 0) - scheduledDays);
+        if (unscheduledDays > 0) {
+          events.push(createEvent(coverageStartDay + Math.floor(coveredDays / 2), 'inpatientStay', unscheduledDays * serviceCosts.inpatientDay, 'inpatientDays'));
+        }
+      }
+      
+      // Medications - filled on the 1st of the month, every month for 30-day supplies or every third month for 90-day
       if (member.medications && member.medications.length > 0) {
         for (const medication of member.medications) {
           // Skip medications with no cost or invalid data
           if (!medication.monthlyCost || medication.monthlyCost <= 0) continue;
           
-          for (let month = 0; month < 12; month++) {
-            const dayOfYear = month * 30 + 1; // Approximate 1st of each month
+          const daysSupply = medication.daysSupply || 30;
+          const monthsPerFill = daysSupply / 30;
+          const coveredFillDays = fillDays.filter(fillDay => fillDay >= coverageStartDay);
+          
+          coveredFillDays.forEach((fillDay, i) => {
+            if (i % monthsPerFill !== 0) return;
+            
             events.push({
-              day: dayOfYear,
+              day: fillDay,
               memberId: member.id,
               memberName: member.name,
               eventType: 'medication',
               serviceType: 'medication',
               medicationName: medication.name || 'Unknown',
               tier: parseInt(medication.tier) || 1,
-              grossCost: medication.monthlyCost
+              daysSupply,
+              channel: medication.channel || 'retail',
+              grossCost: medication.monthlyCost * (medication.quantity || 1) * monthsPerFill
             });
-          }
+          });
+        }
+      }
+      
+      // Medical episodes (a birth, a surgery, a chronic condition) add their own dated care on top of routine usage
+      for (const attachment of member.episodes || []) {
+        const { label, visits, fills } = MedicalEpisodes.expand(attachment, planYearStart);
+        
+        for (const visit of visits.filter(v => v.day >= coverageStartDay)) {
+          events.push({ ...createEvent(visit.day, visit.serviceType, visit.grossCost, visit.field), episodeName: label });
+        }
+        
+        for (const fill of fills.filter(f => f.day >= coverageStartDay)) {
+          events.push({
+            day: fill.day,
+            memberId: member.id,
+            memberName: member.name,
+            eventType: 'medication',
+            serviceType: 'medication',
+            medicationName: fill.name,
+            tier: fill.tier,
+            daysSupply: 30,
+            channel: 'retail',
+            grossCost: fill.monthlyCost,
+            episodeName: label
+          });
         }
       }
     }
     
     // Sort events chronologically
     events.sort((a, b) => a.day - b.day);
+    if (!this.isSimulating) {
+      for (const event of events) {
+        event.date = PlanYear.toISODate(PlanYear.dayToDate(planYearStart, event.day));
+      }
+    }
     
-    console.log(`📋 Generated usage timeline with ${events.length} events`);
+    if (!this.isSimulating) {
+      console.log(`📋 Generated usage timeline with ${events.length} events`);
+    }
     return events;
   }
 
+  // Plan-year days for a scheduled entry: a single event on its date, or a series spread from its date to plan-year end
+  getScheduledDays(entry, planYearStart) {
+    const startDay = PlanYear.calendarToDay(planYearStart, entry.month, entry.dayOfMonth);
+    if (entry.count === 1) {
+      return [startDay];
+    }
+    
+    const daysBetweenEvents = (PlanYear.DAYS_IN_YEAR - startDay) / entry.count;
+    return Array.from({ length: entry.count }, (_, i) => startDay + Math.floor(daysBetweenEvents * i));
+  }
+
   // Phase 2: Apply plan rules to usage timeline
-  applyPlanRules(plan, usageTable, members) {
+  applyPlanRules(plan, usageTable, members, coverage = this.resolveCoverage()) {
     const progression = [];
     
     // Initialize family-wide state
     const familyState = {
       deductibleUsed: 0,
       rxDeductibleUsed: 0,
-      oopUsed: 0
+      oopUsed: 0,
+      rxOOPUsed: 0, // Only tracked for plans with a separate Rx OOP maximum
+      outOfNetworkDeductibleUsed: 0,
+      outOfNetworkOOPUsed: 0,
+      balanceBilled: 0, // Charges above the allowed amount never count toward any limit
+      notCoveredCosts: 0, // Neither do services the plan doesn't cover, such as visits past a visit limit
+      isSelfOnly: members.length === 1 // Aggregate limits only apply to multi-member coverage
     };
     
     // Initialize per-member state
@@ -128,10 +279,24 @@ export class CostCalculator {
     for (const member of members) {
       memberStates[member.id] = {
         deductibleUsed: 0,
-        oopUsed: 0
+        oopUsed: 0,
+        rxOOPUsed: 0,
+        outOfNetworkDeductibleUsed: 0,
+        outOfNetworkOOPUsed: 0,
+        visitCounts: {} // Covered visits so far, by service type, for plans with visit limits
       };
     }
     
+    // Deductible carryover: credit for deductible already paid under a prior plan this plan year.
+    // The credit is attributed to the policyholder, who is who usually switched plans.
+    if (plan.deductibleCarryover && coverage.priorDeductibleCredit > 0) {
+      const familyDeductible = plan.familyDeductible || plan.individualDeductible * 2 || 0;
+      familyState.deductibleUsed = Math.min(coverage.priorDeductibleCredit, familyDeductible);
+      
+      const policyholder = members.find(member => member.relationship === 'self') || members[0];
+      memberStates[policyholder.id].deductibleUsed = Math.min(coverage.priorDeductibleCredit, plan.individualDeductible || 0);
+    }
+    
     // Determine premium structure
     const { coverageType, monthlyPremium } = this.determinePremiumTier(plan, members);
     
@@ -142,35 +307,73 @@ export class CostCalculator {
       
       // Update individual member state first
       memberStates[usageEvent.memberId].deductibleUsed += eventResult.appliedToIndividualDeductible;
-      const newIndividualOOP = memberStates[usageEvent.memberId].oopUsed + eventResult.memberCost;
       
-      // Apply individual OOP maximum cap
-      const individualOOPMax = plan.individualOOPMax || Infinity;
-      const cappedIndividualOOP = Math.min(newIndividualOOP, individualOOPMax);
-      const actualMemberCost = cappedIndividualOOP - memberStates[usageEvent.memberId].oopUsed;
+      // Apply individual OOP maximum cap (aggregate OOP plans only cap at the family level)
+      const hasIndividualOOPCap = plan.oopStructure !== 'aggregate' || familyState.isSelfOnly;
+      const individualOOPMax = hasIndividualOOPCap ? (plan.individualOOPMax || Infinity) : Infinity;
+      const familyOOPMax = plan.familyOOPMax || plan.individualOOPMax * 2 || Infinity;
+      
+      let actualMemberCost;
+      let preventiveSavings = 0;
       
-      // Update member state with capped cost
-      memberStates[usageEvent.memberId].oopUsed = cappedIndividualOOP;
+      if (eventResult.notCovered) {
+        // The member pays the full cost, and it counts toward no deductible or out-of-pocket maximum
+        actualMemberCost = eventResult.memberCost;
+        familyState.notCoveredCosts += actualMemberCost;
+      } else if (eventResult.appliedToRxOOP !== undefined) {
+        // Drug costs under a separate Rx OOP max were already capped and don't count toward the medical OOP max
+        actualMemberCost = eventResult.memberCost;
+        memberStates[usageEvent.memberId].rxOOPUsed += actualMemberCost;
+        familyState.rxOOPUsed += actualMemberCost;
+      } else if (eventResult.network === 'outOfNetwork') {
+        // Out-of-network care has its own deductible and OOP max, already applied to this event
+        actualMemberCost = eventResult.memberCost;
+        memberStates[usageEvent.memberId].outOfNetworkDeductibleUsed += eventResult.appliedToOutOfNetworkDeductible;
+        memberStates[usageEvent.memberId].outOfNetworkOOPUsed += eventResult.appliedToOutOfNetworkOOP;
+        familyState.outOfNetworkDeductibleUsed += eventResult.appliedToOutOfNetworkDeductible;
+        familyState.outOfNetworkOOPUsed += eventResult.appliedToOutOfNetworkOOP;
+        familyState.balanceBilled += eventResult.balanceBilled;
+      } else {
+        const newIndividualOOP = memberStates[usageEvent.memberId].oopUsed + eventResult.memberCost;
+        
+        // Preventive savings can't exceed what the member had left to pay before hitting an OOP max
+        preventiveSavings = Math.max(0, Math.min(
+          eventResult.preventiveSavings || 0,
+          individualOOPMax - memberStates[usageEvent.memberId].oopUsed,
+          familyOOPMax - familyState.oopUsed
+        ));
+        const cappedIndividualOOP = Math.min(newIndividualOOP, individualOOPMax);
+        actualMemberCost = cappedIndividualOOP - memberStates[usageEvent.memberId].oopUsed;
+        
+        // Update member state with capped cost
+        memberStates[usageEvent.memberId].oopUsed = cappedIndividualOOP;
+        familyState.oopUsed += actualMemberCost;
+      }
+      
+      const visitCounts = memberStates[usageEvent.memberId].visitCounts;
+      if (usageEvent.eventType === 'medical' && !eventResult.notCovered && !usageEvent.preventive) {
+        visitCounts[usageEvent.serviceType] = (visitCounts[usageEvent.serviceType] || 0) + 1;
+      }
       
-      // Update family states with capped member cost
+      // Update family deductibles
       familyState.deductibleUsed += eventResult.appliedToFamilyDeductible;
       familyState.rxDeductibleUsed += eventResult.appliedToRxDeductible;
-      familyState.oopUsed += actualMemberCost;
       
-      // Calculate cumulative totals
-      const currentMonth = Math.floor(usageEvent.day / 30.4);
-      const cumulativePremium = monthlyPremium * (currentMonth + 1);
+      // Calculate cumulative totals - premiums are owed from the month coverage starts
+      const currentMonth = coverage.monthStartDays.filter(startDay => startDay <= usageEvent.day).length - 1;
+      const cumulativePremium = monthlyPremium * (currentMonth - coverage.firstCoveredMonth + 1);
       
-      // Apply family OOP maximum
-      const familyOOPMax = plan.familyOOPMax || plan.individualOOPMax * 2 || Infinity;
+      // Apply family OOP maximum; separately capped Rx and out-of-network spending is added on top
       const cappedFamilyOOP = Math.min(familyState.oopUsed, familyOOPMax);
-      const cumulativeTotal = cumulativePremium + cappedFamilyOOP;
+      const cumulativeOOP = cappedFamilyOOP + familyState.rxOOPUsed + familyState.outOfNetworkOOPUsed +
+        familyState.balanceBilled + familyState.notCoveredCosts;
+      const cumulativeTotal = cumulativePremium + cumulativeOOP;
       
       // Debug logging for OOP max application
-      if (actualMemberCost < eventResult.memberCost) {
+      if (!this.isSimulating && actualMemberCost < eventResult.memberCost) {
         console.log(`🔒 Individual OOP max applied: Member ${usageEvent.memberName} cost reduced from $${eventResult.memberCost} to $${actualMemberCost} (limit: $${individualOOPMax})`);
       }
-      if (cappedFamilyOOP < familyState.oopUsed) {
+      if (!this.isSimulating && cappedFamilyOOP < familyState.oopUsed) {
         console.log(`🔒 Family OOP max applied: Family cost capped at $${cappedFamilyOOP} (limit: $${familyOOPMax})`);
       }
       
@@ -178,22 +381,32 @@ export class CostCalculator {
       const progressionRow = {
         // Original usage event data
         day: usageEvent.day,
+        date: usageEvent.date,
         memberId: usageEvent.memberId,
         memberName: usageEvent.memberName,
         eventType: usageEvent.eventType,
         serviceType: usageEvent.serviceType,
         medicationName: usageEvent.medicationName,
+        episodeName: usageEvent.episodeName,
         tier: usageEvent.tier,
         grossCost: usageEvent.grossCost,
+        preventive: usageEvent.preventive === true,
+        network: eventResult.network || 'inNetwork',
+        notCovered: eventResult.notCovered || null,
         
         // Plan-specific calculations
         eventCost: actualMemberCost,
+        balanceBilled: eventResult.balanceBilled || 0,
+        preventiveSavings: preventiveSavings,
         cumulativePremium: cumulativePremium,
-        cumulativeOOP: cappedFamilyOOP,
+        cumulativeOOP: cumulativeOOP,
         cumulativeTotal: cumulativeTotal,
         familyDeductibleUsed: familyState.deductibleUsed,
         familyRxDeductibleUsed: familyState.rxDeductibleUsed,
         familyOOPUsed: familyState.oopUsed,
+        familyRxOOPUsed: familyState.rxOOPUsed,
+        familyOutOfNetworkDeductibleUsed: familyState.outOfNetworkDeductibleUsed,
+        familyOutOfNetworkOOPUsed: familyState.outOfNetworkOOPUsed,
         
         // Individual member state
         individualDeductibleUsed: memberStates[usageEvent.memberId].deductibleUsed,
@@ -209,7 +422,9 @@ export class CostCalculator {
       progression.push(progressionRow);
     }
     
-    console.log(`✅ Applied ${plan.name} rules to ${progression.length} events`);
+    if (!this.isSimulating) {
+      console.log(`✅ Applied ${plan.name} rules to ${progression.length} events`);
+    }
     return progression;
   }
 
@@ -218,6 +433,22 @@ export class CostCalculator {
     const memberState = memberStates[usageEvent.memberId];
     
     if (usageEvent.eventType === 'medical') {
+      // Past the plan's visit limit the member pays the full cost. Preventive visits don't count toward limits.
+      const visitLimit = plan.visitLimits && plan.visitLimits[usageEvent.serviceType];
+      if (visitLimit && !usageEvent.preventive && (memberState.visitCounts[usageEvent.serviceType] || 0) >= visitLimit) {
+        return {
+          memberCost: usageEvent.grossCost,
+          appliedToFamilyDeductible: 0,
+          appliedToIndividualDeductible: 0,
+          appliedToRxDeductible: 0,
+          notCovered: 'visitLimit'
+        };
+      }
+      
+      // Emergency care is billed at in-network cost sharing wherever it happens (No Surprises Act)
+      if (usageEvent.network === 'outOfNetwork' && usageEvent.serviceType !== 'emergencyRoom') {
+        return this.processOutOfNetworkEventUnderPlan(plan, usageEvent, familyState, memberState);
+      }
       return this.processMedicalEventUnderPlan(plan, usageEvent, familyState, memberState);
     } else if (usageEvent.eventType === 'medication') {
       return this.processMedicationEventUnderPlan(plan, usageEvent, familyState, memberState);
@@ -233,12 +464,31 @@ export class CostCalculator {
 
   // Process medical event under plan rules
   processMedicalEventUnderPlan(plan, usageEvent, familyState, memberState) {
-    const familyDeductible = plan.familyDeductible || plan.individualDeductible * 2 || 0;
-    const individualDeductible = plan.individualDeductible || 0;
+    // ACA preventive care is covered at $0 before the deductible - what the member would otherwise owe is the savings
+    if (usageEvent.preventive) {
+      const withoutPreventive = this.processMedicalEventUnderPlan(plan, { ...usageEvent, preventive: false }, familyState, memberState);
+      return {
+        memberCost: 0,
+        appliedToFamilyDeductible: 0,
+        appliedToIndividualDeductible: 0,
+        appliedToRxDeductible: 0,
+        preventiveSavings: withoutPreventive.memberCost
+      };
+    }
     
-    const remainingFamilyDeductible = Math.max(0, familyDeductible - familyState.deductibleUsed);
-    const remainingIndividualDeductible = Math.max(0, individualDeductible - memberState.deductibleUsed);
-    const effectiveDeductible = Math.min(remainingFamilyDeductible, remainingIndividualDeductible);
+    const costSharingRule = this.getCostSharingRule(plan, usageEvent.serviceType);
+    
+    // Services the plan covers before the deductible (e.g. copay-only office visits) never touch it
+    if (costSharingRule && !costSharingRule.deductibleApplies) {
+      return {
+        memberCost: this.calculatePostDeductibleCost(plan, usageEvent.serviceType, usageEvent.grossCost),
+        appliedToFamilyDeductible: 0,
+        appliedToIndividualDeductible: 0,
+        appliedToRxDeductible: 0
+      };
+    }
+    
+    const effectiveDeductible = this.getRemainingDeductible(plan, familyState, memberState);
     
     let memberCost = 0;
     let appliedToFamilyDeductible = 0;
@@ -270,6 +520,56 @@ export class CostCalculator {
     };
   }
 
+  // Process out-of-network medical event: cost sharing applies to the plan's allowed amount, the provider
+  // balance bills the rest, and plans without out-of-network benefits (most HMOs/EPOs) pay nothing
+  processOutOfNetworkEventUnderPlan(plan, usageEvent, familyState, memberState) {
+    if (!plan.outOfNetworkCovered) {
+      return {
+        memberCost: usageEvent.grossCost,
+        appliedToFamilyDeductible: 0,
+        appliedToIndividualDeductible: 0,
+        appliedToRxDeductible: 0,
+        network: 'outOfNetwork',
+        appliedToOutOfNetworkDeductible: 0,
+        appliedToOutOfNetworkOOP: 0,
+        balanceBilled: usageEvent.grossCost
+      };
+    }
+    
+    const allowedAmount = usageEvent.grossCost * (plan.outOfNetworkAllowedPercent || 100) / 100;
+    const balanceBilled = usageEvent.grossCost - allowedAmount;
+    
+    // Out-of-network deductibles are embedded, defaulting the family limit to twice the individual one
+    const individualDeductible = plan.outOfNetworkIndividualDeductible;
+    const familyDeductible = plan.outOfNetworkFamilyDeductible || individualDeductible * 2;
+    const remainingDeductible = Math.max(0, Math.min(
+      individualDeductible - memberState.outOfNetworkDeductibleUsed,
+      familyDeductible - familyState.outOfNetworkDeductibleUsed
+    ));
+    const appliedToDeductible = Math.min(allowedAmount, remainingDeductible);
+    const sharedCost = appliedToDeductible + (allowedAmount - appliedToDeductible) * plan.outOfNetworkCoinsurance;
+    
+    // A zero out-of-network OOP max means the plan has no limit on out-of-network spending
+    const individualOOPMax = plan.outOfNetworkIndividualOOPMax || Infinity;
+    const familyOOPMax = familyState.isSelfOnly ? Infinity : (plan.outOfNetworkFamilyOOPMax || individualOOPMax * 2);
+    const appliedToOOP = Math.max(0, Math.min(
+      sharedCost,
+      individualOOPMax - memberState.outOfNetworkOOPUsed,
+      familyOOPMax - familyState.outOfNetworkOOPUsed
+    ));
+    
+    return {
+      memberCost: appliedToOOP + balanceBilled,
+      appliedToFamilyDeductible: 0,
+      appliedToIndividualDeductible: 0,
+      appliedToRxDeductible: 0,
+      network: 'outOfNetwork',
+      appliedToOutOfNetworkDeductible: appliedToDeductible,
+      appliedToOutOfNetworkOOP: appliedToOOP,
+      balanceBilled
+    };
+  }
+
   // Process medication event under plan rules
   processMedicationEventUnderPlan(plan, usageEvent, familyState, memberState) {
     const rxDeductible = plan.rxDeductible || 0;
@@ -291,20 +591,15 @@ export class CostCalculator {
         
         const remainingCost = usageEvent.grossCost - appliedToDeductible;
         if (remainingCost > 0) {
-          memberCost += this.calculateTierCost(plan, usageEvent.tier, remainingCost);
+          memberCost += this.calculateTierCost(plan, usageEvent.tier, remainingCost, usageEvent);
         }
       } else {
         // Rx deductible met or no cost, apply tier pricing
-        memberCost = this.calculateTierCost(plan, usageEvent.tier, usageEvent.grossCost);
+        memberCost = this.calculateTierCost(plan, usageEvent.tier, usageEvent.grossCost, usageEvent);
       }
     } else {
       // HSA-style unified deductible
-      const familyDeductible = plan.familyDeductible || plan.individualDeductible * 2 || 0;
-      const individualDeductible = plan.individualDeductible || 0;
-      
-      const remainingFamilyDeductible = Math.max(0, familyDeductible - familyState.deductibleUsed);
-      const remainingIndividualDeductible = Math.max(0, individualDeductible - memberState.deductibleUsed);
-      const effectiveDeductible = Math.min(remainingFamilyDeductible, remainingIndividualDeductible);
+      const effectiveDeductible = this.getRemainingDeductible(plan, familyState, memberState);
       
       if (effectiveDeductible > 0 && usageEvent.grossCost > 0) {
         const appliedToDeductible = Math.min(usageEvent.grossCost, effectiveDeductible);
@@ -314,14 +609,32 @@ export class CostCalculator {
         
         const remainingCost = usageEvent.grossCost - appliedToDeductible;
         if (remainingCost > 0) {
-          memberCost += this.calculateTierCost(plan, usageEvent.tier, remainingCost);
+          memberCost += this.calculateTierCost(plan, usageEvent.tier, remainingCost, usageEvent);
         }
       } else {
         // Deductible met or no cost, apply tier pricing
-        memberCost = this.calculateTierCost(plan, usageEvent.tier, usageEvent.grossCost);
+        memberCost = this.calculateTierCost(plan, usageEvent.tier, usageEvent.grossCost, usageEvent);
       }
     }
     
+    // Separate Rx out-of-pocket maximum: drug spending is tracked and capped apart from the medical OOP max
+    if (plan.rxIndividualOOPMax > 0) {
+      const rxFamilyOOPMax = familyState.isSelfOnly ? Infinity : (plan.rxFamilyOOPMax || plan.rxIndividualOOPMax * 2);
+      const remainingRxOOP = Math.max(0, Math.min(
+        plan.rxIndividualOOPMax - memberState.rxOOPUsed,
+        rxFamilyOOPMax - familyState.rxOOPUsed
+      ));
+      memberCost = Math.min(memberCost, remainingRxOOP);
+      
+      return {
+        memberCost,
+        appliedToFamilyDeductible,
+        appliedToIndividualDeductible,
+        appliedToRxDeductible,
+        appliedToRxOOP: memberCost
+      };
+    }
+    
     return {
       memberCost,
       appliedToFamilyDeductible,
@@ -330,8 +643,30 @@ export class CostCalculator {
     };
   }
 
+  // Remaining deductible before this member's costs are shared by the plan
+  getRemainingDeductible(plan, familyState, memberState) {
+    const familyDeductible = plan.familyDeductible || plan.individualDeductible * 2 || 0;
+    const individualDeductible = plan.individualDeductible || 0;
+    
+    const remainingFamilyDeductible = Math.max(0, familyDeductible - familyState.deductibleUsed);
+    const remainingIndividualDeductible = Math.max(0, individualDeductible - memberState.deductibleUsed);
+    
+    if (plan.deductibleStructure === 'aggregate') {
+      // Aggregate (non-embedded): no individual threshold - the whole family deductible must be met first
+      return familyState.isSelfOnly ? remainingIndividualDeductible : remainingFamilyDeductible;
+    }
+    
+    // Embedded: each member stops paying at their individual deductible or when the family total is met
+    return Math.min(remainingFamilyDeductible, remainingIndividualDeductible);
+  }
+
   // Calculate post-deductible cost for medical services
   calculatePostDeductibleCost(plan, serviceType, cost) {
+    const costSharingRule = this.getCostSharingRule(plan, serviceType);
+    if (costSharingRule) {
+      return this.applyCostSharingRule(costSharingRule, cost);
+    }
+    
     const copay = this.getCopayForService(plan, serviceType);
     
     if (copay && copay > 0) {
@@ -343,18 +678,42 @@ export class CostCalculator {
     }
   }
 
+  // Per-service cost-sharing rule from the SBC, or null to fall back to the plan-wide copay/coinsurance fields
+  getCostSharingRule(plan, serviceType) {
+    return (plan.serviceCostSharing && plan.serviceCostSharing[serviceType]) || null;
+  }
+
+  // Member share of a service under a single cost-sharing rule
+  applyCostSharingRule(rule, cost) {
+    switch (rule.type) {
+      case 'copay':
+        return Math.min(rule.copay, cost);
+      case 'coinsurance':
+        return cost * rule.coinsurance;
+      case 'copayThenCoinsurance': {
+        // Flat copay first, then coinsurance on whatever the copay didn't cover
+        const copayPortion = Math.min(rule.copay, cost);
+        return copayPortion + (cost - copayPortion) * rule.coinsurance;
+      }
+      default:
+        throw new Error(`Unknown cost-sharing rule type: ${rule.type}`);
+    }
+  }
+
   // Get copay for specific service type
   getCopayForService(plan, serviceType) {
     const copayMap = {
       'primaryVisit': plan.primaryCopay,
       'specialistVisit': plan.specialistCopay,
-      'therapySession': plan.mentalHealthCopay || plan.primaryCopay
+      'therapySession': plan.mentalHealthCopay || plan.primaryCopay,
+      'emergencyRoom': plan.emergencyRoomCopay,
+      'urgentCare': plan.urgentCareCopay
     };
     return copayMap[serviceType] || 0;
   }
 
   // Calculate tier-based medication cost with proper type handling
-  calculateTierCost(plan, tier, cost) {
+  calculateTierCost(plan, tier, cost, fill = {}) {
     // Handle $0 cost medications
     if (cost === 0) {
       return 0;
@@ -368,14 +727,37 @@ export class CostCalculator {
     };
 
     const tierCostKey = tierKeys[tier] || 'tier1DrugCost';
-    const tierCost = plan[tierCostKey] || 0;
     const tierCostType = plan[`${tierCostKey}Type`];
+    const monthsSupplied = (fill.daysSupply || 30) / 30;
+    
+    // Per-fill coinsurance limits are stated for a 30-day supply
+    const limits = { min: plan[`${tierCostKey}Min`] || 0, max: plan[`${tierCostKey}Max`] || 0 };
+    
+    // 90-day mail-order fills use the plan's mail-order price when it has one
+    const mailOrderKey = CostCalculator.MAIL_ORDER_TIER_KEYS[tierCostKey];
+    if (fill.channel === 'mailOrder' && monthsSupplied === 3 && plan[mailOrderKey] > 0) {
+      const mailOrderLimits = { min: limits.min * monthsSupplied, max: limits.max * monthsSupplied };
+      return this.applyTierCostSharing(plan[mailOrderKey], tierCostType, cost, mailOrderLimits);
+    }
+    
+    // Otherwise each month's supply is priced as its own retail fill (a 90-day retail fill costs three copays)
+    return monthsSupplied * this.applyTierCostSharing(plan[tierCostKey] || 0, tierCostType, cost / monthsSupplied, limits);
+  }
+
+  // Member share of a drug cost under a tier's copay or coinsurance.
+  // Coinsurance is held between the per-fill minimum and maximum (0 = no limit), never above the drug's cost.
+  applyTierCostSharing(tierCost, tierCostType, cost, limits = {}) {
+    const clampCoinsurance = (amount) => {
+      let limited = limits.max > 0 ? Math.min(amount, limits.max) : amount;
+      limited = limits.min > 0 ? Math.max(limited, limits.min) : limited;
+      return Math.min(limited, cost);
+    };
     
     // Use explicit type information if available
     if (tierCostType === 'coinsurance') {
       // Percentage coinsurance - ensure proper decimal format
       const coinsuranceRate = tierCost > 1 ? tierCost / 100 : tierCost; // Handle both 20 and 0.2
-      return cost * coinsuranceRate;
+      return clampCoinsurance(cost * coinsuranceRate);
     } else if (tierCostType === 'copay') {
       // Fixed copay - never more than actual drug cost
       return Math.min(tierCost, cost);
@@ -383,7 +765,7 @@ export class CostCalculator {
       // Legacy fallback - use old heuristic (for plans without type info)
       if (typeof tierCost === 'number' && tierCost < 1) {
         // Percentage coinsurance (HSA plans)
-        return cost * tierCost;
+        return clampCoinsurance(cost * tierCost);
       } else {
         // Fixed copay (PPO plans) - but only for actual cost
         return Math.min(tierCost, cost);
@@ -391,15 +773,79 @@ export class CostCalculator {
     }
   }
 
-  // Phase 3: Generate plan result summary from progression
-  generatePlanResult(plan, progression, members) {
+  // Calculate family totals for the low/high usage scenarios under a single plan
+  calculateScenarioTotals(plan, familyData) {
+    const scenarios = {};
+    
+    for (const scenario of ['low', 'high']) {
+      const scenarioMembers = familyData.members.map(member => UsageScenarios.applyToMember(member, scenario));
+      const usageTable = this.generateFamilyUsageTimeline(scenarioMembers, familyData.serviceCosts, familyData.coverage);
+      const progression = this.applyPlanRules(plan, usageTable, scenarioMembers, familyData.coverage);
+      
+      scenarios[scenario] = this.calculateFamilyTotals(plan, progression, scenarioMembers, familyData.accountSettings, familyData.coverage);
+    }
+    
+    return scenarios;
+  }
+
+  // Summarize a progression into family-level totals, including net cost after account funding and tax savings
+  calculateFamilyTotals(plan, progression, members, accountSettings = {}, coverage = this.resolveCoverage()) {
+    const totals = this.calculateGrossFamilyTotals(plan, progression, members, coverage);
+    const { coverageType } = this.determinePremiumTier(plan, members);
+    
+    totals.accounts = TaxAdvantagedAccounts.calculate(plan, totals, progression, coverageType, members, accountSettings, coverage.coveredMonths);
+    totals.netCost = totals.accounts.netCost;
+    return totals;
+  }
+
+  calculateGrossFamilyTotals(plan, progression, members, coverage = this.resolveCoverage()) {
     if (progression.length === 0) {
-      return this.createErrorResult(plan, new Error('No progression data'));
+      // No usage at all - the family still pays premiums for every covered month
+      const { monthlyPremium } = this.determinePremiumTier(plan, members);
+      return {
+        medicalCosts: 0,
+        rxCosts: 0,
+        outOfNetworkCosts: 0,
+        balanceBilled: 0,
+        notCoveredCosts: 0,
+        totalOutOfPocket: 0,
+        totalWithPremiums: monthlyPremium * coverage.coveredMonths,
+        preventiveSavings: 0
+      };
     }
 
-    // Get final totals from last progression row
     const finalRow = progression[progression.length - 1];
     
+    const medicalCosts = progression
+      .filter(row => row.eventType === 'medical')
+      .reduce((sum, row) => sum + row.eventCost, 0);
+    
+    const rxCosts = progression
+      .filter(row => row.eventType === 'medication')
+      .reduce((sum, row) => sum + row.eventCost, 0);
+    
+    const outOfNetworkCosts = progression
+      .filter(row => row.network === 'outOfNetwork')
+      .reduce((sum, row) => sum + row.eventCost, 0);
+
+    // Premiums are owed for every covered month, even if the last event happens earlier
+    return {
+      medicalCosts,
+      rxCosts,
+      outOfNetworkCosts,
+      balanceBilled: progression.reduce((sum, row) => sum + row.balanceBilled, 0),
+      notCoveredCosts: progression.filter(row => row.notCovered).reduce((sum, row) => sum + row.eventCost, 0),
+      totalOutOfPocket: finalRow.cumulativeOOP,
+      totalWithPremiums: finalRow.monthlyPremium * coverage.coveredMonths + finalRow.cumulativeOOP,
+      preventiveSavings: progression.reduce((sum, row) => sum + (row.preventiveSavings || 0), 0)
+    };
+  }
+
+  // Phase 3: Generate plan result summary from progression
+  generatePlanResult(plan, progression, members, scenarios = {}, accountSettings = {}, coverage = this.resolveCoverage()) {
+    // Premium tier from the members, so a family with no modeled usage still gets a premiums-only result
+    const { coverageType, monthlyPremium } = this.determinePremiumTier(plan, members);
+    
     // Calculate member-specific results
     const memberResults = {};
     for (const member of members) {
@@ -417,47 +863,42 @@ export class CostCalculator {
         medicalCosts: memberMedicalCosts,
         rxCosts: memberRxCosts,
         totalCosts: memberMedicalCosts + memberRxCosts,
+        preventiveSavings: memberEvents.reduce((sum, e) => sum + (e.preventiveSavings || 0), 0),
         events: memberEvents.map(e => ({
           day: e.day,
+          date: e.date,
           type: e.eventType,
           serviceType: e.serviceType,
+          episodeName: e.episodeName,
+          preventive: e.preventive,
           cost: e.grossCost,
           memberCost: e.eventCost,
+          notCovered: e.notCovered,
           appliedToDeductible: e.appliedToFamilyDeductible || 0
         }))
       };
     }
 
     // Calculate totals
-    const totalMedicalCosts = progression
-      .filter(row => row.eventType === 'medical')
-      .reduce((sum, row) => sum + row.eventCost, 0);
-    
-    const totalRxCosts = progression
-      .filter(row => row.eventType === 'medication')
-      .reduce((sum, row) => sum + row.eventCost, 0);
+    const familyTotals = this.calculateFamilyTotals(plan, progression, members, accountSettings, coverage);
 
     // Generate monthly accumulation from progression
-    const monthlyAccumulation = this.generateMonthlyAccumulation(progression);
+    const monthlyAccumulation = this.generateMonthlyAccumulation(progression, coverage);
     
     // Generate milestones from progression
-    const milestones = this.generateMilestones(plan, progression);
+    const milestones = this.generateMilestones(plan, progression, coverage);
 
     const result = {
       planId: plan.id,
       planName: plan.name || 'Unnamed Plan',
       insurer: plan.insurer || 'Unknown',
-      annualPremium: finalRow.monthlyPremium * 12,
+      annualPremium: monthlyPremium * coverage.coveredMonths,
       memberResults: memberResults,
-      familyTotals: {
-        medicalCosts: totalMedicalCosts,
-        rxCosts: totalRxCosts,
-        totalOutOfPocket: finalRow.cumulativeOOP,
-        totalWithPremiums: finalRow.cumulativeTotal
-      },
-      scenarios: {}, // TODO: Implement scenarios
+      familyTotals: familyTotals,
+      scenarios: scenarios,
       timeline: progression.map(row => ({
         day: row.day,
+        date: row.date,
         memberId: row.memberId,
         memberName: row.memberName,
         type: row.eventType,
@@ -468,8 +909,16 @@ export class CostCalculator {
       })),
       monthlyAccumulation: monthlyAccumulation,
       milestones: milestones,
-      coverageType: finalRow.coverageType,
-      monthlyPremium: finalRow.monthlyPremium,
+      planYear: {
+        start: coverage.planYearStart,
+        coverageStart: coverage.coverageStartDate,
+        coveredMonths: coverage.coveredMonths
+      },
+      coverageType,
+      monthlyPremium,
+      premiumTier: this.describePremiumTier(plan, members),
+      premiumSubsidy: this.describePremiumSubsidy(plan, members, coverage),
+      coverageWarnings: CoverageWarnings.find(plan, members, progression),
       planDetails: {
         individualDeductible: plan.individualDeductible || 0,
         familyDeductible: plan.familyDeductible || 0,
@@ -478,11 +927,40 @@ export class CostCalculator {
         coinsurance: plan.coinsurance || 0,
         primaryCopay: plan.primaryCopay || 0,
         specialistCopay: plan.specialistCopay || 0,
+        emergencyRoomCopay: plan.emergencyRoomCopay || 0,
+        urgentCareCopay: plan.urgentCareCopay || 0,
         rxDeductible: plan.rxDeductible || 0,
+        hsaEligible: TaxAdvantagedAccounts.isHSAEligible(plan),
+        employerHSASeed: plan.employerHSASeed || 0,
+        hraAmount: plan.hraAmount || 0,
+        deductibleStructure: plan.deductibleStructure,
+        deductibleCarryover: plan.deductibleCarryover,
+        marketplacePlan: plan.marketplacePlan,
+        metalTier: plan.metalTier,
+        costSharingReduction: plan.costSharingReduction || null,
+        oopStructure: plan.oopStructure,
+        serviceCostSharing: plan.serviceCostSharing || null,
         tier1DrugCost: plan.tier1DrugCost || 0,
         tier2DrugCost: plan.tier2DrugCost || 0,
         tier3DrugCost: plan.tier3DrugCost || 0,
-        specialtyDrugCost: plan.specialtyDrugCost || 0
+        specialtyDrugCost: plan.specialtyDrugCost || 0,
+        mailOrderTier1DrugCost: plan.mailOrderTier1DrugCost || 0,
+        mailOrderTier2DrugCost: plan.mailOrderTier2DrugCost || 0,
+        mailOrderTier3DrugCost: plan.mailOrderTier3DrugCost || 0,
+        mailOrderSpecialtyDrugCost: plan.mailOrderSpecialtyDrugCost || 0,
+        rxIndividualOOPMax: plan.rxIndividualOOPMax || 0,
+        rxFamilyOOPMax: plan.rxFamilyOOPMax || 0,
+        outOfNetworkCovered: plan.outOfNetworkCovered,
+        outOfNetworkIndividualDeductible: plan.outOfNetworkIndividualDeductible || 0,
+        outOfNetworkFamilyDeductible: plan.outOfNetworkFamilyDeductible || 0,
+        outOfNetworkIndividualOOPMax: plan.outOfNetworkIndividualOOPMax || 0,
+        outOfNetworkFamilyOOPMax: plan.outOfNetworkFamilyOOPMax || 0,
+        outOfNetworkCoinsurance: plan.outOfNetworkCoinsurance || 0,
+        outOfNetworkAllowedPercent: plan.outOfNetworkAllowedPercent || 100,
+        visitLimits: plan.visitLimits || {},
+        priorAuthorization: plan.priorAuthorization || [],
+        excludedServices: plan.excludedServices || [],
+        coveredServices: plan.coveredServices || []
       }
     };
     
@@ -494,41 +972,47 @@ export class CostCalculator {
     return result;
   }
 
-  // Generate monthly accumulation from progression data
-  generateMonthlyAccumulation(progression) {
+  // Generate monthly accumulation from progression data, in plan-year month order
+  generateMonthlyAccumulation(progression, coverage = this.resolveCoverage()) {
+    const labels = PlanYear.getMonthLabels(coverage.planYearStart);
     const monthlyData = Array(12).fill(0).map((_, i) => ({ 
       month: i + 1, 
+      label: labels[i],
       totalCost: 0, 
       events: 0 
     }));
 
     for (const row of progression) {
-      const month = Math.floor(row.day / 30.4);
-      if (month < 12) {
-        monthlyData[month].totalCost = row.cumulativeOOP;
-        monthlyData[month].events += 1;
-      }
+      const month = PlanYear.getPlanMonth(coverage.planYearStart, row.day);
+      monthlyData[month].totalCost = row.cumulativeOOP;
+      monthlyData[month].events += 1;
     }
 
     return monthlyData;
   }
 
   // Generate milestones from progression data
-  generateMilestones(plan, progression) {
+  generateMilestones(plan, progression, coverage = this.resolveCoverage()) {
     const milestones = [];
     const familyDeductible = plan.familyDeductible || plan.individualDeductible * 2 || 0;
     const familyOOPMax = plan.familyOOPMax || plan.individualOOPMax * 2 || Infinity;
     
+    const rxFamilyOOPMax = plan.rxIndividualOOPMax > 0 ? (plan.rxFamilyOOPMax || plan.rxIndividualOOPMax * 2) : Infinity;
+    
     let deductibleMet = false;
     let oopMaxMet = false;
+    let rxOOPMaxMet = false;
     
     for (const row of progression) {
+      const dateLabel = PlanYear.formatDate(PlanYear.dayToDate(coverage.planYearStart, row.day));
+      
       if (!deductibleMet && row.familyDeductibleUsed >= familyDeductible) {
         milestones.push({
           type: 'family_deductible_met',
           day: row.day,
+          dateLabel,
           amount: familyDeductible,
-          description: `Family deductible of $${familyDeductible} met on day ${row.day}`
+          description: `Family deductible of $${familyDeductible} met on ${dateLabel}`
         });
         deductibleMet = true;
       }
@@ -537,16 +1021,192 @@ export class CostCalculator {
         milestones.push({
           type: 'family_oop_met',
           day: row.day,
+          dateLabel,
           amount: familyOOPMax,
-          description: `Family out-of-pocket maximum of $${familyOOPMax} met on day ${row.day}`
+          description: `Family out-of-pocket maximum of $${familyOOPMax} met on ${dateLabel}`
         });
         oopMaxMet = true;
       }
+      
+      if (!rxOOPMaxMet && row.familyRxOOPUsed >= rxFamilyOOPMax) {
+        milestones.push({
+          type: 'family_rx_oop_met',
+          day: row.day,
+          dateLabel,
+          amount: rxFamilyOOPMax,
+          description: `Family prescription out-of-pocket maximum of $${rxFamilyOOPMax} met on ${dateLabel}`
+        });
+        rxOOPMaxMet = true;
+      }
     }
     
     return milestones;
   }
 
+  // Monte Carlo: simulate many plan years with random usage to expose tail risk
+  async simulateCostDistribution(plans, familyData, options = {}) {
+    const {
+      iterations = 2000,
+      medicationAdherence = 0.9,      // Chance that each monthly fill actually happens
+      catastrophicProbability = 0,    // Per-member chance of a catastrophic event each year
+      catastrophicCost = 50000,       // Gross cost of a catastrophic event (e.g. major surgery + stay)
+      seed = null,                    // Fixed seed for reproducible runs
+      progressCallback = null
+    } = options;
+
+    if (!plans || plans.length === 0) {
+      throw new Error('No plans provided for simulation');
+    }
+
+    if (!familyData || !familyData.members || familyData.members.length === 0) {
+      throw new Error('No family data provided for simulation');
+    }
+
+    const validatedFamilyData = this.validateFamilyData(familyData);
+    const validatedPlans = plans.map(plan => this.validateAndNormalizePlan(plan, validatedFamilyData.marketplace));
+    const random = seed !== null ? this.createSeededRandom(seed) : Math.random;
+
+    const totalsByPlan = {};
+    const cheapestCounts = {};
+    for (const plan of validatedPlans) {
+      totalsByPlan[plan.id] = [];
+      cheapestCounts[plan.id] = 0;
+    }
+
+    this.isSimulating = true;
+    try {
+      for (let i = 0; i < iterations; i++) {
+        // Sample one plan year of usage, shared by every plan so the comparison is fair
+        const sampledMembers = validatedFamilyData.members.map(member => this.sampleMemberUsage(member, random));
+        const usageTable = this.generateSimulatedUsageTimeline(sampledMembers, validatedFamilyData.serviceCosts, validatedFamilyData.coverage, {
+          random,
+          medicationAdherence,
+          catastrophicProbability,
+          catastrophicCost
+        });
+
+        const yearTotals = {};
+        for (const plan of validatedPlans) {
+          const progression = this.applyPlanRules(plan, usageTable, sampledMembers, validatedFamilyData.coverage);
+          // Net of account funding and tax savings, the same cost the summary ranks plans by
+          yearTotals[plan.id] = this.calculateFamilyTotals(plan, progression, sampledMembers, validatedFamilyData.accountSettings, validatedFamilyData.coverage).netCost;
+          totalsByPlan[plan.id].push(yearTotals[plan.id]);
+        }
+
+        // Split credit evenly when plans tie for cheapest
+        const minTotal = Math.min(...Object.values(yearTotals));
+        const cheapestIds = Object.keys(yearTotals).filter(id => yearTotals[id] === minTotal);
+        cheapestIds.forEach(id => cheapestCounts[id] += 1 / cheapestIds.length);
+
+        // Yield control to prevent UI blocking
+        if ((i + 1) % 100 === 0) {
+          if (progressCallback) progressCallback(i + 1, iterations);
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      }
+    } finally {
+      this.isSimulating = false;
+    }
+
+    const distributions = {};
+    for (const plan of validatedPlans) {
+      const sortedTotals = [...totalsByPlan[plan.id]].sort((a, b) => a - b);
+      distributions[plan.id] = {
+        planId: plan.id,
+        planName: plan.name,
+        iterations,
+        mean: sortedTotals.reduce((sum, total) => sum + total, 0) / sortedTotals.length,
+        percentiles: {
+          p10: this.getPercentile(sortedTotals, 10),
+          p50: this.getPercentile(sortedTotals, 50),
+          p90: this.getPercentile(sortedTotals, 90),
+          p99: this.getPercentile(sortedTotals, 99)
+        },
+        probabilityCheapest: cheapestCounts[plan.id] / iterations
+      };
+    }
+
+    console.log(`🎲 Simulated ${iterations} plan years across ${validatedPlans.length} plans`);
+    return distributions;
+  }
+
+  // Draw random visit counts for a member, using their entered counts as the expected values
+  sampleMemberUsage(member, random) {
+    const sampled = { ...member };
+    for (const field of CostCalculator.USAGE_FIELDS) {
+      sampled[field] = this.samplePoisson(member[field] || 0, random);
+    }
+    return sampled;
+  }
+
+  // Build a usage timeline with missed medication fills and optional catastrophic events
+  generateSimulatedUsageTimeline(members, serviceCosts, coverage, options) {
+    const { random, medicationAdherence, catastrophicProbability, catastrophicCost } = options;
+    const coveredDays = PlanYear.DAYS_IN_YEAR - coverage.coverageStartDay;
+
+    const events = this.generateFamilyUsageTimeline(members, serviceCosts, coverage)
+      .filter(event => event.eventType !== 'medication' || random() < medicationAdherence);
+
+    if (catastrophicProbability > 0) {
+      for (const member of members) {
+        if (random() < catastrophicProbability) {
+          events.push({
+            day: coverage.coverageStartDay + Math.floor(random() * coveredDays),
+            memberId: member.id,
+            memberName: member.name,
+            eventType: 'medical',
+            serviceType: 'catastrophicEvent',
+            grossCost: catastrophicCost
+          });
+        }
+      }
+      events.sort((a, b) => a.day - b.day);
+    }
+
+    return events;
+  }
+
+  // Poisson sampling - Knuth's method for small means, normal approximation for large ones
+  samplePoisson(mean, random) {
+    if (mean <= 0) return 0;
+
+    if (mean > 30) {
+      // Box-Muller transform
+      const u1 = Math.max(random(), Number.EPSILON);
+      const u2 = random();
+      const normal = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      return Math.max(0, Math.round(mean + Math.sqrt(mean) * normal));
+    }
+
+    const limit = Math.exp(-mean);
+    let count = 0;
+    let product = random();
+    while (product > limit) {
+      count++;
+      product *= random();
+    }
+    return count;
+  }
+
+  // Nearest-rank percentile from a pre-sorted array
+  getPercentile(sortedValues, percentile) {
+    if (sortedValues.length === 0) return 0;
+    const rank = Math.ceil((percentile / 100) * sortedValues.length);
+    return sortedValues[Math.min(sortedValues.length - 1, Math.max(0, rank - 1))];
+  }
+
+  // Small deterministic PRNG (mulberry32) for reproducible simulations
+  createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
   // Phase 3: Export progression data as CSV
   exportCalculationWorksheets() {
     if (!this.lastUsageTable || !this.lastPlanProgressions) {
@@ -595,6 +1255,7 @@ export class CostCalculator {
       'Member_Name',
       'Event_Type',
       'Service_Type',
+      'Network',
       'Gross_Cost'
     ];
 
@@ -626,11 +1287,12 @@ export class CostCalculator {
     for (const usageEvent of this.lastUsageTable) {
       const row = [
         usageEvent.day,
-        this.dayToApproximateDate(usageEvent.day),
+        usageEvent.date,
         usageEvent.memberId,
         usageEvent.memberName,
         usageEvent.eventType,
         usageEvent.serviceType || usageEvent.medicationName || 'Unknown',
+        usageEvent.network || '',
         usageEvent.grossCost || 0
       ];
 
@@ -689,38 +1351,77 @@ export class CostCalculator {
     return name.replace(/[^a-zA-Z0-9]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
   }
 
-  dayToApproximateDate(day) {
-    const date = new Date(2024, 0, 1); // Start of year
-    date.setDate(date.getDate() + day - 1);
-    return date.toISOString().split('T')[0]; // YYYY-MM-DD format
-  }
-
+  // Pick the premium tier from the members actually covered, or price each member by age on age-rated plans
   determinePremiumTier(plan, members) {
-    const memberCount = members.length;
+    const coveredMembers = members.filter(member => member.isActive !== false);
+    const policyholder = coveredMembers.find(member => member.relationship === 'self') || coveredMembers[0];
+    const dependents = coveredMembers.filter(member => member !== policyholder);
+    const children = dependents.filter(member => member.relationship === 'child' || member.age < 18);
+    const adultDependents = dependents.filter(member => !children.includes(member));
     
-    if (memberCount === 1) {
-      return {
-        coverageType: 'individual',
-        monthlyPremium: plan.monthlyPremium || 0
-      };
+    let coverageType = 'family';
+    let monthlyPremium = plan.familyPremium || plan.monthlyPremium || 0;
+    
+    if (dependents.length === 0) {
+      coverageType = 'individual';
+      monthlyPremium = plan.monthlyPremium || 0;
+    } else if (children.length === 0 && adultDependents.length === 1 && plan.spousePremium) {
+      coverageType = 'employee+spouse';
+      monthlyPremium = plan.spousePremium;
+    } else if (adultDependents.length === 0 && plan.childrenPremium) {
+      coverageType = 'employee+children';
+      monthlyPremium = plan.childrenPremium;
     }
     
-    if (memberCount === 2) {
-      // Check if it's employee + spouse (both adults)
-      const hasChildren = members.some(m => m.relationship === 'child' || m.age < 18);
-      
-      if (!hasChildren && plan.spousePremium) {
-        return {
-          coverageType: 'employee+spouse',
-          monthlyPremium: plan.spousePremium
-        };
-      }
+    let memberPremiums = null;
+    if (plan.premiumRating === 'ageRated') {
+      memberPremiums = PremiumRating.calculateMemberPremiums(plan.ageRatedBasePremium, coveredMembers);
+      monthlyPremium = memberPremiums.reduce((sum, member) => sum + member.monthlyPremium, 0);
     }
     
-    // Family coverage (3+ members or 2 with children, or fallback)
+    // Employers often add a surcharge when a spouse who could get their own coverage joins the plan
+    const spouseSurcharge = dependents.some(member => member.relationship === 'spouse') ? (plan.spouseSurcharge || 0) : 0;
+    const grossMonthlyPremium = monthlyPremium + spouseSurcharge;
+    
+    // Marketplace premium tax credit can't exceed the plan's premium
+    const premiumTaxCredit = Math.min(plan.monthlyPremiumTaxCredit || 0, grossMonthlyPremium);
+    
+    return {
+      coverageType,
+      monthlyPremium: grossMonthlyPremium - premiumTaxCredit,
+      grossMonthlyPremium,
+      premiumTaxCredit,
+      premiumRating: plan.premiumRating,
+      spouseSurcharge,
+      memberPremiums,
+      coveredMemberCount: coveredMembers.length
+    };
+  }
+
+  // Gross premium, marketplace tax credit and net premium over the covered months
+  describePremiumSubsidy(plan, members, coverage) {
+    const tier = this.determinePremiumTier(plan, members);
+    return {
+      grossAnnualPremium: tier.grossMonthlyPremium * coverage.coveredMonths,
+      annualTaxCredit: tier.premiumTaxCredit * coverage.coveredMonths,
+      netAnnualPremium: tier.monthlyPremium * coverage.coveredMonths,
+      costSharingReduction: plan.costSharingReduction ? plan.costSharingReduction.level : null
+    };
+  }
+
+  // Summary of the chosen premium tier for display in results
+  describePremiumTier(plan, members) {
+    const tier = this.determinePremiumTier(plan, members);
     return {
-      coverageType: 'family',
-      monthlyPremium: plan.familyPremium || plan.monthlyPremium || 0
+      coverageType: tier.coverageType,
+      label: tier.premiumRating === 'ageRated' ? 'Age-rated (per member)' : PremiumRating.getTierLabel(tier.coverageType),
+      premiumRating: tier.premiumRating,
+      monthlyPremium: tier.monthlyPremium,
+      grossMonthlyPremium: tier.grossMonthlyPremium,
+      premiumTaxCredit: tier.premiumTaxCredit,
+      spouseSurcharge: tier.spouseSurcharge,
+      memberPremiums: tier.memberPremiums,
+      coveredMemberCount: tier.coveredMemberCount
     };
   }
 
@@ -728,9 +1429,9 @@ export class CostCalculator {
     const planIds = Object.keys(results);
     if (planIds.length === 0) return;
 
-    // Find best and worst plans
+    // Find best and worst plans by net cost after employer account funding and tax savings
     const sortedByTotal = planIds.sort((a, b) => 
-      results[a].familyTotals.totalWithPremiums - results[b].familyTotals.totalWithPremiums
+      results[a].familyTotals.netCost - results[b].familyTotals.netCost
     );
     
     const bestPlanId = sortedByTotal[0];
@@ -744,8 +1445,8 @@ export class CostCalculator {
       result.comparison = {
         isBest: planId === bestPlanId,
         isWorst: planId === worstPlanId,
-        savingsVsBest: result.familyTotals.totalWithPremiums - bestResult.familyTotals.totalWithPremiums,
-        percentageMoreThanBest: ((result.familyTotals.totalWithPremiums - bestResult.familyTotals.totalWithPremiums) / bestResult.familyTotals.totalWithPremiums) * 100,
+        savingsVsBest: result.familyTotals.netCost - bestResult.familyTotals.netCost,
+        percentageMoreThanBest: ((result.familyTotals.netCost - bestResult.familyTotals.netCost) / bestResult.familyTotals.netCost) * 100,
         rank: sortedByTotal.indexOf(planId) + 1
       };
     }
@@ -759,6 +1460,7 @@ export class CostCalculator {
       annualPremium: (plan.monthlyPremium || 0) * 12,
       familyTotals: {
         totalWithPremiums: 0,
+        netCost: 0,
         totalOutOfPocket: 0,
         medicalCosts: 0,
         rxCosts: 0
@@ -781,73 +1483,87 @@ export class CostCalculator {
     }).format(amount || 0);
   }
 
-  // Validate and normalize plan data - handle valid variations, fail on corruption
-  validateAndNormalizePlan(plan) {
+  // Validate plan data against Schemas.PLAN, then normalize its valid variations and fill in defaults
+  validateAndNormalizePlan(plan, marketplace = null) {
     if (!plan || typeof plan !== 'object') {
       throw new Error('Plan data must be an object');
     }
 
-    if (!plan.id) {
-      throw new Error(`Plan missing required ID field: ${JSON.stringify(plan)}`);
-    }
-
-    if (!plan.name) {
-      throw new Error(`Plan ${plan.id} missing required name field`);
-    }
+    SchemaValidator.assertValid(Schemas.PLAN, plan, `Plan ${plan.name || plan.id || '(unnamed)'}`);
 
     // Create normalized plan with required fields
     const normalized = {
       id: plan.id,
       name: plan.name,
       insurer: plan.insurer || 'Unknown',
-      planType: plan.planType || 'PPO'
+      planType: plan.planType || 'PPO',
+      hsaEligible: plan.hsaEligible === true,
+      deductibleCarryover: plan.deductibleCarryover === true // Credits deductible paid under a prior plan this plan year
     };
 
-    // Validate and normalize numeric fields
+    // Numeric fields - unset ones are 0
     const numericFields = [
-      'monthlyPremium', 'spousePremium', 'familyPremium',
+      'monthlyPremium', 'spousePremium', 'childrenPremium', 'familyPremium',
+      'spouseSurcharge', 'ageRatedBasePremium',
+      'employerHSASeed', 'employerHSAMatchRate', 'employerHSAMatchCap', 'hraAmount',
       'individualDeductible', 'familyDeductible', 
       'individualOOPMax', 'familyOOPMax',
       'primaryCopay', 'specialistCopay',
+      'emergencyRoomCopay', 'urgentCareCopay',
       'rxDeductible', 'tier1DrugCost', 'tier2DrugCost', 
-      'tier3DrugCost', 'specialtyDrugCost'
+      'tier3DrugCost', 'specialtyDrugCost',
+      ...Object.values(CostCalculator.MAIL_ORDER_TIER_KEYS),
+      'tier1DrugCostMin', 'tier1DrugCostMax', 'tier2DrugCostMin', 'tier2DrugCostMax',
+      'tier3DrugCostMin', 'tier3DrugCostMax', 'specialtyDrugCostMin', 'specialtyDrugCostMax',
+      'rxIndividualOOPMax', 'rxFamilyOOPMax',
+      ...CostCalculator.OUT_OF_NETWORK_FIELDS, 'outOfNetworkAllowedPercent'
     ];
 
     for (const field of numericFields) {
       if (plan[field] !== undefined && plan[field] !== null && plan[field] !== '') {
-        const value = parseFloat(plan[field]);
-        if (isNaN(value)) {
-          throw new Error(`Plan ${plan.id}: Invalid numeric value for ${field}: ${plan[field]}`);
-        }
-        if (value < 0) {
-          console.warn(`⚠️ Plan ${plan.id}: Negative value for ${field}: ${value}`);
-        }
-        normalized[field] = value;
+        normalized[field] = plan[field];
       } else {
         normalized[field] = 0;
       }
     }
 
-    // Handle coinsurance - support both simple number and object structure
-    if (plan.coinsurance !== undefined && plan.coinsurance !== null) {
-      if (typeof plan.coinsurance === 'number') {
-        // Simple number format
-        normalized.coinsurance = plan.coinsurance;
-      } else if (typeof plan.coinsurance === 'object' && plan.coinsurance.medical !== undefined) {
-        // Object format with medical field
-        const medicalCoins = parseFloat(plan.coinsurance.medical);
-        if (isNaN(medicalCoins)) {
-          throw new Error(`Plan ${plan.id}: Invalid coinsurance.medical value: ${plan.coinsurance.medical}`);
-        }
-        normalized.coinsurance = medicalCoins;
-        console.log(`📋 Plan ${plan.id}: Using coinsurance.medical (${medicalCoins}) from object structure`);
-      } else {
-        throw new Error(`Plan ${plan.id}: Invalid coinsurance structure: ${JSON.stringify(plan.coinsurance)}`);
-      }
+    // Coinsurance - a rate, or { medical, prescription } in older plans and LLM extractions
+    if (plan.coinsurance !== undefined && plan.coinsurance !== null && plan.coinsurance !== '') {
+      normalized.coinsurance = typeof plan.coinsurance === 'object' ? plan.coinsurance.medical : plan.coinsurance;
     } else {
       normalized.coinsurance = 0;
     }
 
+    // Out-of-network benefits - plans without any out-of-network terms (most HMOs/EPOs) are treated as not covering it
+    const hasOutOfNetworkTerms = CostCalculator.OUT_OF_NETWORK_FIELDS.some(field => normalized[field] > 0);
+    normalized.outOfNetworkCovered = plan.outOfNetworkCovered === undefined || plan.outOfNetworkCovered === null
+      ? hasOutOfNetworkTerms
+      : plan.outOfNetworkCovered === true;
+
+    // Family deductible / OOP structure - embedded unless the plan says otherwise
+    normalized.deductibleStructure = plan.deductibleStructure || 'embedded';
+    normalized.oopStructure = plan.oopStructure || 'embedded';
+
+    // Premium rating - tiered by coverage level unless the plan prices each member by age
+    normalized.premiumRating = plan.premiumRating || 'tiered';
+    if (normalized.premiumRating === 'ageRated' && !(normalized.ageRatedBasePremium > 0)) {
+      throw new SchemaValidationError(`Plan ${plan.name}`, [
+        { path: 'ageRatedBasePremium', message: 'is required for age-rated premiums (monthly rate for a 21-year-old)' }
+      ]);
+    }
+
+    // Per-service cost-sharing rules - optional
+    if (plan.serviceCostSharing !== undefined && plan.serviceCostSharing !== null) {
+      normalized.serviceCostSharing = this.normalizeServiceCostSharing(plan.serviceCostSharing);
+    }
+
+    // Visit limits, preauthorization and the SBC's excluded / other covered services lists
+    normalized.visitLimits = this.normalizeVisitLimits(plan.visitLimits);
+    normalized.priorAuthorization = [...new Set(plan.priorAuthorization || [])];
+    for (const field of ['excludedServices', 'coveredServices']) {
+      normalized[field] = (plan[field] || []).map(service => service.trim()).filter(service => service);
+    }
+
     // Preserve drug cost type information if available
     const typeFields = ['tier1DrugCostType', 'tier2DrugCostType', 'tier3DrugCostType', 'specialtyDrugCostType'];
     for (const field of typeFields) {
@@ -865,24 +1581,69 @@ export class CostCalculator {
       }
     }
 
+    // Marketplace plans - metal tier drives cost-sharing reductions
+    normalized.marketplacePlan = plan.marketplacePlan === true;
+    const metalTier = plan.metalTier || '';
+    normalized.metalTier = metalTier;
+
+    // Premium tax credit applies to any marketplace plan except catastrophic ones; CSR only to silver plans
+    normalized.monthlyPremiumTaxCredit = 0;
+    if (marketplace && marketplace.enabled && normalized.marketplacePlan) {
+      if (metalTier !== 'catastrophic') {
+        normalized.monthlyPremiumTaxCredit = marketplace.monthlyTaxCredit;
+      }
+      
+      if (metalTier === 'silver' && marketplace.csrVariant) {
+        const reduced = MarketplaceSubsidies.applyCostSharingReduction(normalized, marketplace.csrVariant);
+        normalized.costSharingReduction = {
+          level: marketplace.csrVariant.level,
+          standard: Object.fromEntries(Object.keys(reduced).map(field => [field, normalized[field]]))
+        };
+        Object.assign(normalized, reduced);
+        console.log(`📋 Plan ${plan.id}: Applied ${marketplace.csrVariant.level}% silver cost-sharing reduction`);
+      }
+    }
+
     return normalized;
   }
 
-  // Validate family data - fail loudly on corruption
-  validateFamilyData(familyData) {
-    if (!familyData.members || !Array.isArray(familyData.members)) {
-      throw new Error('Family data must have a members array');
+  // Per-service cost-sharing rules with defaults filled in and percentages as decimals
+  normalizeServiceCostSharing(serviceCostSharing) {
+    const validated = {};
+    for (const [serviceType, rule] of Object.entries(serviceCostSharing)) {
+      const copay = parseFloat(rule.copay) || 0;
+      let coinsurance = parseFloat(rule.coinsurance) || 0;
+      if (coinsurance > 1) {
+        coinsurance = coinsurance / 100; // Handle both 20 and 0.2
+      }
+
+      validated[serviceType] = {
+        type: rule.type,
+        copay,
+        coinsurance,
+        deductibleApplies: rule.deductibleApplies !== false
+      };
     }
 
-    const validatedMembers = familyData.members.map((member, index) => {
-      if (!member || typeof member !== 'object') {
-        throw new Error(`Family member ${index} is not a valid object`);
-      }
+    return validated;
+  }
 
-      if (!member.id) {
-        throw new Error(`Family member ${index} missing required ID`);
-      }
+  // Per-member annual visit limits, keyed by service type (the schema allows only VISIT_LIMIT_SERVICES)
+  normalizeVisitLimits(visitLimits) {
+    const normalized = {};
+    for (const [serviceType, limit] of Object.entries(visitLimits || {})) {
+      if (limit === null || limit === '') continue;
+      normalized[serviceType] = parseInt(limit);
+    }
+
+    return normalized;
+  }
+
+  // Validate family data - fail loudly on corruption
+  validateFamilyData(familyData) {
+    SchemaValidator.assertValid(Schemas.FAMILY_DATA, familyData, 'Family data');
 
+    const validatedMembers = familyData.members.map(member => {
       // Check for corruption: field names like "medications[0].name" at member level
       const suspiciousFields = Object.keys(member).filter(key => key.includes('[') && key.includes(']'));
       if (suspiciousFields.length > 0) {
@@ -898,45 +1659,49 @@ export class CostCalculator {
         medications: []
       };
 
-      // Validate numeric usage fields
-      const usageFields = ['primaryVisits', 'specialistVisits', 'therapyVisits', 'labWork', 'imaging', 'physicalTherapy'];
-      for (const field of usageFields) {
+      // Annual usage counts - members saved before a usage field existed simply don't use that service
+      for (const field of CostCalculator.USAGE_FIELDS) {
+        validated[field] = parseInt(member[field]) || 0;
+      }
+
+      // Preventive visit/lab counts default to the ACA schedule for the member's age
+      const preventiveDefaults = UsageScenarios.getPreventiveDefaults(validated);
+      for (const field of ['preventiveVisits', 'preventiveLabs']) {
         const value = parseInt(member[field]);
-        if (isNaN(value) || value < 0) {
-          console.warn(`⚠️ Member ${member.name}: Invalid ${field} value: ${member[field]}, using 0`);
-          validated[field] = 0;
-        } else {
-          validated[field] = value;
-        }
+        validated[field] = isNaN(value) ? preventiveDefaults[field] : value;
       }
 
-      // Validate medications
+      // Validate scheduled care - entries pin some of the annual counts to specific dates
+      validated.scheduledEvents = [];
+      if (member.scheduledEvents && Array.isArray(member.scheduledEvents)) {
+        validated.scheduledEvents = member.scheduledEvents.map((entry, entryIndex) => 
+          this.validateScheduledEvent(member, entry, entryIndex)
+        );
+      }
+
+      // Medical episodes attached to this member, anchored to a date in the plan year
+      validated.episodes = [];
+      if (member.episodes && Array.isArray(member.episodes)) {
+        validated.episodes = member.episodes.map((entry, entryIndex) =>
+          this.validateEpisode(member, entry, entryIndex)
+        );
+      }
+
+      // Services this member gets from out-of-network providers
+      validated.outOfNetworkServices = [...(member.outOfNetworkServices || [])];
+
+      // Medications, with retail 30-day fills as the default
       if (member.medications && Array.isArray(member.medications)) {
         validated.medications = member.medications.map((med, medIndex) => {
-          if (!med || typeof med !== 'object') {
-            throw new Error(`Member ${member.name}: Medication ${medIndex} is not a valid object`);
-          }
-
-          const validatedMed = {
+          return {
             id: med.id || `med_${Date.now()}_${medIndex}`,
             name: med.name || '',
             tier: parseInt(med.tier) || 1,
             monthlyCost: parseFloat(med.monthlyCost) || 0,
-            quantity: parseInt(med.quantity) || 1
+            quantity: parseInt(med.quantity) || 1,
+            daysSupply: parseInt(med.daysSupply) || 30,
+            channel: med.channel || 'retail'
           };
-
-          // Validate medication values
-          if (validatedMed.tier < 1 || validatedMed.tier > 4) {
-            console.warn(`⚠️ Member ${member.name}: Invalid medication tier ${validatedMed.tier}, using tier 1`);
-            validatedMed.tier = 1;
-          }
-
-          if (validatedMed.monthlyCost < 0) {
-            console.warn(`⚠️ Member ${member.name}: Negative medication cost ${validatedMed.monthlyCost}, using 0`);
-            validatedMed.monthlyCost = 0;
-          }
-
-          return validatedMed;
         });
       }
 
@@ -945,7 +1710,137 @@ export class CostCalculator {
 
     return {
       members: validatedMembers,
-      serviceCosts: familyData.serviceCosts || {}
+      serviceCosts: familyData.serviceCosts || {},
+      accountSettings: this.validateAccountSettings(familyData.accountSettings),
+      coverage: this.resolveCoverage(familyData.coverageSettings),
+      marketplace: this.resolveMarketplace(familyData.marketplaceSettings, validatedMembers)
+    };
+  }
+
+  validateEpisode(member, entry, entryIndex) {
+    return {
+      id: entry.id || `episode_${entryIndex}`,
+      episodeId: entry.episodeId,
+      month: parseInt(entry.month),
+      dayOfMonth: parseInt(entry.dayOfMonth) || 1
+    };
+  }
+
+  validateScheduledEvent(member, entry, entryIndex) {
+    // Accept either an explicit ISO date or a month with optional day of month
+    let month = parseInt(entry.month);
+    let dayOfMonth = parseInt(entry.dayOfMonth) || 1;
+    if (entry.date) {
+      const dateMatch = entry.date.match(/^\d{4}-(\d{2})-(\d{2})/);
+      month = parseInt(dateMatch[1]);
+      dayOfMonth = parseInt(dateMatch[2]);
+    }
+
+    if (isNaN(month) || month < 1 || month > 12) {
+      throw new Error(`Member ${member.name}: Scheduled event ${entryIndex} has invalid month: ${entry.month}`);
+    }
+    if (dayOfMonth < 1 || dayOfMonth > 31) {
+      throw new Error(`Member ${member.name}: Scheduled event ${entryIndex} has invalid day: ${entry.dayOfMonth}`);
+    }
+
+    return {
+      id: entry.id || `sched_${entryIndex}`,
+      label: entry.label || '',
+      field: entry.field,
+      month,
+      dayOfMonth,
+      count: parseInt(entry.count)
+    };
+  }
+
+  // Validate HSA/FSA contribution and tax settings, falling back to defaults for anything missing
+  validateAccountSettings(accountSettings) {
+    const validated = TaxAdvantagedAccounts.getDefaultSettings();
+    if (!accountSettings) {
+      return validated;
+    }
+
+    for (const field of Object.keys(validated)) {
+      if (accountSettings[field] === undefined || accountSettings[field] === null || accountSettings[field] === '') continue;
+      
+      const value = parseFloat(accountSettings[field]);
+      if (isNaN(value) || value < 0) {
+        throw new Error(`Invalid account setting ${field}: ${accountSettings[field]}`);
+      }
+      validated[field] = value;
+    }
+
+    if (validated.marginalTaxRate > 1) {
+      validated.marginalTaxRate = validated.marginalTaxRate / 100; // Handle both 22 and 0.22
+    }
+
+    return validated;
+  }
+
+  // Resolve household income inputs into premium tax credit and CSR eligibility
+  resolveMarketplace(marketplaceSettings, members) {
+    const validated = MarketplaceSubsidies.getDefaultSettings();
+    if (marketplaceSettings) {
+      for (const field of ['householdIncome', 'householdSize', 'benchmarkPremium']) {
+        if (marketplaceSettings[field] === undefined || marketplaceSettings[field] === null || marketplaceSettings[field] === '') continue;
+        
+        const value = parseFloat(marketplaceSettings[field]);
+        if (isNaN(value) || value < 0) {
+          throw new Error(`Invalid marketplace setting ${field}: ${marketplaceSettings[field]}`);
+        }
+        validated[field] = value;
+      }
+      
+      if (marketplaceSettings.state) {
+        const state = String(marketplaceSettings.state).trim().toUpperCase();
+        if (!/^[A-Z]{2}$/.test(state)) {
+          throw new Error(`Invalid marketplace state: ${marketplaceSettings.state}`);
+        }
+        validated.state = state;
+      }
+    }
+
+    const coveredMemberCount = members.filter(member => member.isActive !== false).length;
+    return MarketplaceSubsidies.calculate(validated, coveredMemberCount);
+  }
+
+  // Resolve plan-year and enrollment settings into the day/month offsets the calculator works in
+  resolveCoverage(coverageSettings) {
+    const settings = { ...PlanYear.getDefaultSettings(), ...(coverageSettings || {}) };
+
+    if (!PlanYear.parseISODate(settings.planYearStart)) {
+      throw new Error(`Invalid plan year start date: ${settings.planYearStart}`);
+    }
+
+    let coverageStartDay = 0;
+    if (settings.coverageStartDate) {
+      const coverageStart = PlanYear.parseISODate(settings.coverageStartDate);
+      if (!coverageStart) {
+        throw new Error(`Invalid coverage start date: ${settings.coverageStartDate}`);
+      }
+
+      coverageStartDay = PlanYear.dateToDay(settings.planYearStart, coverageStart);
+      if (coverageStartDay < 0 || coverageStartDay >= PlanYear.DAYS_IN_YEAR) {
+        throw new Error(`Coverage start date ${settings.coverageStartDate} is outside the plan year starting ${settings.planYearStart}`);
+      }
+    }
+
+    const priorDeductibleCredit = parseFloat(settings.priorDeductibleCredit) || 0;
+    if (priorDeductibleCredit < 0) {
+      throw new Error(`Invalid prior deductible credit: ${settings.priorDeductibleCredit}`);
+    }
+
+    // Premiums are prorated by whole months, starting with the month coverage begins
+    const firstCoveredMonth = PlanYear.getPlanMonth(settings.planYearStart, coverageStartDay);
+
+    return {
+      planYearStart: settings.planYearStart,
+      coverageStartDate: PlanYear.toISODate(PlanYear.dayToDate(settings.planYearStart, coverageStartDay)),
+      coverageStartDay,
+      firstCoveredMonth,
+      coveredMonths: 12 - firstCoveredMonth,
+      monthStartDays: Array.from({ length: 12 }, (_, i) => PlanYear.getMonthStartDay(settings.planYearStart, i)),
+      priorDeductibleCredit
     };
   }
 }
\ No newline at end of file
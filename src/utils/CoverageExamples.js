@@ -0,0 +1,147 @@
+// Coverage Examples - Re-run the SBC's standardized coverage examples through our calculator
+import { CostCalculator } from './CostCalculator.js';
+
+export class CoverageExamples {
+  // The three federally required SBC examples, with the standard (2021+ template) total cost split into
+  // in-network services. Each example is one covered person on self-only coverage for a full plan year.
+  static EXAMPLES = {
+    peg: {
+      label: "Peg is Having a Baby",
+      totalCost: 12700,
+      events: [
+        { day: 30, serviceType: 'specialistVisit', grossCost: 200 },
+        { day: 60, serviceType: 'labWork', grossCost: 500 },
+        { day: 90, serviceType: 'specialistVisit', grossCost: 200 },
+        { day: 120, serviceType: 'imaging', grossCost: 500 },
+        { day: 150, serviceType: 'specialistVisit', grossCost: 200 },
+        { day: 180, serviceType: 'specialistVisit', grossCost: 200 },
+        { day: 270, serviceType: 'inpatientStay', grossCost: 8500 },
+        { day: 270, serviceType: 'specialistVisit', grossCost: 2000 }, // Delivery professional services
+        { day: 270, serviceType: 'specialistVisit', grossCost: 400 }   // Anesthesia
+      ]
+    },
+    joe: {
+      label: "Managing Joe's Type 2 Diabetes",
+      totalCost: 5600,
+      events: [
+        { day: 10, serviceType: 'primaryVisit', grossCost: 175 },
+        { day: 10, serviceType: 'labWork', grossCost: 100 },
+        { day: 10, serviceType: 'durableMedicalEquipment', grossCost: 200 }, // Glucose meter
+        { day: 100, serviceType: 'primaryVisit', grossCost: 175 },
+        { day: 100, serviceType: 'labWork', grossCost: 100 },
+        { day: 190, serviceType: 'primaryVisit', grossCost: 175 },
+        { day: 190, serviceType: 'labWork', grossCost: 100 },
+        { day: 280, serviceType: 'primaryVisit', grossCost: 175 },
+        { day: 280, serviceType: 'labWork', grossCost: 100 }
+      ],
+      // Monthly preferred-brand fills totalling $4,300 over the year
+      medication: { name: 'Diabetes medication', tier: 2, monthlyCost: 4300 / 12 }
+    },
+    mia: {
+      label: "Mia's Simple Fracture",
+      totalCost: 2800,
+      events: [
+        { day: 60, serviceType: 'emergencyRoom', grossCost: 1300 },
+        { day: 60, serviceType: 'imaging', grossCost: 300 },
+        { day: 60, serviceType: 'durableMedicalEquipment', grossCost: 200 }, // Crutches
+        { day: 75, serviceType: 'physicalTherapy', grossCost: 200 },
+        { day: 82, serviceType: 'physicalTherapy', grossCost: 200 },
+        { day: 89, serviceType: 'physicalTherapy', grossCost: 200 },
+        { day: 96, serviceType: 'physicalTherapy', grossCost: 200 },
+        { day: 103, serviceType: 'physicalTherapy', grossCost: 200 }
+      ]
+    }
+  };
+
+  // Our result may differ from the insurer's by rounding and by how they split the example's services
+  static TOLERANCE_DOLLARS = 100;
+  static TOLERANCE_PERCENT = 0.10;
+
+  static MEMBER = { id: 'coverage-example', name: 'Coverage example', relationship: 'self', age: 30 };
+
+  // Usage timeline for one example, scaled to the total cost printed on the SBC when it differs from the standard
+  static buildUsageTable(exampleId, totalExampleCost) {
+    const example = this.EXAMPLES[exampleId];
+    const scale = totalExampleCost > 0 ? totalExampleCost / example.totalCost : 1;
+    const { id: memberId, name: memberName } = this.MEMBER;
+
+    const events = example.events.map(event => ({
+      ...event,
+      memberId,
+      memberName,
+      eventType: 'medical',
+      network: 'inNetwork',
+      grossCost: event.grossCost * scale
+    }));
+
+    if (example.medication) {
+      for (let month = 0; month < 12; month++) {
+        events.push({
+          day: month * 30,
+          memberId,
+          memberName,
+          eventType: 'medication',
+          serviceType: 'medication',
+          medicationName: example.medication.name,
+          tier: example.medication.tier,
+          daysSupply: 30,
+          channel: 'retail',
+          grossCost: example.medication.monthlyCost * scale
+        });
+      }
+    }
+
+    return events.sort((a, b) => a.day - b.day);
+  }
+
+  // Compare our member cost for each extracted example with the insurer's. Returns one entry per example the SBC
+  // printed a member cost for: { id, label, sbcMemberCost, calculatedMemberCost, difference, matches } or { id, label, error }.
+  static check(plan, extractedExamples) {
+    if (!extractedExamples) return [];
+
+    const calculator = new CostCalculator();
+    calculator.isSimulating = true;
+    const coverage = calculator.resolveCoverage();
+
+    let normalizedPlan = null;
+    let planError = null;
+    try {
+      normalizedPlan = calculator.validateAndNormalizePlan({
+        ...plan,
+        id: plan.id || 'sbc-plan',
+        name: plan.name || 'SBC plan'
+      });
+    } catch (error) {
+      planError = error.message;
+    }
+
+    const results = [];
+    for (const [id, example] of Object.entries(this.EXAMPLES)) {
+      const extracted = extractedExamples[id];
+      if (!extracted || typeof extracted.memberCost !== 'number') continue;
+
+      if (!normalizedPlan) {
+        results.push({ id, label: example.label, error: planError });
+        continue;
+      }
+
+      const usageTable = this.buildUsageTable(id, extracted.totalExampleCost);
+      const progression = calculator.applyPlanRules(normalizedPlan, usageTable, [this.MEMBER], coverage);
+      const calculatedMemberCost = progression.length > 0 ? progression[progression.length - 1].cumulativeOOP : 0;
+      const difference = calculatedMemberCost - extracted.memberCost;
+      const tolerance = Math.max(this.TOLERANCE_DOLLARS, extracted.memberCost * this.TOLERANCE_PERCENT);
+
+      results.push({
+        id,
+        label: example.label,
+        totalExampleCost: extracted.totalExampleCost || example.totalCost,
+        sbcMemberCost: extracted.memberCost,
+        calculatedMemberCost,
+        difference,
+        matches: Math.abs(difference) <= tolerance
+      });
+    }
+
+    return results;
+  }
+}
@@ -0,0 +1,141 @@
+// Coverage Warnings - Where a family's usage runs into a plan's exclusions, visit limits and preauthorization rules
+export class CoverageWarnings {
+  static SERVICE_NAMES = {
+    primaryVisit: 'primary care',
+    specialistVisit: 'specialist',
+    therapySession: 'therapy',
+    labWork: 'lab work',
+    imaging: 'imaging',
+    physicalTherapy: 'physical therapy',
+    emergencyRoom: 'emergency room',
+    urgentCare: 'urgent care',
+    advancedImaging: 'MRI / CT scan',
+    outpatientSurgery: 'outpatient surgery',
+    inpatientStay: 'hospital stay'
+  };
+
+  // Excluded services the family's usage can run into. An exclusion matches a member's medical service types,
+  // or an episode / medication name matching `usage`. Exclusions without a rule still match by name.
+  static EXCLUSION_RULES = [
+    { pattern: /mental|behavioral health|psychotherap|counsel/i, serviceTypes: ['therapySession'] },
+    { pattern: /physical therapy|rehabilitation/i, serviceTypes: ['physicalTherapy'] },
+    { pattern: /urgent care/i, serviceTypes: ['urgentCare'] },
+    { pattern: /maternity|pregnan|childbirth|obstetric/i, usage: /pregnan|birth|delivery|c-section/i },
+    { pattern: /weight loss|bariatric|obesity/i, usage: /wegovy|ozempic|zepbound|mounjaro|saxenda|semaglutide|tirzepatide|liraglutide|weight loss|bariatric/i },
+    { pattern: /infertility|fertility|\bIVF\b/i, usage: /fertility|\bIVF\b/i },
+    { pattern: /chemotherapy|cancer/i, usage: /chemotherapy|cancer/i },
+    { pattern: /prescription drugs|outpatient drugs/i, medications: true }
+  ];
+
+  // Returns [{ type: 'excluded' | 'visitLimit' | 'priorAuthorization', memberNames, description, ... }]
+  static find(plan, members, progression) {
+    return [
+      ...this.findExcludedUsage(plan, members, progression),
+      ...this.findVisitLimitOverruns(plan, progression),
+      ...this.findPriorAuthorization(plan, progression)
+    ];
+  }
+
+  static findExcludedUsage(plan, members, progression) {
+    const exclusions = plan.excludedServices || [];
+    if (exclusions.length === 0) return [];
+
+    // What each member uses: medical service types, and the names of their episodes and medications
+    const usageByMember = members.map(member => {
+      const rows = progression.filter(row => row.memberId === member.id);
+      return {
+        memberName: member.name,
+        serviceTypes: new Set(rows.filter(row => row.eventType === 'medical').map(row => row.serviceType)),
+        labels: [...new Set(rows.flatMap(row => [row.episodeName, row.medicationName]).filter(label => label))],
+        hasMedications: rows.some(row => row.eventType === 'medication')
+      };
+    });
+
+    const warnings = [];
+    for (const exclusion of exclusions) {
+      // "Routine eye care (Adult)" is matched by name as "routine eye care"
+      const exclusionName = exclusion.replace(/\([^)]*\)/g, '').trim().toLowerCase();
+      const rule = this.EXCLUSION_RULES.find(candidate => candidate.pattern.test(exclusion));
+
+      const matches = [];
+      for (const usage of usageByMember) {
+        const matchedUsage = [];
+        if (rule && rule.serviceTypes) {
+          rule.serviceTypes
+            .filter(serviceType => usage.serviceTypes.has(serviceType))
+            .forEach(serviceType => matchedUsage.push(this.SERVICE_NAMES[serviceType]));
+        }
+        if (rule && rule.medications && usage.hasMedications) {
+          matchedUsage.push('prescriptions');
+        }
+        for (const label of usage.labels) {
+          const labelName = label.toLowerCase();
+          const matchesByName = exclusionName.length >= 4 && (labelName.includes(exclusionName) || exclusionName.includes(labelName));
+          if ((rule && rule.usage && rule.usage.test(label)) || matchesByName) {
+            matchedUsage.push(label);
+          }
+        }
+        if (matchedUsage.length > 0) {
+          matches.push({ memberName: usage.memberName, usage: matchedUsage });
+        }
+      }
+
+      if (matches.length > 0) {
+        warnings.push({
+          type: 'excluded',
+          service: exclusion,
+          memberNames: matches.map(match => match.memberName),
+          description: `${exclusion} is listed as not covered: ${matches.map(match => `${match.memberName} (${match.usage.join(', ')})`).join('; ')}`
+        });
+      }
+    }
+
+    return warnings;
+  }
+
+  // Visits the plan stopped covering, per member and service
+  static findVisitLimitOverruns(plan, progression) {
+    const overruns = {};
+    for (const row of progression.filter(candidate => candidate.notCovered === 'visitLimit')) {
+      const key = `${row.memberId}:${row.serviceType}`;
+      if (!overruns[key]) {
+        overruns[key] = { memberName: row.memberName, serviceType: row.serviceType, visits: 0, cost: 0 };
+      }
+      overruns[key].visits += 1;
+      overruns[key].cost += row.eventCost;
+    }
+
+    return Object.values(overruns).map(overrun => {
+      const limit = plan.visitLimits[overrun.serviceType];
+      const serviceName = this.SERVICE_NAMES[overrun.serviceType] || overrun.serviceType;
+      return {
+        type: 'visitLimit',
+        serviceType: overrun.serviceType,
+        memberNames: [overrun.memberName],
+        visits: overrun.visits,
+        cost: overrun.cost,
+        description: `${overrun.memberName}: ${overrun.visits} ${serviceName} visit${overrun.visits === 1 ? '' : 's'} past the ` +
+          `${limit}-visit yearly limit aren't covered - $${Math.round(overrun.cost)} paid in full`
+      };
+    });
+  }
+
+  // Services the family uses that need the plan's approval first
+  static findPriorAuthorization(plan, progression) {
+    return (plan.priorAuthorization || []).map(serviceType => {
+      const memberNames = [...new Set(progression
+        .filter(row => row.eventType === 'medical' && row.serviceType === serviceType)
+        .map(row => row.memberName))];
+      if (memberNames.length === 0) return null;
+
+      const serviceName = this.SERVICE_NAMES[serviceType] || serviceType;
+      return {
+        type: 'priorAuthorization',
+        serviceType,
+        memberNames,
+        description: `${serviceName.charAt(0).toUpperCase() + serviceName.slice(1)} requires preauthorization (${memberNames.join(', ')}) - ` +
+          'without it the plan may not pay'
+      };
+    }).filter(warning => warning);
+  }
+}
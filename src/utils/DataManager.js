@@ -1,4 +1,7 @@
 // Data Manager - Handles import/export and data visualization
+import { Schemas } from './Schemas.js';
+import { SchemaValidator } from './SchemaValidator.js';
+
 export class DataManager {
   static async exportConfiguration(plans, familyData) {
     const exportData = {
@@ -9,6 +12,7 @@ export class DataManager {
         activeMemberCount: familyData.members.filter(m => m.isActive).length,
         exportedBy: 'Health Plan Comparison Tool v2.0'
       },
+      schemas: Schemas.versions(),
       plans: plans,
       familyData: familyData,
       settings: {
@@ -43,14 +47,8 @@ export class DataManager {
         throw new Error(`Unsupported data version: ${data.version}`);
     }
 
-    // Validate required fields
-    if (!normalizedData.plans || !Array.isArray(normalizedData.plans)) {
-      throw new Error('Import data missing valid plans array');
-    }
-
-    if (!normalizedData.familyData || !normalizedData.familyData.members) {
-      throw new Error('Import data missing valid family data');
-    }
+    // Every plan and family field is checked; a SchemaValidationError lists the ones that failed
+    SchemaValidator.assertValid(Schemas.EXPORT, normalizedData, 'Import file');
 
     return {
       plans: normalizedData.plans,
@@ -187,6 +185,7 @@ export class DataManager {
       'Prescription Costs',
       'Total Out-of-Pocket',
       'Total Annual Cost',
+      'Net Cost After Accounts & Taxes',
       'Rank'
     ];
 
@@ -200,6 +199,7 @@ export class DataManager {
         result.familyTotals.rxCosts,
         result.familyTotals.totalOutOfPocket,
         result.familyTotals.totalWithPremiums,
+        result.familyTotals.netCost,
         result.comparison?.rank || 'N/A'
       ];
     });
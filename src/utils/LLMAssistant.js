@@ -106,13 +106,46 @@ Please extract the following information and return it as a JSON object:
     "medical": "Medical coinsurance percentage as decimal (e.g., 0.20 for 20%)",
     "prescription": "Prescription coinsurance if different (number)"
   },
+  "serviceCostSharing": {
+    "primaryCare": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": "number", "coinsurance": "decimal", "deductibleApplies": "boolean"},
+    "specialist": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": "number", "coinsurance": "decimal", "deductibleApplies": "boolean"},
+    "mentalHealthOutpatient": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": "number", "coinsurance": "decimal", "deductibleApplies": "boolean"},
+    "diagnosticTest": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": "number", "coinsurance": "decimal", "deductibleApplies": "boolean"},
+    "rehabilitation": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": "number", "coinsurance": "decimal", "deductibleApplies": "boolean"},
+    "emergencyRoom": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": "number", "coinsurance": "decimal", "deductibleApplies": "boolean"},
+    "urgentCare": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": "number", "coinsurance": "decimal", "deductibleApplies": "boolean"},
+    "advancedImaging": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": "number", "coinsurance": "decimal", "deductibleApplies": "boolean"},
+    "outpatientSurgery": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": "number", "coinsurance": "decimal", "deductibleApplies": "boolean"},
+    "hospitalStay": {"type": "copay|coinsurance|copayThenCoinsurance", "copay": "number", "coinsurance": "decimal", "deductibleApplies": "boolean"}
+  },
   "prescriptionTiers": {
-    "tier1": {"type": "copay|coinsurance", "value": "number"},
-    "tier2": {"type": "copay|coinsurance", "value": "number"},
-    "tier3": {"type": "copay|coinsurance", "value": "number"},
-    "tier4": {"type": "copay|coinsurance", "value": "number"}
+    "tier1": {"type": "copay|coinsurance", "value": "number", "minPerFill": "number", "maxPerFill": "number"},
+    "tier2": {"type": "copay|coinsurance", "value": "number", "minPerFill": "number", "maxPerFill": "number"},
+    "tier3": {"type": "copay|coinsurance", "value": "number", "minPerFill": "number", "maxPerFill": "number"},
+    "tier4": {"type": "copay|coinsurance", "value": "number", "minPerFill": "number", "maxPerFill": "number"}
   },
   "rxDeductible": "Prescription drug deductible if separate (number)",
+  "rxOutOfPocketMax": {
+    "individual": "Separate prescription drug out-of-pocket maximum, only if it does not count toward the medical one (number)",
+    "family": "Separate family prescription drug out-of-pocket maximum (number)"
+  },
+  "outOfNetwork": {
+    "covered": "Boolean - false when out-of-network care is not covered (typical of HMO/EPO plans)",
+    "deductible": {"individual": "number", "family": "number"},
+    "outOfPocketMax": {"individual": "number", "family": "number"},
+    "coinsurance": "Out-of-network coinsurance as decimal (e.g., 0.40 for 40%)"
+  },
+  "coverageExamples": {
+    "peg": {"totalExampleCost": "number", "memberCost": "number"},
+    "joe": {"totalExampleCost": "number", "memberCost": "number"},
+    "mia": {"totalExampleCost": "number", "memberCost": "number"}
+  },
+  "serviceLimits": {
+    "rehabilitation": {"visitLimit": "Visits per person per year, e.g. 20 for '20 visits/year' (number)", "priorAuthorization": "Boolean - true when preauthorization is required"},
+    "...": "Same keys as serviceCostSharing, only for services with a visit limit or a preauthorization requirement"
+  },
+  "excludedServices": ["Each item of 'Services Your Plan Generally Does NOT Cover', as printed"],
+  "otherCoveredServices": ["Each item of 'Other Covered Services', as printed"],
   "hsaEligible": "Boolean - is this an HSA-eligible high deductible plan",
   "networkType": "In-network details",
   "summary": "A brief 2-3 sentence summary of the key plan features",
@@ -125,6 +158,12 @@ Rules:
 - Return ONLY the JSON object, no other text
 - Use null for fields that cannot be determined
 - For drug costs, include both type (copay/coinsurance) and value
+- For coinsurance tiers with per-prescription limits (e.g. "20% coinsurance, min $50, max $250"), set minPerFill and maxPerFill; otherwise null
+- For outOfNetwork, use the SBC's "Out-of-Network Provider" column; use null for limits listed as "Not applicable"
+- For coverageExamples, use the SBC's "Total Example Cost" and "The total Peg/Joe/Mia would pay is" amounts for each example
+- For serviceCostSharing, use the in-network "What You Will Pay" text for each service; set deductibleApplies to false only when it says the deductible does not apply (e.g. "$30 copay; deductible does not apply")
+- For serviceLimits, use the "Limitations, Exceptions, & Other Important Information" column; visitLimit is null unless a number of visits per year is stated
+- For excludedServices and otherCoveredServices, use [] when the SBC has no such list
 - Be conservative - only extract data you're confident about
 - Do not guess or estimate premium costs
 - Focus on benefit structure, not costs that vary by employer`;
@@ -0,0 +1,99 @@
+// Marketplace Subsidies - ACA advance premium tax credit and cost-sharing reductions
+export class MarketplaceSubsidies {
+  // 2024 federal poverty guidelines, used for 2025 coverage
+  static POVERTY_GUIDELINES = {
+    default: { base: 15060, perPerson: 5380 },
+    AK: { base: 18810, perPerson: 6730 },
+    HI: { base: 17310, perPerson: 6190 }
+  };
+
+  // Applicable percentage of income expected toward the benchmark plan (2025), by % of FPL.
+  // The percentage rises linearly within each band; above 400% FPL it stays at 8.5%.
+  static APPLICABLE_PERCENTAGES = [
+    { minFPL: 0, maxFPL: 150, start: 0, end: 0 },
+    { minFPL: 150, maxFPL: 200, start: 0, end: 0.02 },
+    { minFPL: 200, maxFPL: 250, start: 0.02, end: 0.04 },
+    { minFPL: 250, maxFPL: 300, start: 0.04, end: 0.06 },
+    { minFPL: 300, maxFPL: 400, start: 0.06, end: 0.085 },
+    { minFPL: 400, maxFPL: Infinity, start: 0.085, end: 0.085 }
+  ];
+
+  // Silver cost-sharing reduction variants. Out-of-pocket limits are the 2025 reduced maximums;
+  // deductibles shrink in proportion to the enrollee's share of costs versus a standard 70% silver plan.
+  static CSR_VARIANTS = [
+    { level: '94', maxFPL: 150, actuarialValue: 0.94, individualOOPMax: 3050, familyOOPMax: 6100 },
+    { level: '87', maxFPL: 200, actuarialValue: 0.87, individualOOPMax: 3050, familyOOPMax: 6100 },
+    { level: '73', maxFPL: 250, actuarialValue: 0.73, individualOOPMax: 7350, familyOOPMax: 14700 }
+  ];
+
+  static STANDARD_SILVER_AV = 0.70;
+
+  static getDefaultSettings() {
+    return {
+      householdIncome: 0,  // Annual modified adjusted gross income; 0 = not buying on the marketplace
+      householdSize: 0,    // 0 = number of covered family members
+      state: '',
+      benchmarkPremium: 0  // Monthly premium of the second-lowest-cost silver plan for the household
+    };
+  }
+
+  static getPovertyLine(householdSize, state) {
+    const guideline = this.POVERTY_GUIDELINES[state] || this.POVERTY_GUIDELINES.default;
+    return guideline.base + guideline.perPerson * (Math.max(1, householdSize) - 1);
+  }
+
+  static getApplicablePercentage(fplPercent) {
+    const band = this.APPLICABLE_PERCENTAGES.find(b => fplPercent < b.maxFPL);
+    if (band.start === band.end) return band.start;
+    return band.start + (band.end - band.start) * (fplPercent - band.minFPL) / (band.maxFPL - band.minFPL);
+  }
+
+  // CSR variant for the household, or null when income is outside the 100-250% FPL range
+  static getCSRVariant(fplPercent) {
+    if (fplPercent < 100) return null;
+    return this.CSR_VARIANTS.find(variant => fplPercent <= variant.maxFPL) || null;
+  }
+
+  // Household-level subsidy eligibility; the monthly credit is capped per plan at that plan's premium
+  static calculate(settings, coveredMemberCount) {
+    const { householdIncome, householdSize, state, benchmarkPremium } = { ...this.getDefaultSettings(), ...settings };
+    const size = householdSize || coveredMemberCount;
+
+    if (!(householdIncome > 0)) {
+      return { enabled: false, monthlyTaxCredit: 0, csrVariant: null };
+    }
+
+    const fplPercent = householdIncome / this.getPovertyLine(size, state) * 100;
+    // Below 100% FPL households generally qualify for Medicaid rather than marketplace subsidies
+    const eligible = fplPercent >= 100;
+    const applicablePercentage = this.getApplicablePercentage(fplPercent);
+    const expectedMonthlyContribution = householdIncome * applicablePercentage / 12;
+
+    return {
+      enabled: true,
+      householdIncome,
+      householdSize: size,
+      state,
+      fplPercent,
+      applicablePercentage,
+      benchmarkPremium,
+      expectedMonthlyContribution,
+      monthlyTaxCredit: eligible ? Math.max(0, benchmarkPremium - expectedMonthlyContribution) : 0,
+      csrVariant: this.getCSRVariant(fplPercent)
+    };
+  }
+
+  // Cost-sharing reduced deductibles and OOP maximums for a silver plan
+  static applyCostSharingReduction(plan, variant) {
+    const deductibleFactor = (1 - variant.actuarialValue) / (1 - this.STANDARD_SILVER_AV);
+    const capOOP = (planValue, limit) => planValue > 0 ? Math.min(planValue, limit) : limit;
+
+    return {
+      individualDeductible: Math.round(plan.individualDeductible * deductibleFactor),
+      familyDeductible: Math.round(plan.familyDeductible * deductibleFactor),
+      rxDeductible: Math.round(plan.rxDeductible * deductibleFactor),
+      individualOOPMax: capOOP(plan.individualOOPMax, variant.individualOOPMax),
+      familyOOPMax: capOOP(plan.familyOOPMax, variant.familyOOPMax)
+    };
+  }
+}
@@ -0,0 +1,167 @@
+// Medical Episodes - Bundles of dated care for life events and chronic conditions
+import { PlanYear } from './PlanYear.js';
+
+export class MedicalEpisodes {
+  // Timeline service type for each usage field an episode event can use
+  static SERVICE_TYPES = {
+    primaryVisits: 'primaryVisit',
+    specialistVisits: 'specialistVisit',
+    therapyVisits: 'therapySession',
+    labWork: 'labWork',
+    imaging: 'imaging',
+    physicalTherapy: 'physicalTherapy',
+    emergencyVisits: 'emergencyRoom',
+    urgentCareVisits: 'urgentCare',
+    advancedImaging: 'advancedImaging',
+    outpatientSurgeries: 'outpatientSurgery',
+    inpatientDays: 'inpatientStay'
+  };
+
+  // Services an SBC can cap at a number of visits per person per year (hospital stays are billed per admission).
+  // Here rather than in CostCalculator so Schemas can use the list without importing the calculator.
+  static VISIT_LIMIT_SERVICES = [
+    'primaryVisit', 'specialistVisit', 'therapySession', 'labWork', 'imaging', 'physicalTherapy',
+    'emergencyRoom', 'urgentCare', 'advancedImaging', 'outpatientSurgery'
+  ];
+
+  // Prenatal care shared by both delivery episodes, as days before the due date
+  static PRENATAL_CARE = [
+    { field: 'specialistVisits', label: 'Prenatal visit', cost: 250, days: [-252, -224, -196, -168, -140, -112, -84, -56, -42, -28, -21, -14, -7] },
+    { field: 'labWork', label: 'Prenatal lab panel', cost: 400, days: [-252] },
+    { field: 'labWork', label: 'Glucose screening', cost: 150, days: [-168] },
+    { field: 'imaging', label: 'Dating ultrasound', cost: 300, days: [-252] },
+    { field: 'imaging', label: 'Anatomy ultrasound', cost: 500, days: [-140] }
+  ];
+
+  // Typical gross (allowed) costs. Each event lists the days it happens relative to the anchor date,
+  // or repeats every `everyDays` for `count` visits. Medications are filled monthly from the anchor.
+  static EPISODES = {
+    vaginalBirth: {
+      label: 'Pregnancy & vaginal birth',
+      anchorLabel: 'Due date',
+      events: [
+        ...MedicalEpisodes.PRENATAL_CARE,
+        { field: 'inpatientDays', label: 'Delivery (2-day stay)', cost: 14000, days: [0] },
+        { field: 'specialistVisits', label: 'Postpartum visit', cost: 250, days: [42] }
+      ]
+    },
+    cSection: {
+      label: 'Pregnancy & C-section',
+      anchorLabel: 'Due date',
+      events: [
+        ...MedicalEpisodes.PRENATAL_CARE,
+        { field: 'inpatientDays', label: 'C-section delivery (3-day stay)', cost: 24000, days: [0] },
+        { field: 'specialistVisits', label: 'Incision check', cost: 250, days: [14] },
+        { field: 'specialistVisits', label: 'Postpartum visit', cost: 250, days: [42] }
+      ]
+    },
+    kneeArthroscopy: {
+      label: 'Knee arthroscopy',
+      anchorLabel: 'Surgery date',
+      events: [
+        { field: 'specialistVisits', label: 'Orthopedic consult', cost: 300, days: [-30] },
+        { field: 'advancedImaging', label: 'Knee MRI', cost: 1500, days: [-21] },
+        { field: 'outpatientSurgeries', label: 'Arthroscopic surgery', cost: 9000, days: [0] },
+        { field: 'specialistVisits', label: 'Post-op follow-up', cost: 200, days: [10, 42] },
+        { field: 'physicalTherapy', label: 'Physical therapy', cost: 150, startDay: 7, everyDays: 4, count: 12 }
+      ]
+    },
+    type1Diabetes: {
+      label: 'Type 1 diabetes (year of care)',
+      anchorLabel: 'Start date',
+      events: [
+        { field: 'specialistVisits', label: 'Endocrinologist visit', cost: 300, startDay: 0, everyDays: 91, count: 4 },
+        { field: 'labWork', label: 'A1C and metabolic labs', cost: 120, startDay: 0, everyDays: 91, count: 4 },
+        { field: 'specialistVisits', label: 'Diabetic eye exam', cost: 200, days: [180] }
+      ],
+      medications: [
+        { name: 'Insulin', tier: 2, monthlyCost: 500 },
+        { name: 'CGM sensors & supplies', tier: 3, monthlyCost: 400 }
+      ]
+    },
+    asthma: {
+      label: 'Asthma (year of care)',
+      anchorLabel: 'Start date',
+      events: [
+        { field: 'primaryVisits', label: 'Asthma check-up', cost: 200, startDay: 0, everyDays: 182, count: 2 },
+        { field: 'specialistVisits', label: 'Pulmonologist visit', cost: 300, days: [60] },
+        { field: 'urgentCareVisits', label: 'Flare-up', cost: 200, days: [150] }
+      ],
+      medications: [
+        { name: 'Controller inhaler', tier: 2, monthlyCost: 300 },
+        { name: 'Rescue inhaler', tier: 1, monthlyCost: 30 }
+      ]
+    },
+    adhd: {
+      label: 'ADHD (year of care)',
+      anchorLabel: 'Start date',
+      events: [
+        { field: 'specialistVisits', label: 'Psychiatrist medication check', cost: 250, startDay: 0, everyDays: 91, count: 4 },
+        { field: 'therapyVisits', label: 'Behavioral therapy', cost: 150, startDay: 7, everyDays: 30, count: 12 }
+      ],
+      medications: [
+        { name: 'Stimulant medication', tier: 1, monthlyCost: 60 }
+      ]
+    },
+    cancerTreatment: {
+      label: 'Cancer treatment year',
+      anchorLabel: 'Diagnosis date',
+      events: [
+        { field: 'advancedImaging', label: 'PET/CT scan', cost: 3000, startDay: 0, everyDays: 91, count: 4 },
+        { field: 'outpatientSurgeries', label: 'Tumor removal surgery', cost: 25000, days: [14] },
+        { field: 'outpatientSurgeries', label: 'Chemotherapy infusion', cost: 10000, startDay: 35, everyDays: 21, count: 6 },
+        { field: 'specialistVisits', label: 'Oncologist visit', cost: 400, startDay: 7, everyDays: 30, count: 12 },
+        { field: 'labWork', label: 'Blood counts', cost: 250, startDay: 7, everyDays: 30, count: 12 }
+      ],
+      medications: [
+        { name: 'Anti-nausea medication', tier: 3, monthlyCost: 200, months: 6 }
+      ]
+    }
+  };
+
+  static getEpisode(episodeId) {
+    return this.EPISODES[episodeId] || null;
+  }
+
+  // Offsets (days from the anchor) at which an episode event happens
+  static getEventOffsets(event) {
+    if (event.days) return event.days;
+    return Array.from({ length: event.count }, (_, i) => event.startDay + event.everyDays * i);
+  }
+
+  // Expand an attached episode into dated medical visits and medication fills within the plan year.
+  // Care dated before the plan year (e.g. early prenatal visits) belongs to the prior year and is dropped.
+  static expand(attachment, planYearStart) {
+    const episode = this.getEpisode(attachment.episodeId);
+    const anchorDay = PlanYear.calendarToDay(planYearStart, attachment.month, attachment.dayOfMonth);
+    const inPlanYear = (day) => day >= 0 && day < PlanYear.DAYS_IN_YEAR;
+
+    const visits = [];
+    for (const event of episode.events) {
+      for (const offset of this.getEventOffsets(event)) {
+        const day = anchorDay + offset;
+        if (!inPlanYear(day)) continue;
+        visits.push({
+          day,
+          field: event.field,
+          serviceType: this.SERVICE_TYPES[event.field],
+          label: event.label,
+          grossCost: event.cost
+        });
+      }
+    }
+
+    // Fills land on the 1st of each month, starting with the first month on or after the anchor
+    const fillDays = Array.from({ length: 12 }, (_, i) => PlanYear.calendarToDay(planYearStart, i + 1, 1))
+      .filter(day => day >= anchorDay)
+      .sort((a, b) => a - b);
+    const fills = [];
+    for (const medication of episode.medications || []) {
+      for (const day of fillDays.slice(0, medication.months || 12)) {
+        fills.push({ day, ...medication });
+      }
+    }
+
+    return { label: episode.label, visits, fills };
+  }
+}
@@ -0,0 +1,99 @@
+// OCR Engine - Reads scanned (image-only) SBC PDFs with a locally bundled Tesseract worker
+import { ScriptLoader } from './ScriptLoader.js';
+
+export class OCREngine {
+  // Tesseract.js, its worker, the WASM core and the English language data are vendored here.
+  // Nothing is fetched from a CDN, so scanned SBCs never leave the browser.
+  static VENDOR_URL = ScriptLoader.VENDOR_URL + ScriptLoader.LIBRARIES.tesseract.local;
+
+  // PDF points to canvas pixels. 2x (144 DPI) is enough for SBC body text without huge canvases.
+  static RENDER_SCALE = 2;
+
+  // Scanned SBCs are short; OCR is slow, so stop well before the text-layer limit
+  static MAX_PAGES = 20;
+
+  async createWorker(onProgress) {
+    // Both the library and its worker are checked against their SRI hashes
+    let workerPath;
+    try {
+      const baseURL = await ScriptLoader.load('tesseract');
+      workerPath = await ScriptLoader.loadWorker('tesseract', baseURL);
+    } catch (error) {
+      throw new Error(`OCR engine not available: ${error.message}`, { cause: error });
+    }
+
+    // OEM 1 (LSTM only) loads tesseract-core-lstm.wasm.js, or its SIMD build where supported, from core/
+    return window.Tesseract.createWorker('eng', 1, {
+      workerPath,
+      corePath: `${OCREngine.VENDOR_URL}core`,
+      langPath: `${OCREngine.VENDOR_URL}lang`,
+      gzip: true,
+      workerBlobURL: false,
+      cacheMethod: 'none', // Language data is already local, don't copy it into IndexedDB
+      logger: (message) => {
+        if (message.status === 'recognizing text' && onProgress) {
+          onProgress(message.progress);
+        }
+      }
+    });
+  }
+
+  // OCR each page of a PDF.js document. Returns the same { text, pages } shape as PDFAnalyzer.extractTextFromPDF:
+  // one line of text per page, and recognized words as positioned items for the SBC table parser.
+  async extractText(pdf, progressCallback = null) {
+    const pageCount = Math.min(pdf.numPages, OCREngine.MAX_PAGES);
+    let currentPage = 1;
+    const worker = await this.createWorker((progress) => {
+      if (progressCallback) progressCallback(currentPage, pageCount, progress);
+    });
+
+    let fullText = '';
+    const pages = [];
+    try {
+      for (let i = 1; i <= pageCount; i++) {
+        currentPage = i;
+        if (progressCallback) progressCallback(i, pageCount, 0);
+
+        const { canvas, pageHeight } = await this.renderPage(pdf, i);
+        const { data } = await worker.recognize(canvas);
+        fullText += data.text.replace(/\s+/g, ' ').trim() + '\n';
+        pages.push({ pageNumber: i, items: this.toTextItems(data.words || [], pageHeight) });
+
+        // Release the bitmap before rendering the next page
+        canvas.width = 0;
+        canvas.height = 0;
+      }
+    } finally {
+      await worker.terminate();
+    }
+
+    return { text: fullText, pages };
+  }
+
+  async renderPage(pdf, pageNumber) {
+    const page = await pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: OCREngine.RENDER_SCALE });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    const context = canvas.getContext('2d');
+
+    // Scans often have transparent backgrounds; Tesseract reads dark text on white best
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport }).promise;
+
+    return { canvas, pageHeight: viewport.height };
+  }
+
+  // Recognized words as PDF.js-style text items: PDF units with the origin at the bottom left
+  toTextItems(words, pageHeight) {
+    const scale = OCREngine.RENDER_SCALE;
+    return words.map(word => ({
+      str: word.text,
+      transform: [1, 0, 0, 1, word.bbox.x0 / scale, (pageHeight - word.bbox.y1) / scale],
+      width: (word.bbox.x1 - word.bbox.x0) / scale
+    }));
+  }
+}
@@ -1,12 +1,109 @@
 // PDF Analysis utility for extracting health plan data from SBC documents
-import { serverlessLLM } from './ServerlessLLMClient.js';
+import { serverlessLLM, ServerlessError } from './ServerlessLLMClient.js';
 import { LLMAssistant } from './LLMAssistant.js';
 import { EnvConfig } from './EnvConfig.js';
+import { SBCTableParser } from './SBCTableParser.js';
+import { OCREngine } from './OCREngine.js';
+import { ScriptLoader } from './ScriptLoader.js';
+import { CostCalculator } from './CostCalculator.js';
+import { Schemas } from './Schemas.js';
+import { SchemaValidator } from './SchemaValidator.js';
 
 export class PDFAnalyzer {
+  // Fields whose source is tracked for the review form, with the SBC row label to look for near the value
+  static PROVENANCE_FIELDS = {
+    monthlyPremium: /premium/i,
+    individualDeductible: /deductible/i,
+    familyDeductible: /deductible/i,
+    individualOOPMax: /out-of-pocket/i,
+    familyOOPMax: /out-of-pocket/i,
+    primaryCopay: /primary care/i,
+    specialistCopay: /specialist/i,
+    urgentCareCopay: /urgent care/i,
+    emergencyRoomCopay: /emergency room/i,
+    coinsurance: /coinsurance/i,
+    rxDeductible: /(?:prescription|drug|pharmacy)/i,
+    tier1DrugCost: /(?:tier 1|generic)/i,
+    tier2DrugCost: /(?:tier 2|preferred brand)/i,
+    tier3DrugCost: /(?:tier 3|non-preferred)/i,
+    specialtyDrugCost: /(?:tier 4|specialty)/i,
+    rxIndividualOOPMax: /out-of-pocket/i,
+    rxFamilyOOPMax: /out-of-pocket/i,
+    outOfNetworkIndividualDeductible: /deductible/i,
+    outOfNetworkFamilyDeductible: /deductible/i,
+    outOfNetworkIndividualOOPMax: /out-of-pocket/i,
+    outOfNetworkFamilyOOPMax: /out-of-pocket/i,
+    outOfNetworkCoinsurance: /coinsurance/i
+  };
+
+  // Confidence in an LLM value, by the model's own rating of the extraction
+  static LLM_CONFIDENCE = { HIGH: 0.85, MEDIUM: 0.7, LOW: 0.5 };
+
+  // Fields below this confidence, or where the LLM and regex disagree, are flagged for review
+  static LOW_CONFIDENCE = 0.6;
+
+  // SBC service rows in the extracted text, by CostCalculator service type
+  static SERVICE_ROW_PATTERNS = {
+    primaryVisit: /Primary care visit/i,
+    specialistVisit: /Specialist visit/i,
+    therapySession: /(?:mental|behavioral) health[\s\S]{0,200}?Outpatient services/i,
+    labWork: /Diagnostic test/i,
+    imaging: /Diagnostic test/i,
+    physicalTherapy: /Rehabilitation services/i,
+    emergencyRoom: /Emergency room care/i,
+    urgentCare: /Urgent care/i,
+    advancedImaging: /Imaging \(CT\/PET scans?, MRIs?\)/i,
+    outpatientSurgery: /outpatient surgery[\s\S]{0,80}?Facility fee/i,
+    inpatientStay: /hospital stay[\s\S]{0,80}?Facility fee/i
+  };
+
+  // Service keys of the LLM's serviceCostSharing and serviceLimits, by CostCalculator service type
+  static LLM_SERVICE_MAPPING = {
+    primaryCare: ['primaryVisit'],
+    specialist: ['specialistVisit'],
+    mentalHealthOutpatient: ['therapySession'],
+    diagnosticTest: ['labWork', 'imaging'],
+    rehabilitation: ['physicalTherapy'],
+    emergencyRoom: ['emergencyRoom'],
+    urgentCare: ['urgentCare'],
+    advancedImaging: ['advancedImaging'],
+    outpatientSurgery: ['outpatientSurgery'],
+    hospitalStay: ['inpatientStay']
+  };
+
+  // "20 visits/year", "Coverage limited to 30 visits per calendar year", "12 visit limit"
+  static VISIT_LIMIT_PATTERNS = [
+    /(\d+)\s*visits?\s*(?:\/|per|each)\s*(?:calendar |plan |benefit |contract )?year/i,
+    /(?:limited to|limit of|up to|maximum of)\s*(\d+)\s*(?:[a-z]+\s+){0,2}visits?/i,
+    /(\d+)[-\s]visit (?:limit|maximum)/i
+  ];
+
+  static PRIOR_AUTH_PATTERN = /pre-?authori[sz]ation|prior authori[sz]ation|pre-?certification/i;
+  static NO_PRIOR_AUTH_PATTERN = /(?:pre-?authori[sz]ation|prior authori[sz]ation|pre-?certification)\s+(?:is\s+)?not required|\bno (?:pre-?authori[sz]ation|prior authori[sz]ation|pre-?certification)/i;
+
+  // The "Excluded Services & Other Covered Services" lists of the CMS template, and where each one ends
+  static SERVICE_LISTS = {
+    excludedServices: { heading: /Services Your Plan Generally Does NOT Cover/i, end: /Other Covered Services/i },
+    coveredServices: { heading: /(?<!&\s?)Other Covered Services/i, end: /Your Rights to Continue Coverage|Your Grievance and Appeals Rights|Does this plan provide Minimum Essential Coverage/i }
+  };
+
+  // Items the template's lists are usually made of, for text where the bullets didn't survive extraction
+  static STANDARD_LISTED_SERVICES = [
+    'Abortion', 'Acupuncture', 'Bariatric surgery', 'Chiropractic care', 'Cosmetic surgery',
+    'Dental care (Adult)', 'Dental care (Children)', 'Dental care', 'Hearing aids', 'Infertility treatment',
+    'Long-term care', 'Non-emergency care when traveling outside the U.S.', 'Private-duty nursing',
+    'Routine eye care (Adult)', 'Routine eye care (Children)', 'Routine eye care', 'Routine foot care',
+    'Weight loss programs', 'Habilitation services', 'Hospice services', 'Most coverage provided outside the United States'
+  ];
+
+  // Time allowed for text extraction and analysis, plus extra per page when a scanned PDF needs OCR
+  static PROCESSING_TIMEOUT = 30000;
+  static OCR_PAGE_TIMEOUT = 20000;
+
   constructor() {
     this.isInitialized = false;
     this.localLLM = new LLMAssistant();
+    this.ocrEngine = new OCREngine();
     this.initializeLLMMode();
   }
 
@@ -30,67 +127,63 @@ export class PDFAnalyzer {
   }
 
   async loadPDFJS() {
-    // Load PDF.js from CDN
-    return new Promise((resolve, reject) => {
-      const script = document.createElement('script');
-      script.src = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js';
-      
-      // Add timeout to prevent hanging
-      const timeout = setTimeout(() => {
-        reject(new Error('PDF.js load timeout'));
-      }, 15000); // 15 second timeout
-      
-      script.onload = () => {
-        clearTimeout(timeout);
-        try {
-          // Set worker source
-          window.pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
-          console.log('PDF.js loaded successfully');
-          resolve();
-        } catch (error) {
-          console.error('PDF.js worker setup failed:', error);
-          reject(error);
-        }
-      };
-      
-      script.onerror = (error) => {
-        clearTimeout(timeout);
-        console.error('PDF.js failed to load:', error);
-        reject(error);
-      };
-      
-      document.head.appendChild(script);
-    });
+    // Vendored copy first, CDN only if it's missing. The worker comes from wherever the library did.
+    const baseURL = await ScriptLoader.load('pdfjs');
+    window.pdfjsLib.GlobalWorkerOptions.workerSrc = await ScriptLoader.loadWorker('pdfjs', baseURL);
+    console.log('PDF.js loaded successfully');
   }
 
-  async analyzeSBC(file, progressCallback = null) {
+  // progressCallback(message, stage) - stage is 'extracting' or 'analyzing'.
+  // Options: paceRateLimits rethrows a rate-limited AI analysis so the caller can wait for quota instead of
+  // silently falling back to pattern matching; skipLLM uses pattern matching and the benefit tables only.
+  async analyzeSBC(file, progressCallback = null, options = {}) {
     await this.init();
     
+    let timeoutId;
     try {
-      // Add timeout to prevent hanging
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('PDF processing timeout')), 30000); // 30 second timeout
-      });
+      // Add timeout to prevent hanging. OCR restarts the clock with a budget sized to the document.
+      let rejectTimeout;
+      const timeoutPromise = new Promise((_, reject) => { rejectTimeout = reject; });
+      const startTimeout = (ms) => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => rejectTimeout(new Error('PDF processing timeout')), ms);
+      };
+      startTimeout(PDFAnalyzer.PROCESSING_TIMEOUT);
       
       const analysisPromise = (async () => {
-        if (progressCallback) progressCallback('Extracting text from PDF...');
+        if (progressCallback) progressCallback('Extracting text from PDF...', 'extracting');
         
-        const text = await this.extractTextFromPDF(file, (page, total) => {
+        let { text, pages, pdf } = await this.extractTextFromPDF(file, (page, total) => {
           if (progressCallback) {
-            progressCallback(`Processing page ${page} of ${total}...`);
+            progressCallback(`Processing page ${page} of ${total}...`, 'extracting');
           }
         });
         
-        if (progressCallback) progressCallback('Analyzing extracted text...');
+        // Scanned SBCs have no text layer - read the page images instead
+        let ocrUsed = false;
+        if (!text || text.trim().length < 100) {
+          console.log('📷 No text layer found, running OCR on scanned pages...');
+          startTimeout(PDFAnalyzer.PROCESSING_TIMEOUT + PDFAnalyzer.OCR_PAGE_TIMEOUT * Math.min(pdf.numPages, OCREngine.MAX_PAGES));
+          ({ text, pages } = await this.ocrEngine.extractText(pdf, (page, total, progress) => {
+            if (progressCallback) {
+              progressCallback(`Scanned document - reading page ${page} of ${total} (${Math.round(progress * 100)}%)...`, 'extracting');
+            }
+          }));
+          ocrUsed = true;
+          startTimeout(PDFAnalyzer.PROCESSING_TIMEOUT);
+        }
+        
+        if (progressCallback) progressCallback('Analyzing extracted text...', 'analyzing');
         
         // Check if we got meaningful text
         if (!text || text.trim().length < 100) {
           throw new Error('PDF appears to be empty or contains no readable text');
         }
         
-        const planData = await this.parseSBCText(text, file.name || fileName);
+        const planData = await this.parseSBCText(text, file.name || fileName, SBCTableParser.parse(pages), options);
+        if (ocrUsed) planData.ocrUsed = true;
         
-        if (progressCallback) progressCallback('Analysis complete!');
+        if (progressCallback) progressCallback('Analysis complete!', 'analyzing');
         
         return planData;
       })();
@@ -100,6 +193,8 @@ export class PDFAnalyzer {
     } catch (error) {
       console.error('PDF analysis error:', error);
       throw error;
+    } finally {
+      clearTimeout(timeoutId);
     }
   }
 
@@ -108,6 +203,7 @@ export class PDFAnalyzer {
     const pdf = await window.pdfjsLib.getDocument({ data: arrayBuffer }).promise;
     
     let fullText = '';
+    const pages = []; // Text items with their positions, for rebuilding the benefit tables
     const maxPages = Math.min(pdf.numPages, 50); // Limit to 50 pages for performance
     
     for (let i = 1; i <= maxPages; i++) {
@@ -121,6 +217,7 @@ export class PDFAnalyzer {
         const textContent = await page.getTextContent();
         const pageText = textContent.items.map(item => item.str).join(' ');
         fullText += pageText + '\n';
+        pages.push({ pageNumber: i, items: textContent.items });
         
         // Yield control to prevent UI blocking
         if (i % 5 === 0) {
@@ -133,17 +230,17 @@ export class PDFAnalyzer {
       }
     }
     
-    return fullText;
+    return { text: fullText, pages, pdf };
   }
 
-  async parseSBCText(text, fileName = 'SBC Document') {
+  async parseSBCText(text, fileName = 'SBC Document', table = null, options = {}) {
     console.log('📋 Starting SBC text parsing...');
     
     let llmData = null;
     let regexData = null;
 
     // Try LLM analysis based on configured mode
-    const mode = await EnvConfig.getLLMMode();
+    const mode = options.skipLLM ? 'regex' : await EnvConfig.getLLMMode();
     console.log(`🔧 Using ${mode} mode for LLM analysis...`);
 
     if (mode === 'local' || mode === 'hybrid') {
@@ -182,13 +279,41 @@ export class PDFAnalyzer {
           console.log('❌ Serverless LLM analysis failed or returned no data:', result);
         }
       } catch (error) {
+        if (options.paceRateLimits && error instanceof ServerlessError && error.isRateLimited()) {
+          throw error;
+        }
         console.warn('🌐 Serverless LLM analysis failed:', error.message);
       }
     }
 
+    // Values the LLM returned in the wrong shape are dropped, so pattern matching fills those fields instead
+    let extractionIssues = [];
+    if (llmData) {
+      extractionIssues = SchemaValidator.validate(Schemas.LLM_EXTRACTION, llmData);
+      if (extractionIssues.length > 0) {
+        llmData = this.removeInvalidFields(llmData, extractionIssues);
+      }
+    }
+
     // Always run regex-based extraction as backup/validation
     console.log('🔍 Running regex-based extraction...');
     regexData = this.extractWithRegex(text);
+    
+    // Values read from the reconstructed benefit tables replace the regex guesses
+    const tableData = table ? this.extractFromSBCTable(table) : {};
+    const tableFields = Object.keys(tableData);
+    if (tableFields.length > 0) {
+      console.log(`📊 Read ${tableFields.length} fields from the SBC benefit tables`);
+      for (const field of ['serviceCostSharing', 'visitLimits']) {
+        if (tableData[field] && regexData[field]) {
+          tableData[field] = { ...regexData[field], ...tableData[field] };
+        }
+      }
+      if (tableData.priorAuthorization && regexData.priorAuthorization) {
+        tableData.priorAuthorization = [...new Set([...regexData.priorAuthorization, ...tableData.priorAuthorization])];
+      }
+      regexData = { ...regexData, ...tableData };
+    }
 
     // Debug logging before combining
     console.log('🔍 About to combine data:');
@@ -197,6 +322,10 @@ export class PDFAnalyzer {
     
     // Combine results, preferring LLM data but filling gaps with regex
     const combinedData = this.combineExtractionResults(llmData, regexData);
+    combinedData.fieldProvenance = this.recordFieldProvenance(combinedData, llmData, regexData, text, tableFields);
+    if (extractionIssues.length > 0) {
+      combinedData.extractionIssues = extractionIssues;
+    }
     
     console.log('🔍 Combined data result:', combinedData);
     
@@ -218,11 +347,20 @@ export class PDFAnalyzer {
       primaryCopay: this.extractPrimaryCopay(text),
       specialistCopay: this.extractSpecialistCopay(text),
       coinsurance: this.extractCoinsurance(text),
+      serviceCostSharing: this.extractServiceCostSharing(text),
       rxDeductible: this.extractRxDeductible(text),
       tier1DrugCost: this.extractTier1DrugCost(text),
       tier2DrugCost: this.extractTier2DrugCost(text),
       tier3DrugCost: this.extractTier3DrugCost(text),
       specialtyDrugCost: this.extractSpecialtyDrugCost(text),
+      ...this.extractDrugTierLimits(text),
+      rxIndividualOOPMax: this.extractRxOOPMax(text, 'individual'),
+      rxFamilyOOPMax: this.extractRxOOPMax(text, 'family'),
+      coverageExamples: this.extractCoverageExamples(text),
+      visitLimits: this.extractVisitLimits(text),
+      priorAuthorization: this.extractPriorAuthorization(text),
+      excludedServices: this.extractServiceList(text, 'excludedServices'),
+      coveredServices: this.extractServiceList(text, 'coveredServices'),
       hsaEligible: this.checkHSAEligibility(text),
       networkType: this.extractNetworkType(text),
       year: this.extractPlanYear(text),
@@ -230,6 +368,21 @@ export class PDFAnalyzer {
     };
   }
 
+  // Copy of an LLM extraction without the values at the given SchemaValidator error paths
+  removeInvalidFields(llmData, errors) {
+    if (errors.some(error => !error.path)) return null; // Not an object at all
+
+    const cleaned = JSON.parse(JSON.stringify(llmData));
+    for (const { path } of errors) {
+      const keys = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+      const parent = keys.slice(0, -1).reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), cleaned);
+      if (parent && typeof parent === 'object') {
+        parent[keys[keys.length - 1]] = null;
+      }
+    }
+    return cleaned;
+  }
+
   combineExtractionResults(llmData, regexData) {
     // If no LLM data, use regex data
     if (!llmData) {
@@ -300,6 +453,19 @@ export class PDFAnalyzer {
       }
     }
     
+    // Map per-service cost-sharing rules ("What you will pay" column), keeping regex rules for services the LLM missed
+    if (llmData.serviceCostSharing && typeof llmData.serviceCostSharing === 'object') {
+      Object.entries(PDFAnalyzer.LLM_SERVICE_MAPPING).forEach(([llmKey, serviceTypes]) => {
+        const rule = this.normalizeLLMCostSharingRule(llmData.serviceCostSharing[llmKey]);
+        if (rule) {
+          combined.serviceCostSharing = combined.serviceCostSharing || {};
+          serviceTypes.forEach(serviceType => {
+            combined.serviceCostSharing[serviceType] = { ...rule };
+          });
+        }
+      });
+    }
+    
     // Map nested prescription tiers structure with type information
     if (llmData.prescriptionTiers) {
       const tierMapping = {
@@ -313,9 +479,11 @@ export class PDFAnalyzer {
         const tierData = llmData.prescriptionTiers[tierKey];
         if (tierData !== null) {
           if (typeof tierData === 'object' && tierData.type && tierData.value !== null) {
-            // New structured format: {type: "copay|coinsurance", value: number}
+            // New structured format: {type: "copay|coinsurance", value: number, minPerFill?, maxPerFill?}
             combined[combinedKey] = tierData.value;
             combined[`${combinedKey}Type`] = tierData.type;
+            if (typeof tierData.minPerFill === 'number') combined[`${combinedKey}Min`] = tierData.minPerFill;
+            if (typeof tierData.maxPerFill === 'number') combined[`${combinedKey}Max`] = tierData.maxPerFill;
           } else if (typeof tierData === 'number') {
             // Legacy format: just a number (fallback)
             combined[combinedKey] = tierData;
@@ -325,6 +493,79 @@ export class PDFAnalyzer {
       });
     }
 
+    // Separate pharmacy out-of-pocket maximum (mostly older grandfathered plans)
+    if (llmData.rxOutOfPocketMax) {
+      if (typeof llmData.rxOutOfPocketMax.individual === 'number') {
+        combined.rxIndividualOOPMax = llmData.rxOutOfPocketMax.individual;
+      }
+      if (typeof llmData.rxOutOfPocketMax.family === 'number') {
+        combined.rxFamilyOOPMax = llmData.rxOutOfPocketMax.family;
+      }
+    }
+
+    // Out-of-network column - separate deductible, OOP max and coinsurance
+    if (llmData.outOfNetwork) {
+      const outOfNetwork = llmData.outOfNetwork;
+      if (typeof outOfNetwork.covered === 'boolean') {
+        combined.outOfNetworkCovered = outOfNetwork.covered;
+      }
+      const limits = {
+        outOfNetworkIndividualDeductible: outOfNetwork.deductible && outOfNetwork.deductible.individual,
+        outOfNetworkFamilyDeductible: outOfNetwork.deductible && outOfNetwork.deductible.family,
+        outOfNetworkIndividualOOPMax: outOfNetwork.outOfPocketMax && outOfNetwork.outOfPocketMax.individual,
+        outOfNetworkFamilyOOPMax: outOfNetwork.outOfPocketMax && outOfNetwork.outOfPocketMax.family,
+        outOfNetworkCoinsurance: outOfNetwork.coinsurance
+      };
+      for (const [field, value] of Object.entries(limits)) {
+        if (typeof value === 'number') {
+          combined[field] = value;
+        }
+      }
+    }
+
+    // SBC coverage examples - the insurer's own member cost for Peg, Joe and Mia
+    if (llmData.coverageExamples) {
+      const coverageExamples = { ...(combined.coverageExamples || {}) };
+      for (const exampleId of ['peg', 'joe', 'mia']) {
+        const example = llmData.coverageExamples[exampleId];
+        if (example && typeof example.memberCost === 'number') {
+          coverageExamples[exampleId] = {
+            totalExampleCost: typeof example.totalExampleCost === 'number' ? example.totalExampleCost : null,
+            memberCost: example.memberCost
+          };
+        }
+      }
+      if (Object.keys(coverageExamples).length > 0) {
+        combined.coverageExamples = coverageExamples;
+      }
+    }
+
+    // Visit limits and preauthorization from the limitations column, added to what pattern matching found
+    if (llmData.serviceLimits && typeof llmData.serviceLimits === 'object') {
+      const visitLimits = { ...(combined.visitLimits || {}) };
+      const priorAuthorization = new Set(combined.priorAuthorization || []);
+      Object.entries(PDFAnalyzer.LLM_SERVICE_MAPPING).forEach(([llmKey, serviceTypes]) => {
+        const limits = llmData.serviceLimits[llmKey];
+        if (!limits) return;
+        serviceTypes.forEach(serviceType => {
+          if (typeof limits.visitLimit === 'number' && limits.visitLimit > 0 && CostCalculator.VISIT_LIMIT_SERVICES.includes(serviceType)) {
+            visitLimits[serviceType] = limits.visitLimit;
+          }
+          if (limits.priorAuthorization === true) priorAuthorization.add(serviceType);
+        });
+      });
+      if (Object.keys(visitLimits).length > 0) combined.visitLimits = visitLimits;
+      if (priorAuthorization.size > 0) combined.priorAuthorization = [...priorAuthorization];
+    }
+
+    // Excluded and other covered services lists, as printed
+    const serviceLists = { excludedServices: llmData.excludedServices, coveredServices: llmData.otherCoveredServices };
+    for (const [field, items] of Object.entries(serviceLists)) {
+      if (Array.isArray(items) && items.length > 0) {
+        combined[field] = items.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+      }
+    }
+
     // Add extraction metadata
     combined.extractionMethod = 'hybrid';
     combined.llmQuality = 'HIGH';  // Since LLM data was successfully parsed
@@ -332,6 +573,127 @@ export class PDFAnalyzer {
     return combined;
   }
 
+  // Which method produced each field, how much to trust it, and where in the SBC the value appears.
+  // Pages are the newline-separated chunks produced by extractTextFromPDF.
+  recordFieldProvenance(combined, llmData, regexData, text, tableFields = []) {
+    const llmFields = llmData ? this.combineExtractionResults(llmData, {}) : {};
+    const llmConfidence = PDFAnalyzer.LLM_CONFIDENCE[llmData && llmData.extractionQuality] || PDFAnalyzer.LLM_CONFIDENCE.MEDIUM;
+    const provenance = {};
+    
+    for (const [field, labelPattern] of Object.entries(PDFAnalyzer.PROVENANCE_FIELDS)) {
+      const value = this.toProvenanceValue(combined[field]);
+      if (value === null) continue;
+      
+      const llmValue = this.toProvenanceValue(llmFields[field]);
+      const regexValue = this.toProvenanceValue(regexData[field]);
+      // For a conflict the document may only contain the regex reading
+      const source = this.findSourceSnippet(text, value, labelPattern) ||
+        (regexValue !== null ? this.findSourceSnippet(text, regexValue, labelPattern) : null);
+      
+      let method;
+      let confidence;
+      let conflict = false;
+      if (llmValue !== null && regexValue !== null) {
+        conflict = Math.abs(llmValue - regexValue) > 0.001;
+        method = conflict ? 'llm' : 'both';
+        confidence = conflict ? 0.3 : 0.95;
+      } else if (llmValue !== null) {
+        method = 'llm';
+        // A value that never appears in the document text is more likely misread
+        confidence = source ? llmConfidence : 0.4;
+      } else if (tableFields.includes(field)) {
+        // Read from its own row of the reconstructed benefit table
+        method = 'table';
+        confidence = 0.85;
+      } else {
+        method = 'regex';
+        confidence = 0.6;
+      }
+      
+      // A value printed away from its row label may belong to another row
+      if (source && !source.labelled && !conflict) {
+        confidence = Math.round((confidence - 0.15) * 100) / 100;
+      }
+      
+      provenance[field] = {
+        method,
+        confidence,
+        conflict,
+        value,
+        llmValue,
+        regexValue,
+        snippet: source ? source.snippet : null,
+        page: source ? source.page : null
+      };
+    }
+    
+    return provenance;
+  }
+  
+  // Numeric value of an extracted field; the LLM reports medical/prescription coinsurance as an object
+  toProvenanceValue(value) {
+    if (value && typeof value === 'object') value = value.medical;
+    return typeof value === 'number' && !isNaN(value) ? value : null;
+  }
+  
+  // Text around the value as printed in the SBC ("$1,500" or "20%"), preferring an occurrence just after the row label
+  findSourceSnippet(text, value, labelPattern) {
+    if (!text || !(value > 0)) return null;
+    
+    const printed = value < 1
+      ? [`${Math.round(value * 100)}%`]
+      : [...new Set([`$${value.toLocaleString('en-US')}`, `$${value}`])];
+    
+    // Every place the value is printed, skipping partial matches such as "$150" inside "$1,500"
+    const occurrences = [];
+    for (const candidate of printed) {
+      for (let index = text.indexOf(candidate); index !== -1; index = text.indexOf(candidate, index + 1)) {
+        if (!/^,?\d/.test(text.slice(index + candidate.length, index + candidate.length + 2))) {
+          occurrences.push({ index, length: candidate.length });
+        }
+      }
+    }
+    if (occurrences.length === 0) return null;
+    
+    const labelled = occurrences.find(({ index }) => labelPattern.test(text.slice(Math.max(0, index - 200), index)));
+    const { index: bestIndex, length: bestLength } = labelled || occurrences[0];
+    
+    const start = Math.max(0, bestIndex - 80);
+    const end = Math.min(text.length, bestIndex + bestLength + 40);
+    const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+    return {
+      snippet: `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`,
+      page: text.slice(0, bestIndex).split('\n').length,
+      labelled: Boolean(labelled)
+    };
+  }
+
+  normalizeLLMCostSharingRule(llmRule) {
+    if (!llmRule || typeof llmRule !== 'object') {
+      return null;
+    }
+    
+    const copay = typeof llmRule.copay === 'number' ? llmRule.copay : null;
+    const coinsurance = typeof llmRule.coinsurance === 'number' ? llmRule.coinsurance : null;
+    let type = llmRule.type;
+    if (!['copay', 'coinsurance', 'copayThenCoinsurance'].includes(type)) {
+      // Infer the type from whichever values the LLM did return
+      if (copay !== null && coinsurance) type = 'copayThenCoinsurance';
+      else if (copay !== null) type = 'copay';
+      else if (coinsurance !== null) type = 'coinsurance';
+      else return null;
+    }
+    
+    return {
+      type,
+      copay: copay || 0,
+      coinsurance: coinsurance > 1 ? coinsurance / 100 : (coinsurance || 0),
+      deductibleApplies: typeof llmRule.deductibleApplies === 'boolean'
+        ? llmRule.deductibleApplies
+        : type !== 'copay'
+    };
+  }
+
   validateAndCleanField(fieldName, llmValue, regexValue) {
     if (typeof llmValue !== 'string') {
       return llmValue; // Return numbers, booleans as-is
@@ -577,6 +939,310 @@ export class PDFAnalyzer {
     return null;
   }
 
+  // Per-service rules from the in-network "What you will pay" column of the SBC table
+  extractServiceCostSharing(text) {
+    const rules = {};
+    for (const [serviceType, rowPattern] of Object.entries(PDFAnalyzer.SERVICE_ROW_PATTERNS)) {
+      const match = text.match(rowPattern);
+      if (!match) continue;
+      
+      const rowText = text.slice(match.index + match[0].length, match.index + match[0].length + 300);
+      const rule = this.parseCostSharingText(this.extractInNetworkCell(rowText));
+      if (rule) {
+        rules[serviceType] = rule;
+      }
+    }
+
+    return Object.keys(rules).length > 0 ? rules : null;
+  }
+
+  // Text of one service row, from its label up to the next row of the benefits table
+  getServiceRowText(text, serviceType) {
+    const match = text.match(PDFAnalyzer.SERVICE_ROW_PATTERNS[serviceType]);
+    if (!match) return null;
+    
+    const rowStart = match.index + match[0].length;
+    const nextRow = new RegExp(`If you |${SBCTableParser.SERVICE_ROW_LABELS.join('|')}`, 'i');
+    const rest = text.slice(rowStart, rowStart + 600);
+    const nextMatch = rest.match(nextRow);
+    return nextMatch ? rest.slice(0, nextMatch.index) : rest;
+  }
+
+  // Visits per person per year, by service type, from the limitations column of each service row
+  extractVisitLimits(text) {
+    const visitLimits = {};
+    for (const serviceType of CostCalculator.VISIT_LIMIT_SERVICES) {
+      const { visitLimit } = this.parseLimitations(this.getServiceRowText(text, serviceType));
+      if (visitLimit) visitLimits[serviceType] = visitLimit;
+    }
+    return Object.keys(visitLimits).length > 0 ? visitLimits : null;
+  }
+
+  // Service types whose row says preauthorization is required
+  extractPriorAuthorization(text) {
+    const serviceTypes = Object.keys(PDFAnalyzer.SERVICE_ROW_PATTERNS)
+      .filter(serviceType => this.parseLimitations(this.getServiceRowText(text, serviceType)).priorAuthorization);
+    return serviceTypes.length > 0 ? serviceTypes : null;
+  }
+
+  // Visit cap and preauthorization requirement stated in a limitations cell
+  parseLimitations(cellText) {
+    const limitations = { visitLimit: null, priorAuthorization: false };
+    if (!cellText) return limitations;
+    
+    for (const pattern of PDFAnalyzer.VISIT_LIMIT_PATTERNS) {
+      const match = cellText.match(pattern);
+      if (match) {
+        limitations.visitLimit = parseInt(match[1]);
+        break;
+      }
+    }
+    limitations.priorAuthorization = PDFAnalyzer.PRIOR_AUTH_PATTERN.test(cellText) &&
+      !PDFAnalyzer.NO_PRIOR_AUTH_PATTERN.test(cellText);
+    return limitations;
+  }
+
+  // Items of the "Services Your Plan Generally Does NOT Cover" or "Other Covered Services" list
+  extractServiceList(text, listName) {
+    const { heading, end } = PDFAnalyzer.SERVICE_LISTS[listName];
+    const headingMatch = text.match(heading);
+    if (!headingMatch) return null;
+    
+    let section = text.slice(headingMatch.index + headingMatch[0].length, headingMatch.index + headingMatch[0].length + 2000);
+    const endMatch = section.match(end);
+    if (endMatch) section = section.slice(0, endMatch.index);
+    section = section.replace(/^\s*\([^)]*\)/, ''); // "(Check your policy or plan document for more information ...)"
+    
+    const bulletItems = section.split(/[\u2022\u25cf\u25aa\u25a0\u25e6\uf0b7]/)
+      .slice(1)
+      .map(item => item.replace(/\s+/g, ' ').trim())
+      .filter(item => item && item.length <= 120);
+    if (bulletItems.length > 0) return bulletItems;
+    
+    // No bullets in the extracted text - pick out the template's usual items, most specific first
+    const items = [];
+    let remaining = section;
+    for (const service of PDFAnalyzer.STANDARD_LISTED_SERVICES) {
+      const pattern = new RegExp(service.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      const match = remaining.match(pattern);
+      if (!match) continue;
+      items.push({ index: match.index, service: match[0] });
+      remaining = remaining.replace(match[0], ' '.repeat(match[0].length));
+    }
+    return items.length > 0 ? items.sort((a, b) => a.index - b.index).map(item => item.service) : null;
+  }
+
+  // The in-network cell runs from the first cost figure up to the next one (the out-of-network cell),
+  // except that "$X copay then Y% coinsurance" stays together
+  extractInNetworkCell(rowText) {
+    const costPattern = /no charge|\$[0-9,]+(?:\.[0-9]{2})?|[0-9]+(?:\.[0-9]+)?%/gi;
+    const matches = [...rowText.matchAll(costPattern)];
+    if (matches.length === 0) {
+      return null;
+    }
+
+    const start = matches[0].index;
+    let end = rowText.length;
+    for (let i = 1; i < matches.length; i++) {
+      const between = rowText.slice(matches[i - 1].index, matches[i].index);
+      if (!/\b(?:then|plus)\b/i.test(between)) {
+        end = matches[i].index;
+        break;
+      }
+    }
+
+    return rowText.slice(start, end);
+  }
+
+  // Plan fields from the rows of the reconstructed SBC tables (see SBCTableParser). Only fields the tables
+  // actually state are returned, so the result can be laid over the regex extraction.
+  extractFromSBCTable(table) {
+    const data = {};
+    const findQuestion = (pattern) => table.questions.find(row => pattern.test(row.question));
+    
+    const deductible = findQuestion(/overall deductible/i);
+    if (deductible) {
+      this.assignLimitPair(data, deductible.answer, 'individualDeductible', 'familyDeductible',
+        'outOfNetworkIndividualDeductible', 'outOfNetworkFamilyDeductible');
+    }
+    
+    const oopLimit = findQuestion(/out-of-pocket limit for this plan/i);
+    if (oopLimit) {
+      this.assignLimitPair(data, oopLimit.answer, 'individualOOPMax', 'familyOOPMax',
+        'outOfNetworkIndividualOOPMax', 'outOfNetworkFamilyOOPMax');
+    }
+    
+    const otherDeductibles = findQuestion(/other deductibles/i);
+    const rxDeductible = otherDeductibles && otherDeductibles.answer.match(/\$([0-9,]+)[^.;$]*?(?:prescription|drug|pharmacy)/i);
+    if (rxDeductible) {
+      data.rxDeductible = parseFloat(rxDeductible[1].replace(/,/g, ''));
+    }
+    
+    // "Common Medical Event" rows of the CMS template, matched by event and service
+    const serviceRows = [
+      { event: /office or clinic/i, service: /^Primary care/i, serviceTypes: ['primaryVisit'], copayField: 'primaryCopay' },
+      { event: /office or clinic/i, service: /^Specialist visit/i, serviceTypes: ['specialistVisit'], copayField: 'specialistCopay' },
+      { event: /have a test/i, service: /^Diagnostic test/i, serviceTypes: ['labWork', 'imaging'] },
+      { event: /have a test/i, service: /^Imaging/i, serviceTypes: ['advancedImaging'] },
+      { event: /outpatient surgery/i, service: /^Facility fee/i, serviceTypes: ['outpatientSurgery'] },
+      { event: /immediate medical attention/i, service: /^Emergency room/i, serviceTypes: ['emergencyRoom'], copayField: 'emergencyRoomCopay' },
+      { event: /immediate medical attention/i, service: /^Urgent care/i, serviceTypes: ['urgentCare'], copayField: 'urgentCareCopay' },
+      { event: /hospital stay/i, service: /^Facility fee/i, serviceTypes: ['inpatientStay'] },
+      { event: /mental health|behavioral health/i, service: /^Outpatient services/i, serviceTypes: ['therapySession'] },
+      { event: /recovering|special health needs/i, service: /^Rehabilitation services/i, serviceTypes: ['physicalTherapy'] }
+    ];
+    const drugRows = [
+      { service: /^(?:Generic drugs|Tier 1)/i, field: 'tier1DrugCost' },
+      { service: /^(?:Preferred brand|Tier 2)/i, field: 'tier2DrugCost' },
+      { service: /^(?:Non-preferred brand|Tier 3)/i, field: 'tier3DrugCost' },
+      { service: /^(?:Specialty drugs|Tier 4)/i, field: 'specialtyDrugCost' }
+    ];
+    const findService = (event, service) => table.services.find(row => (!event || event.test(row.event)) && service.test(row.service));
+    
+    const serviceCostSharing = {};
+    const inNetworkCoinsurance = [];
+    const outOfNetworkCells = [];
+    const visitLimits = {};
+    const priorAuthorization = [];
+    for (const { event, service, serviceTypes, copayField } of serviceRows) {
+      const row = findService(event, service);
+      if (!row) continue;
+      
+      const limitations = this.parseLimitations(row.limitations);
+      serviceTypes.forEach(serviceType => {
+        if (limitations.visitLimit && CostCalculator.VISIT_LIMIT_SERVICES.includes(serviceType)) {
+          visitLimits[serviceType] = limitations.visitLimit;
+        }
+        if (limitations.priorAuthorization) priorAuthorization.push(serviceType);
+      });
+      
+      outOfNetworkCells.push(row.outOfNetwork);
+      const rule = this.parseCostSharingText(row.inNetwork);
+      if (!rule) continue;
+      
+      serviceTypes.forEach(serviceType => {
+        serviceCostSharing[serviceType] = { ...rule };
+      });
+      if (copayField && rule.type === 'copay') data[copayField] = rule.copay;
+      if (rule.coinsurance > 0) inNetworkCoinsurance.push(rule.coinsurance);
+    }
+    if (Object.keys(serviceCostSharing).length > 0) {
+      data.serviceCostSharing = serviceCostSharing;
+    }
+    if (Object.keys(visitLimits).length > 0) data.visitLimits = visitLimits;
+    if (priorAuthorization.length > 0) data.priorAuthorization = priorAuthorization;
+    
+    for (const { service, field } of drugRows) {
+      const row = findService(/drugs/i, service);
+      const rule = row && this.parseCostSharingText(row.inNetwork);
+      if (!rule) continue;
+      
+      // Tier fields hold either a copay or a coinsurance rate; dollar amounts next to a percentage are per-fill limits
+      if (rule.coinsurance > 0) {
+        data[field] = rule.coinsurance;
+        data[`${field}Type`] = 'coinsurance';
+        Object.assign(data, this.parseFillLimits(row.inNetwork, field));
+      } else {
+        data[field] = rule.copay;
+        data[`${field}Type`] = 'copay';
+      }
+    }
+    
+    // The plan-wide rates are the ones most services use
+    const mostCommon = (values) => values.length === 0 ? null : values
+      .sort((a, b) => values.filter(v => v === b).length - values.filter(v => v === a).length)[0];
+    const coinsurance = mostCommon(inNetworkCoinsurance);
+    if (coinsurance !== null) data.coinsurance = coinsurance;
+    
+    if (outOfNetworkCells.length > 0) {
+      const notCovered = outOfNetworkCells.filter(cell => /not covered/i.test(cell)).length;
+      data.outOfNetworkCovered = notCovered * 2 <= outOfNetworkCells.length;
+      const outOfNetworkCoinsurance = mostCommon(outOfNetworkCells
+        .map(cell => this.parseCostSharingText(cell))
+        .filter(rule => rule && rule.coinsurance > 0)
+        .map(rule => rule.coinsurance));
+      if (outOfNetworkCoinsurance !== null) data.outOfNetworkCoinsurance = outOfNetworkCoinsurance;
+    }
+    
+    return data;
+  }
+  
+  // Individual/family amounts from an "Important Questions" answer such as
+  // "$1,500 individual / $3,000 family for network providers; $3,000 individual / $6,000 family out-of-network"
+  assignLimitPair(data, answer, individualField, familyField, outOfNetworkIndividualField, outOfNetworkFamilyField) {
+    const amountFor = (segment, pattern) => {
+      const match = segment.match(pattern);
+      return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+    };
+    const individualPattern = /\$([0-9,]+)\s*(?:\/\s*)?(?:per\s+)?(?:individual|person|member)/i;
+    const familyPattern = /\$([0-9,]+)\s*(?:\/\s*)?(?:per\s+)?family/i;
+    
+    const segments = answer.split(/;|\.\s/);
+    const inNetwork = segments.find(segment => /\$/.test(segment) && !/out-of-network|non-network/i.test(segment));
+    const outOfNetwork = segments.find(segment => /\$/.test(segment) && /out-of-network|non-network/i.test(segment));
+    
+    if (inNetwork) {
+      // A single amount with no individual/family split is the individual limit
+      const individual = amountFor(inNetwork, individualPattern) || amountFor(inNetwork, /\$([0-9,]+)/);
+      const family = amountFor(inNetwork, familyPattern);
+      if (individual !== null) data[individualField] = individual;
+      if (family !== null) data[familyField] = family;
+    }
+    if (outOfNetwork) {
+      const individual = amountFor(outOfNetwork, individualPattern);
+      const family = amountFor(outOfNetwork, familyPattern);
+      if (individual !== null) data[outOfNetworkIndividualField] = individual;
+      if (family !== null) data[outOfNetworkFamilyField] = family;
+    }
+  }
+
+  // Parse cost-sharing text such as "$30 copay; deductible does not apply" or "$250 copay then 20% coinsurance"
+  parseCostSharingText(cellText) {
+    if (!cellText) {
+      return null;
+    }
+
+    const text = cellText.replace(/\s+/g, ' ').trim();
+    const copayMatch = text.match(/\$([0-9,]+(?:\.[0-9]{2})?)\s*(?:co-?pay)?/i);
+    const coinsuranceMatch = text.match(/([0-9]+(?:\.[0-9]+)?)%\s*(?:co-?insurance)?/i);
+    const noCharge = /no charge/i.test(text);
+
+    let rule;
+    if (copayMatch && coinsuranceMatch) {
+      rule = {
+        type: 'copayThenCoinsurance',
+        copay: parseFloat(copayMatch[1].replace(/,/g, '')),
+        coinsurance: parseFloat(coinsuranceMatch[1]) / 100
+      };
+    } else if (copayMatch || noCharge) {
+      rule = {
+        type: 'copay',
+        copay: copayMatch ? parseFloat(copayMatch[1].replace(/,/g, '')) : 0,
+        coinsurance: 0
+      };
+    } else if (coinsuranceMatch) {
+      rule = {
+        type: 'coinsurance',
+        copay: 0,
+        coinsurance: parseFloat(coinsuranceMatch[1]) / 100
+      };
+    } else {
+      return null;
+    }
+
+    if (/deductible (?:does not|doesn't) apply|not subject to (?:the )?deductible|deductible (?:is )?waived|before (?:the )?deductible/i.test(text)) {
+      rule.deductibleApplies = false;
+    } else if (/after (?:the )?deductible|deductible applies|subject to (?:the )?deductible/i.test(text)) {
+      rule.deductibleApplies = true;
+    } else {
+      // SBCs usually call out copay-only services that skip the deductible, but not always -
+      // assume flat copays are pre-deductible and anything with coinsurance is not
+      rule.deductibleApplies = rule.type !== 'copay';
+    }
+
+    return rule;
+  }
+
   extractRxDeductible(text) {
     const patterns = [
       /Prescription Drug Deductible[:\s]+\$([0-9,]+(?:\.[0-9]{2})?)/i,
@@ -587,6 +1253,80 @@ export class PDFAnalyzer {
     return this.extractCurrencyValue(text, patterns);
   }
 
+  // Per-fill minimum/maximum on coinsurance tiers, e.g. "20% coinsurance, min $50, max $250 per prescription"
+  extractDrugTierLimits(text) {
+    const tierLabels = {
+      tier1DrugCost: 'Tier 1|Generic drugs?',
+      tier2DrugCost: 'Tier 2|(?<!Non-?\\s?)Preferred brand drugs?',
+      tier3DrugCost: 'Tier 3|Non-?\\s?preferred brand drugs?',
+      specialtyDrugCost: 'Tier 4|Specialty drugs?'
+    };
+    
+    const limits = {};
+    for (const [tierKey, label] of Object.entries(tierLabels)) {
+      // A whole page is one line of extracted text, so the row ends where the next tier's label starts
+      const otherLabels = Object.entries(tierLabels).filter(([key]) => key !== tierKey).map(([, other]) => other).join('|');
+      const row = text.match(new RegExp(`(?:${label})((?:(?!${otherLabels})[^\\n]){0,160})`, 'i'));
+      if (!row || !row[1].includes('%')) continue;
+      Object.assign(limits, this.parseFillLimits(row[1], tierKey));
+    }
+    
+    return limits;
+  }
+  
+  // Per-fill minimum and maximum of a coinsurance tier, e.g. "20% coinsurance, min $50, max $250"
+  parseFillLimits(rowText, tierKey) {
+    // "min $50" before "$50 min", so "min $5 max $20" doesn't read $5 as the maximum
+    const findAmount = (patterns) => {
+      const match = patterns.map(pattern => rowText.match(pattern)).find(candidate => candidate);
+      return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+    };
+    const min = findAmount([/min(?:imum)?\.?\s*(?:of\s*)?\$(\d{1,3}(?:,\d{3})*)/i, /\$(\d{1,3}(?:,\d{3})*)\s*min(?:imum)?/i]);
+    const max = findAmount([/max(?:imum)?\.?\s*(?:of\s*)?\$(\d{1,3}(?:,\d{3})*)/i, /up to \$(\d{1,3}(?:,\d{3})*)/i, /\$(\d{1,3}(?:,\d{3})*)\s*max(?:imum)?/i]);
+    
+    const limits = {};
+    if (min !== null) limits[`${tierKey}Min`] = min;
+    if (max !== null) limits[`${tierKey}Max`] = max;
+    return limits;
+  }
+
+  // Separate prescription drug out-of-pocket limit, only present on some plans
+  extractRxOOPMax(text, coverageLevel) {
+    const section = text.match(/(?:prescription drug|pharmacy|Rx)[^\n.]{0,40}out-of-pocket (?:limit|maximum)[^\n]{0,120}|out-of-pocket (?:limit|maximum) for (?:prescription drugs|pharmacy)[^\n]{0,120}/i);
+    if (!section) return null;
+    
+    const pattern = coverageLevel === 'family'
+      ? /\$(\d{1,3}(?:,\d{3})*)\s*(?:\/\s*)?(?:per\s+)?family/i
+      : /\$(\d{1,3}(?:,\d{3})*)\s*(?:\/\s*)?(?:per\s+)?(?:individual|person)/i;
+    const match = section[0].match(pattern);
+    if (match) return parseFloat(match[1].replace(/,/g, ''));
+    
+    // A single amount with no individual/family split is the individual limit
+    if (coverageLevel === 'individual') {
+      const amount = section[0].match(/\$(\d{1,3}(?:,\d{3})*)/);
+      return amount ? parseFloat(amount[1].replace(/,/g, '')) : null;
+    }
+    return null;
+  }
+
+  // Coverage examples: "The total Peg would pay is $X", with the "Total Example Cost" printed for Peg, Joe and Mia in order
+  extractCoverageExamples(text) {
+    const names = { peg: 'Peg', joe: 'Joe', mia: 'Mia' };
+    const totals = [...text.matchAll(/Total Example Cost\s*\$(\d{1,3}(?:,\d{3})*)/gi)]
+      .map(match => parseFloat(match[1].replace(/,/g, '')));
+    
+    const examples = {};
+    Object.entries(names).forEach(([exampleId, name], i) => {
+      const memberCost = this.extractCurrencyValue(text, [
+        new RegExp(`total ${name} would pay is\\s*\\$(\\d{1,3}(?:,\\d{3})*)`, 'i')
+      ]);
+      if (memberCost === null) return;
+      examples[exampleId] = { totalExampleCost: totals.length === 3 ? totals[i] : null, memberCost };
+    });
+    
+    return Object.keys(examples).length > 0 ? examples : null;
+  }
+
   extractTier1DrugCost(text) {
     const patterns = [
       /Tier 1[:\s]+\$([0-9,]+(?:\.[0-9]{2})?)/i,
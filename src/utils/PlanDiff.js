@@ -0,0 +1,256 @@
+// Plan Diff - What changed between two versions of a plan (e.g. last year's and this year's SBC), and what it costs the family
+import { CostCalculator } from './CostCalculator.js';
+
+export class PlanDiff {
+  // Compared plan fields in display order. Drug tier fields carry their copay/coinsurance type and per-fill limits.
+  static FIELDS = [
+    { key: 'monthlyPremium', label: 'Individual premium (monthly)', group: 'Premiums', format: 'currency' },
+    { key: 'spousePremium', label: 'Employee + spouse premium (monthly)', group: 'Premiums', format: 'currency' },
+    { key: 'childrenPremium', label: 'Employee + children premium (monthly)', group: 'Premiums', format: 'currency' },
+    { key: 'familyPremium', label: 'Family premium (monthly)', group: 'Premiums', format: 'currency' },
+    { key: 'individualDeductible', label: 'Individual deductible', group: 'Deductibles & out-of-pocket', format: 'currency' },
+    { key: 'familyDeductible', label: 'Family deductible', group: 'Deductibles & out-of-pocket', format: 'currency' },
+    { key: 'individualOOPMax', label: 'Individual out-of-pocket max', group: 'Deductibles & out-of-pocket', format: 'currency' },
+    { key: 'familyOOPMax', label: 'Family out-of-pocket max', group: 'Deductibles & out-of-pocket', format: 'currency' },
+    { key: 'rxDeductible', label: 'Prescription deductible', group: 'Deductibles & out-of-pocket', format: 'currency' },
+    { key: 'rxIndividualOOPMax', label: 'Prescription individual out-of-pocket max', group: 'Deductibles & out-of-pocket', format: 'currency' },
+    { key: 'rxFamilyOOPMax', label: 'Prescription family out-of-pocket max', group: 'Deductibles & out-of-pocket', format: 'currency' },
+    { key: 'coinsurance', label: 'Coinsurance', group: 'Coinsurance', format: 'percent' },
+    { key: 'primaryCopay', label: 'Primary care copay', group: 'Copays', format: 'currency' },
+    { key: 'specialistCopay', label: 'Specialist copay', group: 'Copays', format: 'currency' },
+    { key: 'emergencyRoomCopay', label: 'Emergency room copay', group: 'Copays', format: 'currency' },
+    { key: 'urgentCareCopay', label: 'Urgent care copay', group: 'Copays', format: 'currency' },
+    { key: 'tier1DrugCost', label: 'Tier 1 (generic)', group: 'Prescription tiers', format: 'drugTier' },
+    { key: 'tier2DrugCost', label: 'Tier 2 (preferred brand)', group: 'Prescription tiers', format: 'drugTier' },
+    { key: 'tier3DrugCost', label: 'Tier 3 (non-preferred brand)', group: 'Prescription tiers', format: 'drugTier' },
+    { key: 'specialtyDrugCost', label: 'Specialty', group: 'Prescription tiers', format: 'drugTier' },
+    { key: 'mailOrderTier1DrugCost', label: 'Tier 1 mail order (90-day)', group: 'Prescription tiers', format: 'drugTier', tierKey: 'tier1DrugCost' },
+    { key: 'mailOrderTier2DrugCost', label: 'Tier 2 mail order (90-day)', group: 'Prescription tiers', format: 'drugTier', tierKey: 'tier2DrugCost' },
+    { key: 'mailOrderTier3DrugCost', label: 'Tier 3 mail order (90-day)', group: 'Prescription tiers', format: 'drugTier', tierKey: 'tier3DrugCost' },
+    { key: 'mailOrderSpecialtyDrugCost', label: 'Specialty mail order (90-day)', group: 'Prescription tiers', format: 'drugTier', tierKey: 'specialtyDrugCost' },
+    { key: 'outOfNetworkIndividualDeductible', label: 'Out-of-network individual deductible', group: 'Out-of-network', format: 'currency' },
+    { key: 'outOfNetworkFamilyDeductible', label: 'Out-of-network family deductible', group: 'Out-of-network', format: 'currency' },
+    { key: 'outOfNetworkIndividualOOPMax', label: 'Out-of-network individual out-of-pocket max', group: 'Out-of-network', format: 'currency' },
+    { key: 'outOfNetworkFamilyOOPMax', label: 'Out-of-network family out-of-pocket max', group: 'Out-of-network', format: 'currency' },
+    { key: 'outOfNetworkCoinsurance', label: 'Out-of-network coinsurance', group: 'Out-of-network', format: 'percent' },
+    { key: 'employerHSASeed', label: 'Employer HSA contribution', group: 'Accounts', format: 'currency' },
+    { key: 'hraAmount', label: 'HRA amount', group: 'Accounts', format: 'currency' }
+  ];
+
+  // Fields that set what the family pays in premiums
+  static PREMIUM_KEYS = ['monthlyPremium', 'spousePremium', 'childrenPremium', 'familyPremium', 'spouseSurcharge', 'ageRatedBasePremium'];
+
+  // Field-by-field differences. Returns { changes, unchanged }: entries of { key, label, group, previous, current }
+  // where previous/current are display text. Per-service rules are keyed 'serviceCostSharing.<serviceType>' and
+  // labelled from serviceLabels. Fields neither version sets are left out.
+  static compare(previousPlan, currentPlan, serviceLabels = {}) {
+    const changes = [];
+    const unchanged = [];
+
+    for (const field of this.FIELDS) {
+      const previous = this.describeField(previousPlan, field);
+      const current = this.describeField(currentPlan, field);
+      if (previous === null && current === null) continue;
+
+      const entry = {
+        key: field.key,
+        label: field.label,
+        group: field.group,
+        previous: previous || 'Not listed',
+        current: current || 'Not listed'
+      };
+      (previous === current ? unchanged : changes).push(entry);
+    }
+
+    const previousRules = previousPlan.serviceCostSharing || {};
+    const currentRules = currentPlan.serviceCostSharing || {};
+    const serviceTypes = [...new Set([...Object.keys(previousRules), ...Object.keys(currentRules)])];
+    for (const serviceType of serviceTypes) {
+      const previous = this.describeCostSharingRule(previousRules[serviceType]);
+      const current = this.describeCostSharingRule(currentRules[serviceType]);
+      const entry = {
+        key: `serviceCostSharing.${serviceType}`,
+        label: serviceLabels[serviceType] || serviceType,
+        group: 'Service cost sharing',
+        previous: previous || 'Plan default',
+        current: current || 'Plan default'
+      };
+      (previous === current ? unchanged : changes).push(entry);
+    }
+
+    return { changes, unchanged };
+  }
+
+  // Rerun the family's year under both plan versions. Each change is also priced on its own (last year's plan with
+  // only that field changed), so the per-field impacts need not add up to the total when changes interact.
+  // familyData is the calculator input (members plus service costs). Amounts are net of accounts and tax savings.
+  // With excludePremiums both versions are priced without premiums and premium changes get no impact (null).
+  static calculateImpact(previousPlan, currentPlan, familyData, changes = [], { excludePremiums = false } = {}) {
+    if (excludePremiums) {
+      previousPlan = this.withoutPremiums(previousPlan);
+      currentPlan = this.withoutPremiums(currentPlan);
+    }
+
+    const calculator = new CostCalculator();
+    calculator.isSimulating = true;
+
+    const family = calculator.validateFamilyData(familyData);
+    const { coverage } = family;
+    const usageTable = calculator.generateFamilyUsageTimeline(family.members, family.serviceCosts, coverage);
+
+    const totalsFor = (plan, id) => {
+      const normalized = calculator.validateAndNormalizePlan({ ...plan, id, name: plan.name || id }, family.marketplace);
+      const progression = calculator.applyPlanRules(normalized, usageTable, family.members, coverage);
+      const totals = calculator.calculateFamilyTotals(normalized, progression, family.members, family.accountSettings, coverage);
+      return {
+        annualPremium: totals.totalWithPremiums - totals.totalOutOfPocket,
+        totalOutOfPocket: totals.totalOutOfPocket,
+        netCost: totals.netCost
+      };
+    };
+
+    const previous = totalsFor(previousPlan, 'previous-version');
+    const current = totalsFor(currentPlan, 'current-version');
+
+    const fieldImpacts = {};
+    for (const change of changes) {
+      if (excludePremiums && this.PREMIUM_KEYS.includes(change.key)) {
+        fieldImpacts[change.key] = null;
+        continue;
+      }
+      const variant = this.applyChange(previousPlan, currentPlan, change.key);
+      fieldImpacts[change.key] = totalsFor(variant, 'single-change').netCost - previous.netCost;
+    }
+
+    return {
+      previous,
+      current,
+      difference: {
+        annualPremium: current.annualPremium - previous.annualPremium,
+        totalOutOfPocket: current.totalOutOfPocket - previous.totalOutOfPocket,
+        netCost: current.netCost - previous.netCost
+      },
+      fieldImpacts,
+      premiumsExcluded: excludePremiums
+    };
+  }
+
+  // Whether a plan lists a premium. SBCs rarely print one, so an uploaded SBC has none until it's entered in the plan form.
+  static hasPremium(plan) {
+    return this.PREMIUM_KEYS.some(key => plan[key] > 0);
+  }
+
+  static withoutPremiums(plan) {
+    const variant = { ...plan, premiumRating: 'tiered' };
+    for (const key of this.PREMIUM_KEYS) {
+      variant[key] = 0;
+    }
+    return variant;
+  }
+
+  // Last year's plan with one field taken from this year's
+  static applyChange(previousPlan, currentPlan, key) {
+    const variant = { ...previousPlan };
+
+    if (key.startsWith('serviceCostSharing.')) {
+      const serviceType = key.slice('serviceCostSharing.'.length);
+      const rules = { ...(previousPlan.serviceCostSharing || {}) };
+      if (currentPlan.serviceCostSharing && currentPlan.serviceCostSharing[serviceType]) {
+        rules[serviceType] = currentPlan.serviceCostSharing[serviceType];
+      } else {
+        delete rules[serviceType];
+      }
+      variant.serviceCostSharing = rules;
+      return variant;
+    }
+
+    variant[key] = currentPlan[key];
+
+    // A tier's type and limits go with its amount
+    const field = this.FIELDS.find(candidate => candidate.key === key);
+    if (field && field.format === 'drugTier' && !field.tierKey) {
+      for (const suffix of ['Type', 'Min', 'Max']) {
+        variant[`${key}${suffix}`] = currentPlan[`${key}${suffix}`];
+      }
+    }
+
+    return variant;
+  }
+
+  // Display text for one field, or null when the plan doesn't set it
+  static describeField(plan, field) {
+    const value = field.key === 'coinsurance' ? this.toRate(plan.coinsurance) : plan[field.key];
+    if (value === undefined || value === null || value === '') return null;
+
+    const amount = parseFloat(value);
+    if (isNaN(amount)) return String(value);
+
+    switch (field.format) {
+      case 'percent':
+        return this.formatPercent(this.toRate(amount));
+      case 'drugTier':
+        return this.describeDrugTier(plan, field.tierKey || field.key, amount);
+      default:
+        return this.formatCurrency(amount);
+    }
+  }
+
+  // Tier cost as "$10 copay" or "25% coinsurance ($50-$250 per fill)", using the same type rules as the calculator
+  static describeDrugTier(plan, tierKey, amount) {
+    const type = plan[`${tierKey}Type`] || (amount < 1 ? 'coinsurance' : 'copay');
+    if (type !== 'coinsurance') {
+      return `${this.formatCurrency(amount)} copay`;
+    }
+
+    const min = parseFloat(plan[`${tierKey}Min`]) || 0;
+    const max = parseFloat(plan[`${tierKey}Max`]) || 0;
+    let limits = '';
+    if (min > 0 && max > 0) {
+      limits = ` (${this.formatCurrency(min)}-${this.formatCurrency(max)} per fill)`;
+    } else if (max > 0) {
+      limits = ` (up to ${this.formatCurrency(max)} per fill)`;
+    } else if (min > 0) {
+      limits = ` (at least ${this.formatCurrency(min)} per fill)`;
+    }
+    return `${this.formatPercent(this.toRate(amount))} coinsurance${limits}`;
+  }
+
+  static describeCostSharingRule(rule) {
+    if (!rule) return null;
+
+    const copay = this.formatCurrency(parseFloat(rule.copay) || 0);
+    const coinsurance = this.formatPercent(this.toRate(parseFloat(rule.coinsurance) || 0));
+    const deductible = rule.deductibleApplies === false ? ', no deductible' : ' after deductible';
+    switch (rule.type) {
+      case 'copay':
+        return `${copay} copay${deductible}`;
+      case 'coinsurance':
+        return `${coinsurance} coinsurance${deductible}`;
+      case 'copayThenCoinsurance':
+        return `${copay} copay + ${coinsurance} coinsurance${deductible}`;
+      default:
+        return rule.type;
+    }
+  }
+
+  // Coinsurance as a decimal, whether stored as 20, 0.2 or { medical: 0.2 }
+  static toRate(value) {
+    if (value && typeof value === 'object') value = value.medical;
+    if (value === undefined || value === null || value === '') return value;
+    const rate = parseFloat(value);
+    return rate > 1 ? rate / 100 : rate;
+  }
+
+  static formatPercent(rate) {
+    return `${Math.round(rate * 1000) / 10}%`;
+  }
+
+  static formatCurrency(amount) {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(amount);
+  }
+}
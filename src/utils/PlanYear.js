@@ -0,0 +1,85 @@
+// Plan Year - Maps plan-year day numbers to real calendar dates
+// Dates are handled in UTC so day arithmetic isn't shifted by local time zones or DST.
+export class PlanYear {
+  static DAYS_IN_YEAR = 365;
+  static MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  static getDefaultSettings() {
+    return {
+      planYearStart: `${new Date().getFullYear()}-01-01`,
+      coverageStartDate: null, // null = covered from the first day of the plan year
+      priorDeductibleCredit: 0
+    };
+  }
+
+  // Parse a YYYY-MM-DD string, returning null when it isn't a real date
+  static parseISODate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+
+    const [year, month, day] = [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])];
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+  }
+
+  static toISODate(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  // Calendar date for a zero-based day of the plan year
+  static dayToDate(planYearStart, day) {
+    const date = this.parseISODate(planYearStart);
+    date.setUTCDate(date.getUTCDate() + Math.floor(day));
+    return date;
+  }
+
+  // Days from the start of the plan year to a date (negative before the plan year starts)
+  static dateToDay(planYearStart, date) {
+    return Math.round((date.getTime() - this.parseISODate(planYearStart).getTime()) / 86400000);
+  }
+
+  // Plan-year day for a calendar month (1-12) and day of month, wrapping into the following
+  // calendar year when that date falls before the plan year starts
+  static calendarToDay(planYearStart, month, dayOfMonth = 1) {
+    const start = this.parseISODate(planYearStart);
+    let year = start.getUTCFullYear();
+    const monthStart = Date.UTC(year, month - 1, 1);
+    if (monthStart + (dayOfMonth - 1) * 86400000 < start.getTime()) {
+      year += 1;
+    }
+
+    // Clamp to the last day of the month (e.g. the 31st in a 30-day month)
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const date = new Date(Date.UTC(year, month - 1, Math.min(dayOfMonth, lastDay)));
+    return Math.min(this.dateToDay(planYearStart, date), this.DAYS_IN_YEAR - 1);
+  }
+
+  // Zero-based month of the plan year (0 = the month containing the plan-year start date)
+  static getPlanMonth(planYearStart, day) {
+    const start = this.parseISODate(planYearStart);
+    const date = this.dayToDate(planYearStart, day);
+    let months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+    if (date.getUTCDate() < start.getUTCDate()) {
+      months -= 1;
+    }
+    return Math.max(0, Math.min(11, months));
+  }
+
+  // Plan-year day on which a plan month (0-11) begins; month 12 is the end of the plan year
+  static getMonthStartDay(planYearStart, planMonth) {
+    const start = this.parseISODate(planYearStart);
+    const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + planMonth, start.getUTCDate()));
+    return Math.min(this.dateToDay(planYearStart, date), this.DAYS_IN_YEAR);
+  }
+
+  // Short month names in plan-year order, e.g. Jul through Jun for a July 1 plan year
+  static getMonthLabels(planYearStart) {
+    const startMonth = this.parseISODate(planYearStart).getUTCMonth();
+    return Array.from({ length: 12 }, (_, i) => this.MONTH_NAMES[(startMonth + i) % 12]);
+  }
+
+  static formatDate(date, includeYear = true) {
+    const label = `${this.MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCDate()}`;
+    return includeYear ? `${label}, ${date.getUTCFullYear()}` : label;
+  }
+}
@@ -0,0 +1,54 @@
+// Premium Rating - Coverage tier labels and ACA age-rated per-member premiums
+export class PremiumRating {
+  static COVERAGE_TIERS = {
+    individual: 'Employee Only',
+    'employee+spouse': 'Employee + Spouse',
+    'employee+children': 'Employee + Child(ren)',
+    family: 'Family'
+  };
+
+  // Federal default ACA age curve (45 CFR 147.102), relative to a 21-year-old.
+  // Ages 0-14 share one factor and everyone 64 or older pays 3x.
+  static ACA_AGE_CURVE = {
+    14: 0.765, 15: 0.833, 16: 0.859, 17: 0.885, 18: 0.913, 19: 0.941, 20: 0.970,
+    21: 1.000, 22: 1.000, 23: 1.000, 24: 1.000, 25: 1.004, 26: 1.024, 27: 1.048,
+    28: 1.087, 29: 1.119, 30: 1.135, 31: 1.159, 32: 1.183, 33: 1.198, 34: 1.214,
+    35: 1.222, 36: 1.230, 37: 1.238, 38: 1.246, 39: 1.262, 40: 1.278, 41: 1.302,
+    42: 1.325, 43: 1.357, 44: 1.397, 45: 1.444, 46: 1.500, 47: 1.563, 48: 1.635,
+    49: 1.706, 50: 1.786, 51: 1.865, 52: 1.952, 53: 2.040, 54: 2.135, 55: 2.230,
+    56: 2.333, 57: 2.437, 58: 2.548, 59: 2.603, 60: 2.714, 61: 2.810, 62: 2.873,
+    63: 2.952, 64: 3.000
+  };
+
+  // ACA rules only charge the three oldest children under 21 in a family
+  static MAX_RATED_CHILDREN = 3;
+
+  static getTierLabel(coverageType) {
+    return this.COVERAGE_TIERS[coverageType] || coverageType;
+  }
+
+  static getAgeFactor(age) {
+    const clampedAge = Math.max(14, Math.min(64, parseInt(age) || 0));
+    return this.ACA_AGE_CURVE[clampedAge];
+  }
+
+  // Monthly premium for each covered member given the plan's 21-year-old base rate
+  static calculateMemberPremiums(basePremium, members) {
+    const ratedChildIds = new Set(members
+      .filter(member => member.age < 21 && member.relationship === 'child')
+      .sort((a, b) => b.age - a.age)
+      .slice(0, this.MAX_RATED_CHILDREN)
+      .map(member => member.id));
+
+    return members.map(member => {
+      const isUnratedChild = member.age < 21 && member.relationship === 'child' && !ratedChildIds.has(member.id);
+      return {
+        memberId: member.id,
+        memberName: member.name,
+        age: member.age,
+        ageFactor: this.getAgeFactor(member.age),
+        monthlyPremium: isUnratedChild ? 0 : basePremium * this.getAgeFactor(member.age)
+      };
+    });
+  }
+}
@@ -0,0 +1,173 @@
+// SBC Table Parser - Rebuilds the SBC's benefit tables from PDF.js text item positions
+export class SBCTableParser {
+  // Items whose baselines are this close (PDF units) sit on the same line
+  static LINE_TOLERANCE = 3;
+
+  // A horizontal gap wider than this between items on a line separates table cells
+  static CELL_GAP = 8;
+
+  // Cells may start slightly left of their column header
+  static COLUMN_SLACK = 6;
+
+  // "Important Questions" table on the first page of the CMS template
+  static QUESTIONS_TABLE = {
+    headers: {
+      question: /^Important Questions/i,
+      answer: /^Answers?\b/i,
+      why: /^Why This Matters/i
+    },
+    keyColumn: 'question',
+    rowStart: /^(?:What|Are|Will|Do|Does|Is)\b/
+  };
+
+  // Services that start the rows of the standard template's "Common Medical Event" table
+  static SERVICE_ROW_LABELS = [
+    'Primary care', 'Specialist visit', 'Preventive care', 'Diagnostic test', 'Imaging',
+    'Generic drugs', 'Preferred brand', 'Non-preferred brand', 'Specialty drugs', 'Tier \\d',
+    'Facility fee', 'Physician/surgeon', 'Emergency room', 'Emergency medical', 'Urgent care',
+    'Outpatient services', 'Inpatient services', 'Office visits', 'Childbirth/delivery',
+    'Home health', 'Rehabilitation services', 'Habilitation services', 'Skilled nursing',
+    'Durable medical', 'Hospice', "Children[’']s"
+  ];
+
+  // "Common Medical Event" table
+  static SERVICES_TABLE = {
+    headers: {
+      event: /^Common Medical Event/i,
+      service: /^Services You May Need/i,
+      inNetwork: /^(?:In-?Network|Network|Participating|Preferred) Provider|^In-?Network/i,
+      outOfNetwork: /^(?:Out-of-Network|Non-?Network|Non-?Participating) Provider|^Out-of-Network/i,
+      limitations: /^Limitations/i
+    },
+    keyColumn: 'service',
+    rowStart: new RegExp('^(?:' + SBCTableParser.SERVICE_ROW_LABELS.join('|') + ')', 'i'),
+    // Every common medical event in the template reads "If you ..."
+    groupColumn: 'event',
+    groupStart: /^If you/i
+  };
+
+  // Parse both SBC tables from per-page PDF.js text items ({ pageNumber, items }).
+  // Returns { questions: [{ question, answer, why, page }], services: [{ event, service, inNetwork, outOfNetwork, limitations, page }] }
+  static parse(pages) {
+    const questions = [];
+    const services = [];
+
+    for (const { pageNumber, items } of pages) {
+      const lines = this.reconstructLines(items);
+      questions.push(...this.parseTable(lines, this.QUESTIONS_TABLE, pageNumber));
+      services.push(...this.parseTable(lines, this.SERVICES_TABLE, pageNumber));
+    }
+
+    return { questions, services };
+  }
+
+  // Group text items into lines by baseline (top of page first), then split each line into cells at wide gaps
+  static reconstructLines(items) {
+    const positioned = items
+      .filter(item => item.str && item.str.trim() && item.transform)
+      .map(item => ({ text: item.str, x: item.transform[4], y: item.transform[5], width: item.width || 0 }))
+      .sort((a, b) => b.y - a.y || a.x - b.x);
+
+    const lines = [];
+    for (const item of positioned) {
+      const line = lines.find(candidate => Math.abs(candidate.y - item.y) <= this.LINE_TOLERANCE);
+      if (line) {
+        line.items.push(item);
+      } else {
+        lines.push({ y: item.y, items: [item] });
+      }
+    }
+
+    return lines.map(line => {
+      const cells = [];
+      for (const item of line.items.sort((a, b) => a.x - b.x)) {
+        const previous = cells[cells.length - 1];
+        if (previous && item.x - previous.right <= this.CELL_GAP) {
+          previous.text += (item.x - previous.right > 1 && !previous.text.endsWith(' ') ? ' ' : '') + item.text;
+          previous.right = Math.max(previous.right, item.x + item.width);
+        } else {
+          cells.push({ x: item.x, right: item.x + item.width, text: item.text });
+        }
+      }
+      return { y: line.y, cells: cells.map(cell => ({ x: cell.x, text: cell.text.replace(/\s+/g, ' ').trim() })) };
+    });
+  }
+
+  // Column start positions from the table's header, or null if the header isn't on this page. The template
+  // puts "In-Network / Out-of-Network Provider" on a second header line under "What You Will Pay".
+  static findColumns(lines, headers) {
+    const headerNames = Object.keys(headers);
+    for (let i = 0; i < lines.length; i++) {
+      const columns = {};
+      let headerIndex = -1;
+      for (let j = i; j < Math.min(i + 3, lines.length); j++) {
+        for (const cell of lines[j].cells) {
+          const column = headerNames.find(name => headers[name].test(cell.text));
+          if (column && columns[column] === undefined) {
+            columns[column] = cell.x;
+            headerIndex = j;
+          }
+        }
+        if (headerIndex === -1) break; // Header text has to start on line i
+      }
+      // Allow one missing header, e.g. a plan that drops the limitations column
+      if (Object.keys(columns).length >= headerNames.length - 1) {
+        return { columns, headerIndex };
+      }
+    }
+    return null;
+  }
+
+  // Column a cell falls under: the right-most column starting at or before it
+  static assignColumn(columns, x) {
+    const ordered = Object.entries(columns).sort((a, b) => a[1] - b[1]);
+    let assigned = ordered[0][0];
+    for (const [name, start] of ordered) {
+      if (x + this.COLUMN_SLACK >= start) assigned = name;
+    }
+    return assigned;
+  }
+
+  // Rows of one table on one page. Wrapped cell text is joined into the row it continues.
+  static parseTable(lines, table, pageNumber) {
+    const header = this.findColumns(lines, table.headers);
+    if (!header) return [];
+
+    const emptyRow = () => Object.fromEntries(Object.keys(table.headers).map(name => [name, '']));
+    const rows = [];
+    const groups = []; // Wrapped text of each group cell, e.g. "If you visit a health care provider's office or clinic"
+    let current = null;
+
+    // Skip the header line and any wrapped header text such as "(You will pay the least)"
+    for (const line of lines.slice(header.headerIndex + 1)) {
+      const cellsByColumn = emptyRow();
+      for (const cell of line.cells) {
+        const column = this.assignColumn(header.columns, cell.x);
+        cellsByColumn[column] = `${cellsByColumn[column]} ${cell.text}`.trim();
+      }
+
+      const groupText = table.groupColumn ? cellsByColumn[table.groupColumn] : '';
+      if (groupText) {
+        if (table.groupStart.test(groupText) || groups.length === 0) {
+          groups.push(groupText);
+        } else {
+          groups[groups.length - 1] = `${groups[groups.length - 1]} ${groupText}`;
+        }
+      }
+
+      if (table.rowStart.test(cellsByColumn[table.keyColumn])) {
+        current = { ...cellsByColumn, page: pageNumber, groupIndex: groups.length - 1 };
+        rows.push(current);
+      } else if (current) {
+        for (const [column, text] of Object.entries(cellsByColumn)) {
+          if (text && column !== table.groupColumn) current[column] = `${current[column]} ${text}`.trim();
+        }
+      }
+    }
+
+    return rows.map(({ groupIndex, ...row }) => {
+      if (table.groupColumn) row[table.groupColumn] = groups[groupIndex] || '';
+      return row;
+    });
+  }
+}
@@ -0,0 +1,132 @@
+// Schema Validator - Checks data against the JSON Schemas in Schemas.js, reporting every failing field by path.
+// Supports the subset of JSON Schema those schemas use: type, enum, const, minimum, maximum, minLength, pattern,
+// required, properties, additionalProperties, propertyNames, items and anyOf.
+export class SchemaValidator {
+  // Returns [{ path, message }], e.g. { path: 'members[0].medications[1].tier', message: 'must be a whole number from 1 to 4' }
+  static validate(schema, data, path = '') {
+    const errors = [];
+
+    if (schema.anyOf) {
+      if (!schema.anyOf.some(option => this.validate(option, data, path).length === 0)) {
+        // One message for the field instead of one per alternative
+        errors.push({ path, message: schema.title ? `must be ${schema.title}` : 'has an unsupported format' });
+      }
+      return errors;
+    }
+
+    if (schema.type && !this.matchesType(schema.type, data)) {
+      const types = [].concat(schema.type).join(' or ');
+      errors.push({ path, message: `must be ${schema.title || types}` });
+      return errors;
+    }
+
+    if (schema.const !== undefined && data !== schema.const) {
+      errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    }
+    if (schema.enum && !schema.enum.includes(data)) {
+      const allowed = schema.enum.filter(value => value !== '' && value !== null).map(value => JSON.stringify(value));
+      errors.push({ path, message: schema.title ? `must be ${schema.title}` : `must be one of ${allowed.join(', ')}` });
+    }
+
+    if (typeof data === 'number') {
+      if ((schema.minimum !== undefined && data < schema.minimum) || (schema.maximum !== undefined && data > schema.maximum)) {
+        errors.push({ path, message: `must be ${schema.title || this.describeRange(schema)}` });
+      }
+    }
+
+    if (typeof data === 'string') {
+      if (schema.minLength !== undefined && data.trim().length < schema.minLength) {
+        errors.push({ path, message: 'is required' });
+      } else if (schema.pattern && !new RegExp(schema.pattern).test(data)) {
+        errors.push({ path, message: `must be ${schema.title || 'in a supported format'}` });
+      }
+    }
+
+    if (Array.isArray(data) && schema.items) {
+      data.forEach((item, index) => errors.push(...this.validate(schema.items, item, `${path}[${index}]`)));
+    }
+
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      errors.push(...this.validateObject(schema, data, path));
+    }
+
+    return errors;
+  }
+
+  static validateObject(schema, data, path) {
+    const errors = [];
+    const properties = schema.properties || {};
+
+    for (const field of schema.required || []) {
+      if (data[field] === undefined || data[field] === null || data[field] === '') {
+        errors.push({ path: this.joinPath(path, field), message: 'is required' });
+      }
+    }
+
+    for (const [field, value] of Object.entries(data)) {
+      const fieldPath = this.joinPath(path, field);
+      if (schema.propertyNames && this.validate(schema.propertyNames, field).length > 0) {
+        errors.push({ path: fieldPath, message: schema.propertyNames.title ? `is not ${schema.propertyNames.title}` : 'is not a supported field' });
+        continue;
+      }
+      if (value === undefined) continue;
+
+      if (properties[field]) {
+        // A missing required field is already reported
+        if ((schema.required || []).includes(field) && (value === null || value === '')) continue;
+        errors.push(...this.validate(properties[field], value, fieldPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: fieldPath, message: 'is not a supported field' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...this.validate(schema.additionalProperties, value, fieldPath));
+      }
+    }
+
+    return errors;
+  }
+
+  static matchesType(type, data) {
+    return [].concat(type).some(candidate => {
+      switch (candidate) {
+        case 'null': return data === null;
+        case 'array': return Array.isArray(data);
+        case 'object': return data !== null && typeof data === 'object' && !Array.isArray(data);
+        case 'integer': return Number.isInteger(data);
+        case 'number': return typeof data === 'number' && Number.isFinite(data);
+        default: return typeof data === candidate;
+      }
+    });
+  }
+
+  static describeRange(schema) {
+    if (schema.minimum !== undefined && schema.maximum !== undefined) return `from ${schema.minimum} to ${schema.maximum}`;
+    if (schema.minimum !== undefined) return `${schema.minimum} or more`;
+    return `${schema.maximum} or less`;
+  }
+
+  static joinPath(path, field) {
+    return path ? `${path}.${field}` : field;
+  }
+
+  // Throws a SchemaValidationError listing every failing field; label names the data ("Plan Gold PPO")
+  static assertValid(schema, data, label) {
+    const errors = this.validate(schema, data);
+    if (errors.length > 0) {
+      throw new SchemaValidationError(label, errors);
+    }
+    return data;
+  }
+}
+
+// Validation failure with the field-level errors, for forms and error panels to show next to each field
+export class SchemaValidationError extends Error {
+  constructor(label, errors) {
+    const first = errors[0];
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    super(`${label}: ${first.path || 'value'} ${first.message}${more}`);
+
+    this.name = 'SchemaValidationError';
+    this.label = label;
+    this.errors = errors;
+  }
+}
@@ -0,0 +1,325 @@
+// Schemas - Versioned JSON Schemas for plans, family data, service costs, exported configurations and LLM SBC extractions.
+// Validated with SchemaValidator; a breaking change to a shape gets a new $id version.
+import { MedicalEpisodes } from './MedicalEpisodes.js';
+
+const SCHEMA_BASE = 'https://health-plan-compare.vercel.app/schemas/';
+const DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+const USAGE_FIELDS = Object.keys(MedicalEpisodes.SERVICE_TYPES);
+const SERVICE_TYPES = Object.values(MedicalEpisodes.SERVICE_TYPES);
+
+// Blank form inputs and values the extractor couldn't find
+const UNSET = { enum: ['', null] };
+
+const amount = (maximum) => ({
+  title: maximum === undefined ? 'a number of 0 or more' : `a number from 0 to ${maximum}`,
+  anyOf: [{ type: 'number', minimum: 0, ...(maximum === undefined ? {} : { maximum }) }, UNSET]
+});
+
+// Select inputs store their value as text, so these counts also accept digit strings
+const count = (minimum, maximum, digits) => ({
+  title: maximum === undefined ? `a whole number of ${minimum} or more` : `a whole number from ${minimum} to ${maximum}`,
+  anyOf: [
+    { type: 'integer', minimum, ...(maximum === undefined ? {} : { maximum }) },
+    { type: 'string', pattern: digits }
+  ]
+});
+
+const optional = (schema) => ({ title: schema.title, anyOf: [...(schema.anyOf || [schema]), UNSET] });
+
+const MONTH = count(1, 12, '^(0?[1-9]|1[0-2])$');
+const DAY_OF_MONTH = count(1, 31, '^(0?[1-9]|[12][0-9]|3[01])$');
+const ISO_DATE = { title: 'a date (YYYY-MM-DD)', type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+const ID = { title: 'an ID', type: ['string', 'number'], minLength: 1 };
+const RATE = amount(1);
+
+const PLAN_AMOUNT_FIELDS = [
+  'monthlyPremium', 'spousePremium', 'childrenPremium', 'familyPremium', 'spouseSurcharge', 'ageRatedBasePremium',
+  'employerHSASeed', 'employerHSAMatchRate', 'employerHSAMatchCap', 'hraAmount',
+  'individualDeductible', 'familyDeductible', 'individualOOPMax', 'familyOOPMax',
+  'primaryCopay', 'specialistCopay', 'emergencyRoomCopay', 'urgentCareCopay',
+  'rxDeductible', 'tier1DrugCost', 'tier2DrugCost', 'tier3DrugCost', 'specialtyDrugCost',
+  'mailOrderTier1DrugCost', 'mailOrderTier2DrugCost', 'mailOrderTier3DrugCost', 'mailOrderSpecialtyDrugCost',
+  'tier1DrugCostMin', 'tier1DrugCostMax', 'tier2DrugCostMin', 'tier2DrugCostMax',
+  'tier3DrugCostMin', 'tier3DrugCostMax', 'specialtyDrugCostMin', 'specialtyDrugCostMax',
+  'rxIndividualOOPMax', 'rxFamilyOOPMax',
+  'outOfNetworkIndividualDeductible', 'outOfNetworkFamilyDeductible', 'outOfNetworkIndividualOOPMax', 'outOfNetworkFamilyOOPMax'
+];
+
+const COST_SHARING_RULE = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { enum: ['copay', 'coinsurance', 'copayThenCoinsurance'] },
+    copay: amount(),
+    coinsurance: amount(100), // 20 or 0.2
+    deductibleApplies: { type: 'boolean' }
+  }
+};
+
+const SERVICE_COSTS = {
+  type: 'object',
+  properties: Object.fromEntries([
+    'primaryVisit', 'specialistVisit', 'therapySession', 'labWork', 'basicImaging', 'advancedImaging',
+    'physicalTherapy', 'emergencyRoom', 'urgentCare', 'outpatientSurgery', 'inpatientDay'
+  ].map(service => [service, amount()])),
+  additionalProperties: amount()
+};
+
+const MEMBER = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: ID,
+    name: { type: 'string' },
+    relationship: { type: 'string' },
+    age: optional(count(0, 120, '^\\d{1,3}$')),
+    isActive: { type: 'boolean' },
+    ...Object.fromEntries(USAGE_FIELDS.map(field => [field, optional(count(0, undefined, '^\\d+$'))])),
+    preventiveVisits: optional(count(0, undefined, '^\\d+$')),
+    preventiveLabs: optional(count(0, undefined, '^\\d+$')),
+    outOfNetworkServices: { type: 'array', items: { enum: USAGE_FIELDS } },
+    medications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          tier: optional(count(1, 4, '^[1-4]$')),
+          monthlyCost: amount(),
+          quantity: optional(count(1, undefined, '^[1-9]\\d*$')),
+          daysSupply: { title: '30 or 90 days', enum: [30, 90, '30', '90', '', null] },
+          channel: { enum: ['retail', 'mailOrder', '', null] }
+        }
+      }
+    },
+    scheduledEvents: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['field', 'count'],
+        properties: {
+          label: { type: 'string' },
+          field: { enum: USAGE_FIELDS },
+          date: optional(ISO_DATE),
+          month: optional(MONTH),
+          dayOfMonth: optional(DAY_OF_MONTH),
+          count: count(1, undefined, '^[1-9]\\d*$')
+        }
+      }
+    },
+    episodes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['episodeId', 'month'],
+        properties: {
+          episodeId: { enum: Object.keys(MedicalEpisodes.EPISODES) },
+          month: MONTH,
+          dayOfMonth: optional(DAY_OF_MONTH)
+        }
+      }
+    }
+  }
+};
+
+// LLM extractions are plain JSON numbers, with null for anything the SBC doesn't state
+const LLM_MONEY = { title: 'a number of 0 or more', type: ['number', 'null'], minimum: 0 };
+const LLM_RATE = { title: 'a rate from 0 to 1', type: ['number', 'null'], minimum: 0, maximum: 1 };
+const LLM_PAIR = { type: ['object', 'null'], properties: { individual: LLM_MONEY, family: LLM_MONEY } };
+const llmByService = (schema) => ({ type: ['object', 'null'], additionalProperties: { ...schema, type: ['object', 'null'] } });
+const LLM_TIER = {
+  title: 'a number or a { type, value } tier',
+  anyOf: [
+    LLM_MONEY,
+    {
+      type: 'object',
+      properties: {
+        type: { enum: ['copay', 'coinsurance', null] },
+        value: LLM_MONEY,
+        minPerFill: LLM_MONEY,
+        maxPerFill: LLM_MONEY
+      }
+    }
+  ]
+};
+
+export class Schemas {
+  static PLAN = {
+    $schema: DRAFT,
+    $id: `${SCHEMA_BASE}plan/v1.json`,
+    title: 'Health plan',
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: ID,
+      name: { type: 'string', minLength: 1 },
+      insurer: { type: 'string' },
+      planType: { type: 'string' },
+      hsaEligible: { type: 'boolean' },
+      deductibleCarryover: { type: 'boolean' },
+      ...Object.fromEntries(PLAN_AMOUNT_FIELDS.map(field => [field, amount()])),
+      // Older plans and LLM extractions store coinsurance as { medical, prescription }
+      coinsurance: {
+        title: 'a rate from 0 to 1 (0.2 = 20%)',
+        anyOf: [
+          RATE,
+          { type: 'object', required: ['medical'], properties: { medical: RATE, prescription: RATE } }
+        ]
+      },
+      ...Object.fromEntries(['tier1DrugCostType', 'tier2DrugCostType', 'tier3DrugCostType', 'specialtyDrugCostType']
+        .map(field => [field, { enum: ['copay', 'coinsurance', '', null] }])),
+      outOfNetworkCovered: { type: ['boolean', 'null'] },
+      outOfNetworkCoinsurance: RATE,
+      outOfNetworkAllowedPercent: amount(100),
+      deductibleStructure: { enum: ['embedded', 'aggregate', '', null] },
+      oopStructure: { enum: ['embedded', 'aggregate', '', null] },
+      premiumRating: { enum: ['tiered', 'ageRated', '', null] },
+      marketplacePlan: { type: 'boolean' },
+      metalTier: { enum: ['catastrophic', 'bronze', 'silver', 'gold', 'platinum', '', null] },
+      serviceCostSharing: {
+        type: ['object', 'null'],
+        propertyNames: { enum: SERVICE_TYPES },
+        additionalProperties: COST_SHARING_RULE
+      },
+      visitLimits: {
+        type: ['object', 'null'],
+        propertyNames: { title: 'a service that can be capped at a number of visits', enum: MedicalEpisodes.VISIT_LIMIT_SERVICES },
+        additionalProperties: optional(count(1, undefined, '^[1-9]\\d*$'))
+      },
+      priorAuthorization: { type: ['array', 'null'], items: { enum: SERVICE_TYPES } },
+      excludedServices: { type: ['array', 'null'], items: { type: 'string' } },
+      coveredServices: { type: ['array', 'null'], items: { type: 'string' } }
+    }
+  };
+
+  static SERVICE_COSTS = {
+    $schema: DRAFT,
+    $id: `${SCHEMA_BASE}service-costs/v1.json`,
+    title: 'Service costs',
+    type: 'object',
+    properties: {
+      serviceCosts: SERVICE_COSTS,
+      costArea: { enum: ['low', 'medium', 'high'] }
+    }
+  };
+
+  // Calculator input: the family's members and settings, optionally with the service costs merged in
+  static FAMILY_DATA = {
+    $schema: DRAFT,
+    $id: `${SCHEMA_BASE}family-data/v1.json`,
+    title: 'Family data',
+    type: 'object',
+    required: ['members'],
+    properties: {
+      members: { type: 'array', items: MEMBER },
+      accountSettings: {
+        type: ['object', 'null'],
+        properties: {
+          marginalTaxRate: amount(100), // 22 or 0.22
+          hsaContribution: amount(),
+          fsaElection: amount()
+        }
+      },
+      coverageSettings: {
+        type: ['object', 'null'],
+        properties: {
+          planYearStart: ISO_DATE,
+          coverageStartDate: optional(ISO_DATE),
+          priorDeductibleCredit: amount()
+        }
+      },
+      marketplaceSettings: {
+        type: ['object', 'null'],
+        properties: {
+          householdIncome: amount(),
+          householdSize: amount(),
+          benchmarkPremium: amount(),
+          state: { title: 'a two-letter state code', type: 'string', pattern: '^\\s*([A-Za-z]{2})?\\s*$' }
+        }
+      },
+      serviceCosts: SERVICE_COSTS,
+      costArea: { enum: ['low', 'medium', 'high'] }
+    }
+  };
+
+  // File written by DataManager.exportConfiguration. Version 1.0 files are migrated before validation.
+  static EXPORT = {
+    $schema: DRAFT,
+    $id: `${SCHEMA_BASE}export/v1.json`,
+    title: 'Exported configuration',
+    type: 'object',
+    required: ['version', 'plans', 'familyData'],
+    properties: {
+      version: { const: '2.0' },
+      exportDate: { type: 'string' },
+      metadata: { type: 'object' },
+      schemas: { type: 'object', additionalProperties: { type: 'string' } },
+      plans: { type: 'array', items: Schemas.PLAN },
+      familyData: Schemas.FAMILY_DATA,
+      settings: { type: 'object' }
+    }
+  };
+
+  // JSON returned by the analyze-pdf function and the local LLM (see the prompt in api/analyze-pdf.js).
+  // Every value may be null when the SBC doesn't state it.
+  static LLM_EXTRACTION = {
+    $schema: DRAFT,
+    $id: `${SCHEMA_BASE}llm-extraction/v1.json`,
+    title: 'LLM SBC extraction',
+    type: 'object',
+    properties: {
+      planName: { type: ['string', 'null'] },
+      planType: { type: ['string', 'null'] },
+      deductible: LLM_PAIR,
+      outOfPocketMax: LLM_PAIR,
+      copays: {
+        type: ['object', 'null'],
+        properties: { primaryCare: LLM_MONEY, specialist: LLM_MONEY, urgentCare: LLM_MONEY, emergencyRoom: LLM_MONEY }
+      },
+      coinsurance: { type: ['object', 'null'], properties: { medical: LLM_RATE, prescription: LLM_RATE } },
+      serviceCostSharing: llmByService({
+        properties: {
+          type: { enum: ['copay', 'coinsurance', 'copayThenCoinsurance', null] },
+          copay: LLM_MONEY,
+          coinsurance: LLM_RATE,
+          deductibleApplies: { type: ['boolean', 'null'] }
+        }
+      }),
+      prescriptionTiers: {
+        type: ['object', 'null'],
+        properties: { tier1: LLM_TIER, tier2: LLM_TIER, tier3: LLM_TIER, tier4: LLM_TIER }
+      },
+      rxOutOfPocketMax: LLM_PAIR,
+      outOfNetwork: {
+        type: ['object', 'null'],
+        properties: {
+          covered: { type: ['boolean', 'null'] },
+          deductible: LLM_PAIR,
+          outOfPocketMax: LLM_PAIR,
+          coinsurance: LLM_RATE
+        }
+      },
+      coverageExamples: llmByService({
+        properties: { totalExampleCost: LLM_MONEY, memberCost: LLM_MONEY }
+      }),
+      serviceLimits: llmByService({
+        properties: {
+          visitLimit: { title: 'a whole number of 1 or more', type: ['integer', 'null'], minimum: 1 },
+          priorAuthorization: { type: ['boolean', 'null'] }
+        }
+      }),
+      excludedServices: { type: ['array', 'null'], items: { type: 'string' } },
+      otherCoveredServices: { type: ['array', 'null'], items: { type: 'string' } }
+    }
+  };
+
+  // $id of each stored shape, written into exports so later versions know what they're reading
+  static versions() {
+    return {
+      plan: this.PLAN.$id,
+      familyData: this.FAMILY_DATA.$id,
+      serviceCosts: this.SERVICE_COSTS.$id
+    };
+  }
+}
@@ -0,0 +1,126 @@
+// Script Loader - Loads third-party browser libraries from the copies vendored under assets/vendor,
+// falling back to a CDN only when the local copy is missing
+export class ScriptLoader {
+  static VENDOR_URL = new URL('../../assets/vendor/', import.meta.url).href;
+
+  // Each library is tried from `local` (relative to VENDOR_URL) and then from `cdn`, which serve identical files,
+  // so one SRI hash per file covers both. Update the hashes whenever a vendored file is upgraded:
+  //   openssl dgst -sha384 -binary <file> | openssl base64 -A
+  static LIBRARIES = {
+    pdfjs: {
+      globalName: 'pdfjsLib',
+      local: 'pdfjs/',
+      cdn: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/',
+      script: 'pdf.min.js',
+      worker: 'pdf.worker.min.js',
+      integrity: {
+        'pdf.min.js': 'sha384-/1qUCSGwTur9vjf/z9lmu/eCUYbpOTgSjmpbMQZ1/CtX2v/WcAIKqRv+U1DUCG6e',
+        'pdf.worker.min.js': 'sha384-SnzOobpRMLXZ52iJvZm/C0fYw0OQemTXzTjIsdsfMcrCtCEe9qgzxTd3RSklO5x2'
+      }
+    },
+    chartjs: {
+      globalName: 'Chart',
+      local: 'chartjs/',
+      cdn: 'https://cdn.jsdelivr.net/npm/chart.js@3.9.1/dist/',
+      script: 'chart.min.js',
+      integrity: {
+        'chart.min.js': 'sha384-9MhbyIRcBVQiiC7FSd7T38oJNj2Zh+EfxS7/vjhBi4OOT78NlHSnzM31EZRWR1LZ'
+      }
+    },
+    // Local only: OCR runs on scanned SBCs, which should never depend on a third party (see OCREngine)
+    tesseract: {
+      globalName: 'Tesseract',
+      local: 'tesseract/',
+      script: 'tesseract.min.js',
+      worker: 'worker.min.js',
+      integrity: {
+        'tesseract.min.js': 'sha384-GJqSu7vueQ9qN0E9yLPb3Wtpd7OrgK8KmYzC8T1IysG1bcvxvIO4qtYR/D3A991F',
+        'worker.min.js': 'sha384-zxn+VqofFzXpH99dUb3fa4ywoSBQJPy6/6oEaJHPlblZXr53a0g1Jl6720vgSzB7'
+      }
+    }
+  };
+
+  static loads = {};
+
+  // Load a library's main script once. Resolves to the base URL it was served from, so companion files
+  // (workers, language data) can be loaded from the same place.
+  static load(name, timeout = 15000) {
+    if (!this.loads[name]) {
+      this.loads[name] = this.loadFromSources(name, timeout);
+      // Allow a retry after every source failed, e.g. once the network is back
+      this.loads[name].catch(() => { delete this.loads[name]; });
+    }
+    return this.loads[name];
+  }
+
+  static async loadFromSources(name, timeout) {
+    const library = this.LIBRARIES[name];
+    if (!library) {
+      throw new Error(`Unknown library: ${name}`);
+    }
+
+    const baseURLs = [this.VENDOR_URL + library.local];
+    if (library.cdn) baseURLs.push(library.cdn);
+
+    let lastError = null;
+    for (const baseURL of baseURLs) {
+      try {
+        await this.injectScript(baseURL + library.script, library.integrity[library.script], timeout);
+        if (!window[library.globalName]) {
+          throw new Error(`${name} loaded without defining window.${library.globalName}`);
+        }
+        console.log(`📦 ${name} loaded from ${baseURL}`);
+        return baseURL;
+      } catch (error) {
+        console.warn(`⚠️ Could not load ${name} from ${baseURL}:`, error.message);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  static injectScript(src, integrity, timeout) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      if (integrity) {
+        script.integrity = integrity;
+        script.crossOrigin = 'anonymous';
+      }
+
+      const timeoutId = setTimeout(() => {
+        script.remove();
+        reject(new Error('load timeout'));
+      }, timeout);
+
+      script.onload = () => {
+        clearTimeout(timeoutId);
+        resolve();
+      };
+
+      // Fires for a missing file and for a failed integrity check alike
+      script.onerror = () => {
+        clearTimeout(timeoutId);
+        script.remove();
+        reject(new Error('script failed to load or failed its integrity check'));
+      };
+
+      document.head.appendChild(script);
+    });
+  }
+
+  // Worker scripts can't carry an integrity attribute, so fetch and verify them, then hand the worker a blob URL.
+  // Resolves to a URL for `new Worker()`.
+  static async loadWorker(name, baseURL) {
+    const library = this.LIBRARIES[name];
+    const integrity = library.integrity[library.worker];
+    if (!integrity) return baseURL + library.worker;
+
+    const response = await fetch(baseURL + library.worker, { integrity });
+    if (!response.ok) {
+      throw new Error(`${name} worker failed to load: ${response.status}`);
+    }
+    return URL.createObjectURL(await response.blob());
+  }
+}
@@ -5,6 +5,8 @@ export class ServerlessLLMClient {
     this.apiPrefix = '/api';
     this.retryAttempts = 3;
     this.retryDelay = 1000; // 1 second base delay
+    this.maxRetryWait = 10000; // Longer rate-limit waits are left to the caller
+    this.rateLimits = {}; // Last quota the server reported, by endpoint name ('analyze-pdf'): { remaining, resetTime }
   }
 
   async analyzePDF(pdfText, options = {}) {
@@ -48,9 +50,38 @@ export class ServerlessLLMClient {
     });
   }
 
+  // Milliseconds until the server will accept another request to this endpoint, or 0 if it has quota left
+  getRateLimitWait(endpointName) {
+    const limit = this.rateLimits[endpointName];
+    if (!limit || limit.remaining > 0 || !limit.resetTime) return 0;
+    return Math.max(0, limit.resetTime - Date.now());
+  }
+
   async makeRequest(endpoint, data, options = {}) {
     const { operation, showProgress, timeout = 15000 } = options;
+    const endpointName = endpoint.replace(`${this.apiPrefix}/`, '');
     
+    // Don't spend a request the server has already told us it will refuse
+    const quotaWait = this.getRateLimitWait(endpointName);
+    if (quotaWait > 0) {
+      throw new ServerlessError(429, {
+        error: 'Rate limit exceeded',
+        type: 'RATE_LIMIT',
+        message: `${operation} limit reached.`,
+        resetTime: this.rateLimits[endpointName].resetTime,
+        retryAfter: Math.ceil(quotaWait / 1000)
+      }, operation);
+    }
+    
+    // Offline, fail at once instead of retrying so callers fall straight back to pattern matching
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      throw new ServerlessError(0, {
+        error: 'Network error',
+        type: 'NETWORK_ERROR',
+        message: `${operation} needs an internet connection.`
+      }, operation);
+    }
+
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
       try {
         if (showProgress) {
@@ -78,6 +109,9 @@ export class ServerlessLLMClient {
         }
 
         const result = await response.json();
+        if (result.usage) {
+          this.rateLimits[endpointName] = { remaining: result.usage.remaining, resetTime: result.usage.resetTime };
+        }
         
         if (showProgress) {
           showProgress(`${operation} completed successfully!`);
@@ -98,9 +132,16 @@ export class ServerlessLLMClient {
         }
 
         if (error instanceof ServerlessError) {
+          if (error.isRateLimited()) {
+            this.rateLimits[endpointName] = {
+              remaining: 0,
+              resetTime: error.resetTime || Date.now() + (error.retryAfter || 60) * 1000
+            };
+          }
+          
           // Handle specific error types
-          if (error.isRetryable() && attempt < this.retryAttempts) {
-            const delay = this.calculateRetryDelay(attempt, error.retryAfter);
+          const delay = this.calculateRetryDelay(attempt, error.retryAfter);
+          if (error.isRetryable() && attempt < this.retryAttempts && delay <= this.maxRetryWait) {
             if (showProgress) {
               showProgress(`${operation} busy, retrying in ${Math.ceil(delay/1000)} seconds...`);
             }
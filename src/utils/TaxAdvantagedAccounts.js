@@ -0,0 +1,94 @@
+// Tax-Advantaged Accounts - HSA, HRA and health FSA funding and the tax savings they produce
+export class TaxAdvantagedAccounts {
+  // IRS limits for 2025
+  static IRS_LIMITS = {
+    hsaSelfOnly: 4300,
+    hsaFamily: 8550,
+    hsaCatchUp: 1000, // Extra contribution allowed from age 55
+    healthFSA: 3300
+  };
+
+  static getDefaultSettings() {
+    return {
+      marginalTaxRate: 0.22,
+      hsaContribution: 0,
+      fsaElection: 0
+    };
+  }
+
+  static isHSAEligible(plan) {
+    return plan.hsaEligible === true || plan.planType === 'HSA';
+  }
+
+  // Annual HSA limit for the coverage tier, including catch-up for a policyholder 55 or older
+  static getHSALimit(coverageType, members) {
+    const limit = coverageType === 'individual' ? this.IRS_LIMITS.hsaSelfOnly : this.IRS_LIMITS.hsaFamily;
+    const policyholder = members.find(member => member.relationship === 'self') || members[0];
+    return policyholder && policyholder.age >= 55 ? limit + this.IRS_LIMITS.hsaCatchUp : limit;
+  }
+
+  // Employer match on an employee contribution, capped at the plan's annual match maximum
+  static getEmployerMatch(plan, employeeContribution) {
+    const match = employeeContribution * (plan.employerHSAMatchRate || 0);
+    return plan.employerHSAMatchCap > 0 ? Math.min(match, plan.employerHSAMatchCap) : match;
+  }
+
+  // Largest employee contribution that keeps employee + seed + match within the IRS limit
+  static getMaxEmployeeContribution(plan, limit) {
+    const room = Math.max(0, limit - (plan.employerHSASeed || 0));
+    const matchRate = plan.employerHSAMatchRate || 0;
+    const uncappedMax = room / (1 + matchRate);
+
+    if (plan.employerHSAMatchCap > 0 && uncappedMax * matchRate > plan.employerHSAMatchCap) {
+      return Math.max(0, room - plan.employerHSAMatchCap);
+    }
+    return uncappedMax;
+  }
+
+  // Net annual cost after employer account funding and payroll tax savings
+  static calculate(plan, familyTotals, progression, coverageType, members, settings = {}, coveredMonths = 12) {
+    const { marginalTaxRate, hsaContribution, fsaElection } = { ...this.getDefaultSettings(), ...settings };
+    const finalRow = progression.length > 0 ? progression[progression.length - 1] : null;
+
+    const accounts = {
+      hsaEligible: this.isHSAEligible(plan),
+      employerHSAContribution: 0,
+      employeeHSAContribution: 0,
+      hraApplied: 0,
+      fsaElection: 0,
+      fsaForfeited: 0,
+      taxSavings: 0
+    };
+
+    // HRA: employer dollars pay the first dollars of the deductible
+    if (plan.hraAmount > 0 && finalRow) {
+      accounts.hraApplied = Math.min(plan.hraAmount, finalRow.familyDeductibleUsed, familyTotals.totalOutOfPocket);
+    }
+
+    if (accounts.hsaEligible) {
+      // Mid-year enrollees can only contribute for the months they're HSA-eligible
+      const limit = this.getHSALimit(coverageType, members) * coveredMonths / 12;
+      const employeeContribution = Math.min(hsaContribution, this.getMaxEmployeeContribution(plan, limit));
+
+      accounts.employeeHSAContribution = employeeContribution;
+      accounts.employerHSAContribution = (plan.employerHSASeed || 0) + this.getEmployerMatch(plan, employeeContribution);
+      accounts.taxSavings += employeeContribution * marginalTaxRate;
+    } else if (fsaElection > 0) {
+      // General-purpose health FSAs can't be paired with an HSA; unspent dollars are forfeited
+      const election = Math.min(fsaElection, this.IRS_LIMITS.healthFSA);
+      const eligibleSpending = Math.max(0, familyTotals.totalOutOfPocket - accounts.hraApplied);
+
+      accounts.fsaElection = election;
+      accounts.fsaForfeited = Math.max(0, election - eligibleSpending);
+      accounts.taxSavings += election * marginalTaxRate;
+    }
+
+    accounts.netCost = familyTotals.totalWithPremiums
+      - accounts.employerHSAContribution
+      - accounts.hraApplied
+      - accounts.taxSavings
+      + accounts.fsaForfeited;
+
+    return accounts;
+  }
+}
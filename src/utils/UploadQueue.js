@@ -0,0 +1,141 @@
+// Upload Queue - Analyzes SBC PDFs one at a time with per-file status, retry and rate-limit pacing
+import { EventEmitter } from './EventEmitter.js';
+import { ServerlessError } from './ServerlessLLMClient.js';
+
+export class UploadQueue extends EventEmitter {
+  static STATUS_LABELS = {
+    queued: 'Queued',
+    extracting: 'Extracting text',
+    analyzing: 'Analyzing',
+    waiting: 'Waiting for AI quota',
+    needsReview: 'Needs review',
+    failed: 'Failed'
+  };
+
+  // Wait this long when the server rate-limits us without saying when the quota resets
+  static DEFAULT_RATE_LIMIT_WAIT = 60000;
+
+  // analyze(file, progressCallback, options) resolves to plan data; getRateLimitWait() is the time in ms
+  // until the server will accept another analysis
+  constructor(analyze, getRateLimitWait) {
+    super();
+    this.analyze = analyze;
+    this.getRateLimitWait = getRateLimitWait;
+    this.items = [];
+    this.isRunning = false;
+    this.stopWaiting = null;
+  }
+
+  add(files) {
+    for (const file of files) {
+      this.items.push({
+        id: 'upload_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+        file,
+        fileName: file.name,
+        status: 'queued',
+        message: '',
+        planData: null,
+        resumeAt: null,
+        skipAI: false
+      });
+    }
+    this.emit('changed', this.items);
+    this.run();
+  }
+
+  getItem(itemId) {
+    return this.items.find(item => item.id === itemId);
+  }
+
+  retry(itemId) {
+    const item = this.getItem(itemId);
+    if (!item || item.status !== 'failed') return;
+
+    this.update(item, { status: 'queued', message: '' });
+    this.run();
+  }
+
+  // Analyze a file that is waiting for AI quota right away, with pattern matching only
+  skipWait(itemId) {
+    const item = this.getItem(itemId);
+    if (!item || item.status !== 'waiting') return;
+
+    item.skipAI = true;
+    if (this.stopWaiting) this.stopWaiting();
+  }
+
+  remove(itemId) {
+    const item = this.getItem(itemId);
+    if (!item || ['extracting', 'analyzing', 'waiting'].includes(item.status)) return;
+
+    this.items = this.items.filter(other => other !== item);
+    this.emit('changed', this.items);
+  }
+
+  async run() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      let item;
+      while ((item = this.items.find(candidate => candidate.status === 'queued'))) {
+        await this.processItem(item);
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    this.emit('idle', this.items);
+  }
+
+  async processItem(item) {
+    // Pace analyses to the server's rate limit rather than sending requests it will refuse
+    const quotaWait = item.skipAI ? 0 : this.getRateLimitWait();
+    if (quotaWait > 0) {
+      await this.waitForQuota(item, quotaWait);
+    }
+
+    this.update(item, { status: 'extracting', message: 'Starting analysis...', resumeAt: null });
+    try {
+      const planData = await this.analyze(item.file, (message, stage) => {
+        this.update(item, { status: stage || item.status, message });
+      }, { paceRateLimits: !item.skipAI, skipLLM: item.skipAI });
+
+      this.update(item, { status: 'needsReview', message: planData.name || '', planData });
+    } catch (error) {
+      if (error instanceof ServerlessError && error.isRateLimited()) {
+        // Back to the front of the queue once the quota resets
+        await this.waitForQuota(item, this.getRateLimitWait() ||
+          (error.retryAfter ? error.retryAfter * 1000 : UploadQueue.DEFAULT_RATE_LIMIT_WAIT));
+        this.update(item, { status: 'queued', message: '' });
+        return;
+      }
+
+      console.error(`❌ Upload failed for ${item.fileName}:`, error);
+      this.update(item, { status: 'failed', message: error.message });
+    }
+  }
+
+  waitForQuota(item, ms) {
+    const resumeAt = Date.now() + ms;
+    this.update(item, {
+      status: 'waiting',
+      resumeAt,
+      message: `AI analysis limit reached - resuming at ${new Date(resumeAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+    });
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => this.stopWaiting(), ms);
+      this.stopWaiting = () => {
+        clearTimeout(timer);
+        this.stopWaiting = null;
+        resolve();
+      };
+    });
+  }
+
+  update(item, changes) {
+    Object.assign(item, changes);
+    this.emit('changed', this.items);
+  }
+}
@@ -0,0 +1,110 @@
+// Usage Scenarios - Per-member usage profiles shared by FamilyManager and CostCalculator
+export class UsageScenarios {
+  static SCENARIOS = ['low', 'medium', 'high'];
+
+  // Return the usage fields a member would have under the given scenario
+  static getScenarioUsage(member, scenario) {
+    switch (scenario) {
+      case 'low':
+        return this.getLowUsage(member);
+      case 'medium':
+        return this.getMediumUsage(member);
+      case 'high':
+        return this.getHighUsage(member);
+      default:
+        throw new Error(`Unknown usage scenario: ${scenario}`);
+    }
+  }
+
+  // Apply a scenario to a copy of the member, leaving the original untouched
+  static applyToMember(member, scenario) {
+    return { ...member, ...this.getScenarioUsage(member, scenario) };
+  }
+
+  // ACA preventive care covered at $0: well-child schedule for young children, one annual visit otherwise
+  static getPreventiveDefaults(member) {
+    const age = parseInt(member.age) || 0;
+    if (age < 1) return { preventiveVisits: 6, preventiveLabs: 0 };
+    if (age < 2) return { preventiveVisits: 3, preventiveLabs: 1 };
+    if (age < 3) return { preventiveVisits: 2, preventiveLabs: 1 };
+    return { preventiveVisits: 1, preventiveLabs: age >= 18 ? 1 : 0 };
+  }
+
+  static getLowUsage(member) {
+    return {
+      primaryVisits: member.relationship === 'child' ? 2 : 1,
+      specialistVisits: 0,
+      therapyVisits: 0,
+      labWork: 0,
+      imaging: 0,
+      physicalTherapy: 0,
+      emergencyVisits: 0,
+      urgentCareVisits: 0,
+      advancedImaging: 0,
+      outpatientSurgeries: 0,
+      inpatientDays: 0,
+      medications: []
+    };
+  }
+
+  static getMediumUsage(member) {
+    return {
+      primaryVisits: member.relationship === 'child' ? 3 : 2,
+      specialistVisits: 1,
+      therapyVisits: 0,
+      labWork: 1,
+      imaging: member.relationship === 'self' || member.relationship === 'spouse' ? 1 : 0,
+      physicalTherapy: 0,
+      emergencyVisits: 0,
+      urgentCareVisits: member.relationship === 'child' ? 1 : 0,
+      advancedImaging: 0,
+      outpatientSurgeries: 0,
+      inpatientDays: 0,
+      medications: member.age > 30 ? [{
+        id: `med_${Date.now()}`,
+        name: 'Generic medication',
+        tier: 1,
+        monthlyCost: 15,
+        quantity: 1
+      }] : []
+    };
+  }
+
+  static getHighUsage(member) {
+    // Add multiple medications for high usage
+    const medications = [];
+    if (member.age > 18) {
+      medications.push({
+        id: `med_${Date.now()}_1`,
+        name: 'Generic medication',
+        tier: 1,
+        monthlyCost: 15,
+        quantity: 1
+      });
+    }
+    if (member.age > 30) {
+      medications.push({
+        id: `med_${Date.now()}_2`,
+        name: 'Brand medication',
+        tier: 2,
+        monthlyCost: 50,
+        quantity: 1
+      });
+    }
+
+    return {
+      primaryVisits: member.relationship === 'child' ? 4 : 6,
+      specialistVisits: member.relationship === 'child' ? 1 : 3,
+      therapyVisits: member.age > 12 ? 26 : 0, // Every 2 weeks
+      labWork: member.relationship === 'child' ? 1 : 3,
+      imaging: member.age > 18 ? 2 : 0,
+      physicalTherapy: member.age > 25 ? 12 : 0,
+      emergencyVisits: 1,
+      urgentCareVisits: 2,
+      advancedImaging: member.age > 18 ? 1 : 0,
+      outpatientSurgeries: member.age > 40 ? 1 : 0,
+      inpatientDays: 0,
+      medications
+    };
+  }
+}